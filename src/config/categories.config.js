@@ -0,0 +1,22 @@
+// Expense categories with the icon and color shown in the app
+const EXPENSE_CATEGORIES = [
+  { key: 'groceries', label: 'Groceries', icon: 'cart', color: '#22C55E' },
+  { key: 'dining', label: 'Dining', icon: 'restaurant', color: '#FFB84D' },
+  { key: 'rent', label: 'Rent', icon: 'home', color: '#1CC29F' },
+  { key: 'utilities', label: 'Utilities', icon: 'flash', color: '#FACC15' },
+  { key: 'transport', label: 'Transport', icon: 'car', color: '#3B82F6' },
+  { key: 'travel', label: 'Travel', icon: 'airplane', color: '#4ECDC4' },
+  { key: 'entertainment', label: 'Fun', icon: 'game-controller', color: '#A78BFA' },
+  { key: 'shopping', label: 'Shopping', icon: 'bag-handle', color: '#EC4899' },
+  { key: 'health', label: 'Health', icon: 'medkit', color: '#FF6B6B' },
+  { key: 'subscriptions', label: 'Subscriptions', icon: 'repeat', color: '#6366F1' },
+  { key: 'gifts', label: 'Gifts', icon: 'gift', color: '#F97316' },
+  { key: 'other', label: 'Other', icon: 'ellipsis-horizontal', color: '#9CA3AF' }
+];
+
+const EXPENSE_CATEGORY_KEYS = EXPENSE_CATEGORIES.map(category => category.key);
+
+module.exports = {
+  EXPENSE_CATEGORIES,
+  EXPENSE_CATEGORY_KEYS
+};
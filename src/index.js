@@ -5,6 +5,8 @@ const cors = require('cors');
 const helmet = require('helmet');
 const swaggerUi = require('swagger-ui-express');
 const swaggerSpec = require('./config/swagger.config');
+const { startRecurringScheduler } = require('./services/recurring.service');
+const { startSettlementScheduler } = require('./services/settlement.service');
 const os = require('os');
 
 const app = express();
@@ -165,6 +167,11 @@ app.use('/balances', require('./routes/balance.routes'));
 app.use('/settlements', require('./routes/settlement.routes'));
 app.use('/notifications', require('./routes/notification.routes'));
 app.use('/preferences', require('./routes/preferences.routes'));
+app.use('/recurring', require('./routes/recurring.routes'));
+app.use('/comments', require('./routes/comment.routes'));
+app.use('/exchange-rates', require('./routes/exchangeRate.routes'));
+app.use('/imports', require('./routes/import.routes'));
+app.use('/friends', require('./routes/friend.routes'));
 
 // Swagger documentation route
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
@@ -230,6 +237,10 @@ const connectWithRetry = async () => {
 const startServer = async () => {
   await connectWithRetry();
 
+  // Every worker runs the schedulers; occurrences and settlements are claimed atomically in the database
+  const recurringScheduler = startRecurringScheduler();
+  const settlementScheduler = startSettlementScheduler();
+
   const server = app.listen(process.env.PORT || 3000, () => {
     console.log(`Worker ${process.pid} listening on port ${process.env.PORT || 3000}`);
   });
@@ -237,6 +248,8 @@ const startServer = async () => {
   // Graceful shutdown
   const shutdown = async () => {
     console.log(`Worker ${process.pid} is shutting down...`);
+    clearInterval(recurringScheduler);
+    clearInterval(settlementScheduler);
     
     server.close(async () => {
       console.log('HTTP server closed');
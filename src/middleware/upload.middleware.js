@@ -1,4 +1,5 @@
 const multer = require('multer');
+const { MAX_EXPENSE_ATTACHMENTS, detectFileType } = require('../utils/attachment.util');
 
 const storage = multer.memoryStorage();
 
@@ -11,6 +12,17 @@ const fileFilter = (req, file, cb) => {
   }
 };
 
+// Browsers and spreadsheet apps report CSV files under several MIME types
+const CSV_MIME_TYPES = ['text/csv', 'application/csv', 'text/plain', 'application/vnd.ms-excel'];
+
+const csvFileFilter = (req, file, cb) => {
+  if (CSV_MIME_TYPES.includes(file.mimetype) || file.originalname.toLowerCase().endsWith('.csv')) {
+    cb(null, true);
+  } else {
+    cb(new Error('Invalid file type. Only CSV files are allowed.'), false);
+  }
+};
+
 // Custom error handling for multer
 const multerUpload = multer({
   storage,
@@ -20,9 +32,45 @@ const multerUpload = multer({
   }
 }).single('image');
 
+const multerCsvUpload = multer({
+  storage,
+  fileFilter: csvFileFilter,
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  }
+}).single('file');
+
+// Expense attachments: the legacy 'image' field plus any number of 'attachments' files.
+// Every file is accepted here and its type is checked from its content afterwards.
+const multerAttachmentUpload = multer({
+  storage,
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit per file
+  }
+}).fields([
+  { name: 'image', maxCount: 1 },
+  { name: 'attachments', maxCount: MAX_EXPENSE_ATTACHMENTS }
+]);
+
+// Flatten the uploaded attachments into req.files and replace each client-reported type with the detected one
+const sniffAttachments = (req) => {
+  const fields = req.files || {};
+  const files = [...(fields.image || []), ...(fields.attachments || [])];
+  for (const file of files) {
+    const detected = detectFileType(file.buffer);
+    if (!detected) {
+      return `Invalid file type for ${file.originalname}. Only images and PDF files are allowed.`;
+    }
+    file.mimetype = detected.mimeType;
+    file.extension = detected.extension;
+  }
+  req.files = files;
+  return null;
+};
+
 // Wrapper middleware with better error handling
-const upload = (req, res, next) => {
-  multerUpload(req, res, (err) => {
+const withErrorHandling = (multerMiddleware, validate) => (req, res, next) => {
+  multerMiddleware(req, res, (err) => {
     if (err instanceof multer.MulterError) {
       // Multer-specific errors
       if (err.code === 'LIMIT_FILE_SIZE') {
@@ -42,8 +90,21 @@ const upload = (req, res, next) => {
         message: err.message
       });
     }
+    const validationError = validate ? validate(req) : null;
+    if (validationError) {
+      return res.status(400).json({
+        status: 'error',
+        message: validationError
+      });
+    }
     next();
   });
 };
 
-module.exports = { upload }; 
\ No newline at end of file
+const upload = withErrorHandling(multerUpload);
+
+const uploadCsv = withErrorHandling(multerCsvUpload);
+
+const uploadAttachments = withErrorHandling(multerAttachmentUpload, sniffAttachments);
+
+module.exports = { upload, uploadCsv, uploadAttachments };
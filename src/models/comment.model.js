@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+const commentSchema = new mongoose.Schema({
+  groupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: ['expense', 'settlement'],
+    required: true
+  },
+  // expenseId or settlementId
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  author: {
+    type: String,  // email
+    ref: 'User',
+    required: true
+  },
+  text: {
+    type: String,
+    required: true,
+    maxlength: 1000
+  },
+  editedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+commentSchema.index({ targetType: 1, targetId: 1, createdAt: 1 });
+
+module.exports = mongoose.model('Comment', commentSchema);
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Locally maintained exchange rate of a group: 1 unit of base = rate units of quote
+const exchangeRateSchema = new mongoose.Schema({
+  // Rates only apply to the group whose members entered them
+  groupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: true
+  },
+  base: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  quote: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  rate: {
+    type: Number,
+    required: true
+  },
+  // Date from which the rate applies
+  effectiveDate: {
+    type: Date,
+    required: true
+  },
+  createdBy: {
+    type: String,  // email
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+exchangeRateSchema.index({ groupId: 1, base: 1, quote: 1, effectiveDate: -1 }, { unique: true });
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
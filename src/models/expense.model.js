@@ -1,4 +1,15 @@
 const mongoose = require('mongoose');
+const { EXPENSE_CATEGORY_KEYS } = require('../config/categories.config');
+
+// Integer amount in minor units of the group currency (cents, or yen for JPY).
+// Balances are computed from these; the major-unit amount fields are kept for display.
+const minorUnits = {
+  type: Number,
+  validate: {
+    validator: Number.isInteger,
+    message: '{VALUE} is not an integer amount in minor units'
+  }
+};
 
 const expenseSchema = new mongoose.Schema({
   groupId: {
@@ -6,10 +17,40 @@ const expenseSchema = new mongoose.Schema({
     ref: 'Group',
     required: true
   },
+  // Amount in the group currency (converted if the expense was paid in another currency)
   amount: {
     type: Number,
     required: true
   },
+  amountMinor: minorUnits,
+  // Currency the expense was paid in and the amount entered in it
+  currency: {
+    type: String,
+    uppercase: true
+  },
+  originalAmount: Number,
+  // Units of group currency per unit of expense currency
+  exchangeRate: {
+    type: Number,
+    default: 1
+  },
+  exchangeRateSource: {
+    type: String,
+    enum: ['manual', 'table', null]
+  },
+  exchangeRateDate: Date,
+  // Refunds reverse the shares and payments they record instead of adding to them
+  type: {
+    type: String,
+    enum: ['expense', 'refund'],
+    default: 'expense'
+  },
+  // Expense a refund applies to (optional)
+  refundOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Expense',
+    index: true
+  },
   description: {
     type: String,
     required: true
@@ -18,20 +59,156 @@ const expenseSchema = new mongoose.Schema({
     type: Date,
     required: true
   },
+  category: {
+    type: String,
+    enum: EXPENSE_CATEGORY_KEYS,
+    default: 'other'
+  },
   paidBy: {
-    type: String,  // email
+    type: String,  // email of the primary payer
     ref: 'User',
     required: true
   },
+  // Everyone who paid towards the expense and how much
+  payers: [{
+    _id: false,
+    email: {
+      type: String,  // email
+      ref: 'User',
+      required: true
+    },
+    amount: {
+      type: Number,
+      required: true
+    },
+    amountMinor: minorUnits,
+    originalAmount: Number  // in the expense currency
+  }],
+  createdBy: {
+    type: String,  // email
+    ref: 'User'
+  },
   splitAmong: [{
     type: String,  // email
     ref: 'User'
   }],
+  splitType: {
+    type: String,
+    enum: ['equal', 'exact', 'percent', 'shares', 'itemized'],
+    default: 'equal'
+  },
+  // Per-member shares; value is the entered amount, percentage, share count or item subtotal
+  splits: [{
+    _id: false,
+    email: {
+      type: String,  // email
+      ref: 'User',
+      required: true
+    },
+    value: Number,
+    amount: {
+      type: Number,
+      required: true
+    },
+    amountMinor: minorUnits,
+    originalAmount: Number  // in the expense currency
+  }],
+  // Receipt line items (itemized splits only)
+  items: [{
+    _id: false,
+    name: {
+      type: String,
+      required: true
+    },
+    price: {
+      type: Number,
+      required: true
+    },
+    quantity: {
+      type: Number,
+      default: 1
+    },
+    assignedTo: [{
+      type: String,  // email
+      ref: 'User'
+    }]
+  }],
+  tax: Number,
+  tip: Number,
+  serviceCharge: Number,
+  // URL of the first image attachment, kept for clients that show a single receipt
   invoice: String,
+  // Receipts, invoices and other files attached to the expense
+  attachments: [{
+    url: {
+      type: String,
+      required: true
+    },
+    filename: String,
+    mimeType: String,  // detected from the file content
+    size: Number,  // bytes
+    uploadedBy: {
+      type: String,  // email
+      ref: 'User'
+    },
+    uploadedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Set when the expense was generated from a recurring expense definition
+  recurringExpenseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RecurringExpense'
+  },
+  occurrenceDate: Date,
   createdAt: {
     type: Date,
     default: Date.now
-  }
+  },
+  // Approval workflow: in groups that require approval, new and changed expenses stay out of
+  // balances until every participant has approved them
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'disputed'],
+    default: 'approved',
+    index: true
+  },
+  approvals: [{
+    _id: false,
+    email: {
+      type: String,  // participant email
+      ref: 'User',
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'disputed'],
+      default: 'pending'
+    },
+    reason: String,  // why the participant disputes the expense
+    respondedAt: Date
+  }],
+  // Soft delete: deleted documents stay in the group trash until restored
+  deletedAt: {
+    type: Date,
+    default: null,
+    index: true
+  },
+  deletedBy: {
+    type: String,  // email
+    ref: 'User'
+  },
+  updatedAt: Date
 });
 
+// Guarantees each recurring occurrence is materialized only once
+expenseSchema.index(
+  { recurringExpenseId: 1, occurrenceDate: 1 },
+  { unique: true, partialFilterExpression: { recurringExpenseId: { $exists: true } } }
+);
+
+// Supports the paginated, newest-first expense list of a group
+expenseSchema.index({ groupId: 1, date: -1, _id: -1 });
+
 module.exports = mongoose.model('Expense', expenseSchema); 
\ No newline at end of file
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+const expenseRevisionSchema = new mongoose.Schema({
+  expenseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Expense',
+    required: true,
+    index: true
+  },
+  groupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: true
+  },
+  editedBy: {
+    type: String,  // email
+    ref: 'User',
+    required: true
+  },
+  // One entry per changed field with its value before and after the edit
+  changes: [{
+    _id: false,
+    field: {
+      type: String,
+      required: true
+    },
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('ExpenseRevision', expenseRevisionSchema);
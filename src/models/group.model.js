@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { SETTLE_PLAN_MODES } = require('../utils/debt.util');
+const { MAX_AUTO_CONFIRM_DAYS } = require('../utils/approval.util');
 
 const groupSchema = new mongoose.Schema({
   name: {
@@ -6,6 +8,19 @@ const groupSchema = new mongoose.Schema({
     required: true
   },
   image: String,
+  // Direct groups hold expenses between friends outside any group; they are created
+  // automatically and hidden from the group list
+  type: {
+    type: String,
+    enum: ['group', 'direct'],
+    default: 'group'
+  },
+  // Currency and sorted member emails of a direct group (one direct group per set of people and currency)
+  directKey: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
   currency: {
     type: String,
     required: true
@@ -20,6 +35,33 @@ const groupSchema = new mongoose.Schema({
     type: String,  // email
     ref: 'User'
   }],
+  settings: {
+    // New and changed expenses stay pending until every participant approves them
+    requireExpenseApproval: {
+      type: Boolean,
+      default: false
+    },
+    // Whether the settle plan minimises the number of transfers or keeps debts between the people who incurred them
+    settlePlan: {
+      type: String,
+      enum: SETTLE_PLAN_MODES,
+      default: 'simplified'
+    },
+    // Days after which a settlement its recipient has not confirmed or rejected is confirmed automatically;
+    // null keeps settlements pending until the recipient responds
+    settlementAutoConfirmDays: {
+      type: Number,
+      min: 1,
+      max: MAX_AUTO_CONFIRM_DAYS,
+      default: null
+    }
+  },
+  // When the journal was last reconciled with the group's expenses and settlements. New groups start with
+  // an empty journal; groups created before the ledger existed stay null until npm run rebuild:balances builds them
+  ledgerBuiltAt: {
+    type: Date,
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// Running balance of one member in one group: the sum of the member's journal entry lines,
+// kept up to date as entries are posted. Amounts are in minor units of the group currency.
+const groupBalanceSchema = new mongoose.Schema({
+  groupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: true
+  },
+  email: {
+    type: String,
+    required: true
+  },
+  // Positive means the member is owed
+  netMinor: {
+    type: Number,
+    default: 0
+  },
+  // What each other member owes this one (negative when this member owes them)
+  debts: [{
+    _id: false,
+    email: String,
+    amountMinor: Number
+  }],
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+groupBalanceSchema.index({ groupId: 1, email: 1 }, { unique: true });
+groupBalanceSchema.index({ email: 1 });
+
+module.exports = mongoose.model('GroupBalance', groupBalanceSchema);
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// One posting of an expense, refund or settlement to the group ledger. Entries are never changed:
+// when the source changes, its posting is reversed by a new entry and the new amounts are posted.
+const journalEntrySchema = new mongoose.Schema({
+  groupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: true
+  },
+  sourceType: {
+    type: String,
+    enum: ['expense', 'refund', 'settlement'],
+    required: true
+  },
+  sourceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Date of the expense or settlement (reversals keep the date of the entry they reverse)
+  date: {
+    type: Date,
+    required: true
+  },
+  // Entry this one cancels out
+  reverses: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JournalEntry',
+    default: null
+  },
+  // Amounts between member accounts in minor units of the group currency: positive when the
+  // counterparty owes the account, negative when the account owes the counterparty
+  lines: {
+    type: [{
+      _id: false,
+      account: {
+        type: String,
+        required: true
+      },
+      counterparty: {
+        type: String,
+        required: true
+      },
+      amountMinor: {
+        type: Number,
+        required: true
+      }
+    }],
+    validate: {
+      validator: (lines) => lines.length > 0 && lines.reduce((sum, line) => sum + line.amountMinor, 0) === 0,
+      message: 'Journal entry lines must sum to zero'
+    }
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+journalEntrySchema.index({ groupId: 1, date: 1, _id: 1 });
+journalEntrySchema.index({ sourceId: 1 });
+
+module.exports = mongoose.model('JournalEntry', journalEntrySchema);
@@ -16,7 +16,23 @@ const notificationSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['expense_added', 'settlement_received', 'settlement_recorded'],
+    enum: [
+      'expense_added',
+      'expense_updated',
+      'expense_deleted',
+      'expense_restored',
+      'settlement_received',
+      'settlement_recorded',
+      'settlement_deleted',
+      'settlement_restored',
+      'settlement_confirmed',
+      'settlement_rejected',
+      'comment_added',
+      'expenses_imported',
+      'recurring_expenses_added',
+      'expense_approved',
+      'expense_disputed'
+    ],
     required: true,
     index: true
   },
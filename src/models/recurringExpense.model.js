@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const { EXPENSE_CATEGORY_KEYS } = require('../config/categories.config');
+
+const recurringExpenseSchema = new mongoose.Schema({
+  groupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: true,
+    index: true
+  },
+  createdBy: {
+    type: String,  // email
+    ref: 'User',
+    required: true
+  },
+  interval: {
+    type: String,
+    enum: ['daily', 'weekly', 'monthly', 'yearly'],
+    required: true
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: Date,
+  // Expense created on every occurrence
+  template: {
+    amount: {
+      type: Number,
+      required: true
+    },
+    amountMinor: Number,  // integer minor units of the group currency
+    description: {
+      type: String,
+      required: true
+    },
+    category: {
+      type: String,
+      enum: EXPENSE_CATEGORY_KEYS,
+      default: 'other'
+    },
+    paidBy: {
+      type: String,  // email
+      ref: 'User',
+      required: true
+    },
+    payers: [{
+      _id: false,
+      email: String,
+      amount: Number,
+      amountMinor: Number
+    }],
+    splitAmong: [{
+      type: String,  // email
+      ref: 'User'
+    }],
+    splitType: {
+      type: String,
+      enum: ['equal', 'exact', 'percent', 'shares', 'itemized'],
+      default: 'equal'
+    },
+    splits: [{
+      _id: false,
+      email: String,
+      value: Number,
+      amount: Number,
+      amountMinor: Number
+    }],
+    items: [{
+      _id: false,
+      name: String,
+      price: Number,
+      quantity: Number,
+      assignedTo: [String]
+    }],
+    tax: Number,
+    tip: Number,
+    serviceCharge: Number
+  },
+  // Number of occurrences already materialized; the next one is startDate + occurrenceCount intervals
+  occurrenceCount: {
+    type: Number,
+    default: 0
+  },
+  nextRunAt: {
+    type: Date,
+    index: true
+  },
+  lastRunAt: Date,
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('RecurringExpense', recurringExpenseSchema);
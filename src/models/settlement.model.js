@@ -20,14 +20,66 @@ const settlementSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  // Integer amount in minor units of the group currency
+  amountMinor: {
+    type: Number,
+    validate: {
+      validator: Number.isInteger,
+      message: '{VALUE} is not an integer amount in minor units'
+    }
+  },
   date: {
     type: Date,
     required: true
   },
+  // Settlements count toward balances once the recipient confirms them
+  status: {
+    type: String,
+    enum: ['pending', 'confirmed', 'rejected'],
+    default: 'confirmed',
+    index: true
+  },
+  // When the recipient confirmed or rejected the settlement
+  respondedAt: {
+    type: Date,
+    default: null
+  },
+  // Why the recipient rejected the settlement
+  rejectionReason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  // When a pending settlement confirms itself (null if the group does not confirm settlements automatically)
+  autoConfirmAt: {
+    type: Date,
+    default: null
+  },
+  // True if the settlement was confirmed because the recipient did not respond in time
+  autoConfirmed: {
+    type: Boolean,
+    default: false
+  },
   createdAt: {
     type: Date,
     default: Date.now
+  },
+  // Soft delete: deleted documents stay in the group trash until restored
+  deletedAt: {
+    type: Date,
+    default: null,
+    index: true
+  },
+  deletedBy: {
+    type: String,  // email
+    ref: 'User'
   }
 });
 
+// Supports the paginated, newest-first activity list of a group
+settlementSchema.index({ groupId: 1, date: -1, _id: -1 });
+
+// Supports the auto-confirmation scheduler
+settlementSchema.index({ status: 1, autoConfirmAt: 1 });
+
 module.exports = mongoose.model('Settlement', settlementSchema); 
\ No newline at end of file
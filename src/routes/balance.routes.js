@@ -1,10 +1,53 @@
 const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
-const Expense = require('../models/expense.model');
-const Settlement = require('../models/settlement.model');
 const Group = require('../models/group.model');
+const User = require('../models/user.model');
 const { authenticateUser } = require('../middleware/auth.middleware');
+const { badRequest } = require('../utils/expense.util');
+const { fromMinorUnits } = require('../utils/money.util');
+const { parseEndDate } = require('../utils/date.util');
+const {
+  SETTLE_PLAN_MODES,
+  HISTORY_INTERVALS,
+  getSettlePlanMode,
+  buildSettlePlan,
+  getBalanceHistory
+} = require('../utils/debt.util');
+const {
+  getGroupBalances,
+  getMemberBalances,
+  getJournalBalances,
+  getJournalChanges
+} = require('../services/ledger.service');
+const { CURRENCY_CODE_REGEX, getConversionRates, convertAmounts } = require('../services/currency.service');
+const { getDefaultCurrency } = require('../services/friend.service');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CurrencyTotal:
+ *       type: object
+ *       properties:
+ *         currency:
+ *           type: string
+ *         amount:
+ *           type: number
+ *     ConversionRate:
+ *       type: object
+ *       description: Rate from the local exchange rate table used to convert a total
+ *       properties:
+ *         from:
+ *           type: string
+ *         to:
+ *           type: string
+ *         rate:
+ *           type: number
+ *         effectiveDate:
+ *           type: string
+ *           format: date-time
+ */
 
 /**
  * @swagger
@@ -20,6 +63,12 @@ const { authenticateUser } = require('../middleware/auth.middleware');
  *         required: true
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: asOf
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only count expenses and settlements dated up to and including this date
  *     responses:
  *       200:
  *         description: Group balance details
@@ -37,8 +86,10 @@ const { authenticateUser } = require('../middleware/auth.middleware');
  *                         type: string
  *                       owedAmount:
  *                         type: number
+ *                         description: What other members owe this member
  *                       owesAmount:
  *                         type: number
+ *                         description: What this member owes other members
  */
 
 /**
@@ -49,6 +100,18 @@ const { authenticateUser } = require('../middleware/auth.middleware');
  *     tags: [Balances]
  *     security:
  *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: asOf
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only count expenses and settlements dated up to and including this date
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *         description: Currency to show totals in. Defaults to your preferred currency
  *     responses:
  *       200:
  *         description: User's owe details
@@ -57,8 +120,27 @@ const { authenticateUser } = require('../middleware/auth.middleware');
  *             schema:
  *               type: object
  *               properties:
+ *                 currency:
+ *                   type: string
+ *                   description: Currency of the converted totals
+ *                 totals:
+ *                   type: array
+ *                   description: Totals per group currency
+ *                   items:
+ *                     $ref: '#/components/schemas/CurrencyTotal'
+ *                 rates:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ConversionRate'
+ *                 missingRates:
+ *                   type: array
+ *                   description: Currencies without a known rate; converted totals are null when any are missing
+ *                   items:
+ *                     type: string
  *                 totalAmount:
  *                   type: number
+ *                   nullable: true
+ *                   description: Sum of all amounts in the requested currency
  *                 oweDetails:
  *                   type: array
  *                   items:
@@ -70,35 +152,639 @@ const { authenticateUser } = require('../middleware/auth.middleware');
  *                         type: string
  *                       amount:
  *                         type: number
+ *                       currency:
+ *                         type: string
  */
 
 // Get total amount user owes to others (must come before /:groupId to avoid route conflicts)
 router.get('/user/owe', authenticateUser, async (req, res) => {
   try {
-    // Get all groups user is member of
-    const groups = await Group.find({ members: req.user.email });
-    const groupIds = groups.map(group => group._id);
-
-    // Get all expenses where user is in splitAmong
-    const expenses = await Expense.find({
-      groupId: { $in: groupIds },
-      splitAmong: req.user.email
+    const asOf = parseDateQuery(req.query.asOf, 'asOf', true);
+    const currency = await getTotalsCurrency(req);
+    const debts = await getUserDebts(req.user.email, asOf);
+    const { totals, oweDetails } = calculateUserOwes(debts);
+    const { rates, missingRates } = await getUserConversionRates(req.user.email, Object.keys(totals), currency, asOf);
+    
+    res.json({
+      totalAmount: convertAmounts(totals, currency, rates),
+      currency,
+      totals: formatTotals(totals),
+      rates,
+      missingRates,
+      oweDetails
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ 
+        status: 'error',
+        message: error.message 
+      });
+    }
+    console.error('Get user owe error:', error);
+    res.status(500).json({ 
+      status: 'error',
+      message: 'Error calculating amounts owed' 
     });
+  }
+});
+
+/**
+ * @swagger
+ * /balances/user/owed:
+ *   get:
+ *     summary: Get total amount others owe the user
+ *     tags: [Balances]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: asOf
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only count expenses and settlements dated up to and including this date
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *         description: Currency to show totals in. Defaults to your preferred currency
+ *     responses:
+ *       200:
+ *         description: Amounts owed to the user per group and debtor
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 currency:
+ *                   type: string
+ *                   description: Currency of the converted totals
+ *                 totals:
+ *                   type: array
+ *                   description: Totals per group currency
+ *                   items:
+ *                     $ref: '#/components/schemas/CurrencyTotal'
+ *                 rates:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ConversionRate'
+ *                 missingRates:
+ *                   type: array
+ *                   description: Currencies without a known rate; converted totals are null when any are missing
+ *                   items:
+ *                     type: string
+ *                 totalAmount:
+ *                   type: number
+ *                   nullable: true
+ *                   description: Sum of all amounts in the requested currency
+ *                 owedDetails:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       groupId:
+ *                         type: string
+ *                       owedBy:
+ *                         type: string
+ *                       amount:
+ *                         type: number
+ *                       currency:
+ *                         type: string
+ */
+router.get('/user/owed', authenticateUser, async (req, res) => {
+  try {
+    const asOf = parseDateQuery(req.query.asOf, 'asOf', true);
+    const currency = await getTotalsCurrency(req);
+    const debts = await getUserDebts(req.user.email, asOf);
+    const { totals, owedDetails } = calculateUserOwed(debts);
+    const { rates, missingRates } = await getUserConversionRates(req.user.email, Object.keys(totals), currency, asOf);
+
+    res.json({
+      totalAmount: convertAmounts(totals, currency, rates),
+      currency,
+      totals: formatTotals(totals),
+      rates,
+      missingRates,
+      owedDetails
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ 
+        status: 'error',
+        message: error.message 
+      });
+    }
+    console.error('Get user owed error:', error);
+    res.status(500).json({ 
+      status: 'error',
+      message: 'Error calculating amounts owed to user' 
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /balances/user/net:
+ *   get:
+ *     summary: Get the user's net position in each group and overall
+ *     description: >
+ *       A group's net amount matches totalBalance from GET /expenses/{groupId}: what others owe the user
+ *       minus what the user owes them. Positive means the user is owed.
+ *     tags: [Balances]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: asOf
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only count expenses and settlements dated up to and including this date
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *         description: Currency to show totals in. Defaults to your preferred currency
+ *     responses:
+ *       200:
+ *         description: User's net position
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 totalOwed:
+ *                   type: number
+ *                   nullable: true
+ *                 totalOwe:
+ *                   type: number
+ *                   nullable: true
+ *                 netAmount:
+ *                   type: number
+ *                   nullable: true
+ *                 currency:
+ *                   type: string
+ *                   description: Currency of the converted totals
+ *                 totals:
+ *                   type: array
+ *                   description: Totals per group currency
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       currency:
+ *                         type: string
+ *                       owed:
+ *                         type: number
+ *                       owe:
+ *                         type: number
+ *                       net:
+ *                         type: number
+ *                 rates:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ConversionRate'
+ *                 missingRates:
+ *                   type: array
+ *                   description: Currencies without a known rate; converted totals are null when any are missing
+ *                   items:
+ *                     type: string
+ *                 groups:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       groupId:
+ *                         type: string
+ *                       groupName:
+ *                         type: string
+ *                       currency:
+ *                         type: string
+ *                       owed:
+ *                         type: number
+ *                       owe:
+ *                         type: number
+ *                       net:
+ *                         type: number
+ */
+router.get('/user/net', authenticateUser, async (req, res) => {
+  try {
+    const asOf = parseDateQuery(req.query.asOf, 'asOf', true);
+    const currency = await getTotalsCurrency(req);
+    const debts = await getUserDebts(req.user.email, asOf);
+    const { totals, groups } = calculateNetPosition(debts);
+    const { rates, missingRates } = await getUserConversionRates(req.user.email, Object.keys(totals), currency, asOf);
+    const convertField = (field) => convertAmounts(
+      Object.fromEntries(Object.entries(totals).map(([totalCurrency, total]) => [totalCurrency, total[field]])),
+      currency,
+      rates
+    );
 
-    // Get all settlements
-    const settlements = await Settlement.find({
-      groupId: { $in: groupIds },
-      $or: [{ paidBy: req.user.email }, { paidTo: req.user.email }]
+    res.json({
+      totalOwed: convertField('owed'),
+      totalOwe: convertField('owe'),
+      netAmount: convertField('net'),
+      currency,
+      totals: Object.entries(totals).map(([totalCurrency, total]) => ({ currency: totalCurrency, ...total })),
+      rates,
+      missingRates,
+      groups
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ 
+        status: 'error',
+        message: error.message 
+      });
+    }
+    console.error('Get user net position error:', error);
+    res.status(500).json({ 
+      status: 'error',
+      message: 'Error calculating net position' 
     });
+  }
+});
+
+/**
+ * @swagger
+ * /balances/{groupId}/settle-plan:
+ *   get:
+ *     summary: Get the transfers that settle all balances of a group
+ *     description: >
+ *       Amounts are worked out in minor units of the group currency, so the transfers clear every balance
+ *       exactly. The group's settlePlan setting chooses the mode unless one is given.
+ *     tags: [Balances]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: mode
+ *         schema:
+ *           type: string
+ *           enum: [simplified, pairwise]
+ *         description: simplified uses as few transfers as possible, pairwise keeps debts between the members who incurred them
+ *       - in: query
+ *         name: asOf
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only count expenses and settlements dated up to and including this date
+ *     responses:
+ *       200:
+ *         description: Settle plan
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 mode:
+ *                   type: string
+ *                   enum: [simplified, pairwise]
+ *                 currency:
+ *                   type: string
+ *                 balances:
+ *                   type: array
+ *                   description: Net position per member; positive means the member is owed
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       email:
+ *                         type: string
+ *                       amount:
+ *                         type: number
+ *                 transfers:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       from:
+ *                         type: string
+ *                       to:
+ *                         type: string
+ *                       amount:
+ *                         type: number
+ *       400:
+ *         description: Invalid group ID or mode
+ *       403:
+ *         description: Access denied - Not a member of the group
+ */
+router.get('/:groupId/settle-plan', authenticateUser, async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const { mode } = req.query;
+    const asOf = parseDateQuery(req.query.asOf, 'asOf', true);
+
+    // Validate ObjectId format
+    if (!mongoose.Types.ObjectId.isValid(groupId)) {
+      return res.status(400).json({ 
+        status: 'error',
+        message: 'Invalid group ID format' 
+      });
+    }
 
-    const oweDetails = calculateUserOwes(req.user.email, expenses, settlements, groups);
+    if (mode !== undefined && !SETTLE_PLAN_MODES.includes(mode)) {
+      return res.status(400).json({ 
+        status: 'error',
+        message: `mode must be one of: ${SETTLE_PLAN_MODES.join(', ')}` 
+      });
+    }
     
-    res.json(oweDetails);
+    // Verify group exists and user is a member
+    const group = await Group.findById(groupId);
+    if (!group || !group.members.includes(req.user.email)) {
+      return res.status(403).json({ 
+        status: 'error',
+        message: 'Access denied' 
+      });
+    }
+
+    const groupBalances = await getBalancesAsOf(group, asOf);
+    const planMode = mode || getSettlePlanMode(group);
+    const plan = buildSettlePlan(groupBalances, planMode);
+
+    // Every member is listed, including those who are settled up
+    group.members.forEach(member => {
+      plan.balances[member] = plan.balances[member] || 0;
+    });
+
+    res.json({
+      mode: planMode,
+      currency: group.currency,
+      balances: Object.entries(plan.balances).map(([email, amountMinor]) => ({
+        email,
+        amount: fromMinorUnits(amountMinor, group.currency)
+      })),
+      transfers: plan.transfers.map(transfer => ({
+        from: transfer.from,
+        to: transfer.to,
+        amount: fromMinorUnits(transfer.amountMinor, group.currency)
+      }))
+    });
   } catch (error) {
-    console.error('Get user owe error:', error);
+    if (error.status === 400) {
+      return res.status(400).json({ 
+        status: 'error',
+        message: error.message 
+      });
+    }
+    console.error('Get settle plan error:', error);
     res.status(500).json({ 
       status: 'error',
-      message: 'Error calculating amounts owed' 
+      message: 'Error calculating settle plan' 
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /balances/{groupId}/history:
+ *   get:
+ *     summary: Get each member's balance over time
+ *     description: >
+ *       Replays the group's journal entries in date order. Balances are net positions in the group
+ *       currency; positive means the member is owed.
+ *     tags: [Balances]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: interval
+ *         schema:
+ *           type: string
+ *           enum: [transaction, day]
+ *           default: transaction
+ *         description: A point after every expense and settlement, or the end-of-day balances of each day with activity
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Start of the series; earlier entries are folded into an opening point
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: End of the series (inclusive)
+ *     responses:
+ *       200:
+ *         description: Balance history, oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 currency:
+ *                   type: string
+ *                 interval:
+ *                   type: string
+ *                 points:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       date:
+ *                         type: string
+ *                       id:
+ *                         type: string
+ *                         description: Expense or settlement that changed the balances (transaction interval only)
+ *                       type:
+ *                         type: string
+ *                         enum: [expense, refund, settlement]
+ *                       balances:
+ *                         type: object
+ *                         description: Balance per member email
+ *                         additionalProperties:
+ *                           type: number
+ *       400:
+ *         description: Invalid group ID, interval or date
+ *       403:
+ *         description: Access denied - Not a member of the group
+ */
+router.get('/:groupId/history', authenticateUser, async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const { interval = 'transaction' } = req.query;
+
+    // Validate ObjectId format
+    if (!mongoose.Types.ObjectId.isValid(groupId)) {
+      return res.status(400).json({ 
+        status: 'error',
+        message: 'Invalid group ID format' 
+      });
+    }
+
+    if (!HISTORY_INTERVALS.includes(interval)) {
+      return res.status(400).json({ 
+        status: 'error',
+        message: `interval must be one of: ${HISTORY_INTERVALS.join(', ')}` 
+      });
+    }
+    const from = parseDateQuery(req.query.from, 'from');
+    const to = parseDateQuery(req.query.to, 'to', true);
+
+    // Verify group exists and user is a member
+    const group = await Group.findById(groupId);
+    if (!group || !group.members.includes(req.user.email)) {
+      return res.status(403).json({ 
+        status: 'error',
+        message: 'Access denied' 
+      });
+    }
+
+    const changes = await getJournalChanges(group, to);
+    const points = getBalanceHistory(changes, group.members, { interval, from });
+
+    res.json({
+      currency: group.currency,
+      interval,
+      points: points.map(point => ({
+        ...point,
+        balances: Object.fromEntries(Object.entries(point.balances)
+          .map(([email, amountMinor]) => [email, fromMinorUnits(amountMinor, group.currency)]))
+      }))
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ 
+        status: 'error',
+        message: error.message 
+      });
+    }
+    console.error('Get balance history error:', error);
+    res.status(500).json({ 
+      status: 'error',
+      message: 'Error fetching balance history' 
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /balances/friends:
+ *   get:
+ *     summary: Get what each person owes you, or you owe them, across all shared groups
+ *     description: >
+ *       Debts are netted between you and each person within every group (including direct expenses),
+ *       then added up per currency. Positive amounts mean the person owes you.
+ *     tags: [Balances]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: asOf
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only count expenses and settlements dated up to and including this date
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *         description: Currency to show totals in. Defaults to your preferred currency
+ *     responses:
+ *       200:
+ *         description: Balance with each person you share an open balance with
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 currency:
+ *                   type: string
+ *                   description: Currency of the converted totals
+ *                 rates:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ConversionRate'
+ *                 missingRates:
+ *                   type: array
+ *                   description: Currencies without a known rate; converted totals are null when any are missing
+ *                   items:
+ *                     type: string
+ *                 friends:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       email:
+ *                         type: string
+ *                       name:
+ *                         type: string
+ *                         nullable: true
+ *                       total:
+ *                         type: number
+ *                         nullable: true
+ *                         description: Net amount in the requested currency
+ *                       totals:
+ *                         type: array
+ *                         description: Net amount per currency
+ *                         items:
+ *                           $ref: '#/components/schemas/CurrencyTotal'
+ *                       groups:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             groupId:
+ *                               type: string
+ *                             groupName:
+ *                               type: string
+ *                             direct:
+ *                               type: boolean
+ *                               description: True for direct expenses outside any group
+ *                             currency:
+ *                               type: string
+ *                             amount:
+ *                               type: number
+ */
+router.get('/friends', authenticateUser, async (req, res) => {
+  try {
+    const asOf = parseDateQuery(req.query.asOf, 'asOf', true);
+    const currency = await getTotalsCurrency(req);
+    const debts = await getUserDebts(req.user.email, asOf);
+    const friends = calculateFriendBalances(debts);
+    const users = await User.find({ email: { $in: friends.map(friend => friend.email) } }).select('email name').lean();
+    const nameByEmail = Object.fromEntries(users.map(user => [user.email, user.name]));
+    const { rates, missingRates } = await getUserConversionRates(
+      req.user.email,
+      [...new Set(debts.map(debt => debt.group.currency))],
+      currency,
+      asOf
+    );
+
+    res.json({
+      currency,
+      rates,
+      missingRates,
+      friends: friends.map(friend => ({
+        email: friend.email,
+        name: nameByEmail[friend.email] || null,
+        total: convertAmounts(friend.totals, currency, rates),
+        totals: formatTotals(friend.totals),
+        groups: friend.groups
+      }))
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ 
+        status: 'error',
+        message: error.message 
+      });
+    }
+    console.error('Get friend balances error:', error);
+    res.status(500).json({ 
+      status: 'error',
+      message: 'Error calculating friend balances' 
     });
   }
 });
@@ -126,17 +812,18 @@ router.get('/:groupId', authenticateUser, async (req, res) => {
       });
     }
 
-    // Get all expenses for the group
-    const expenses = await Expense.find({ groupId });
-    
-    // Get all settlements for the group
-    const settlements = await Settlement.find({ groupId });
-
-    // Calculate balances
-    const balances = calculateGroupBalances(group.members, expenses, settlements);
+    const asOf = parseDateQuery(req.query.asOf, 'asOf', true);
+    const groupBalances = await getBalancesAsOf(group, asOf);
+    const balances = calculateGroupBalances(group.members, groupBalances, group.currency);
     
     res.json({ balances });
   } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ 
+        status: 'error',
+        message: error.message 
+      });
+    }
     console.error('Get balances error:', error);
     res.status(500).json({ 
       status: 'error',
@@ -145,112 +832,187 @@ router.get('/:groupId', authenticateUser, async (req, res) => {
   }
 });
 
-// Helper function to calculate group balances
-function calculateGroupBalances(members, expenses, settlements) {
-  const balances = {};
-  
-  // Initialize balances for all members
-  members.forEach(member => {
-    balances[member] = { owedAmount: 0, owesAmount: 0 };
+// Helper function to format group balances (ledger amounts in minor units of the group currency).
+// owedAmount adds up what other members owe this one, owesAmount what this one owes them.
+function calculateGroupBalances(members, groupBalances, currency) {
+  return members.map(email => {
+    const debts = Object.values(groupBalances[email] ? groupBalances[email].debts : {});
+    return {
+      email,
+      owedAmount: fromMinorUnits(debts.filter(amountMinor => amountMinor > 0).reduce((sum, amountMinor) => sum + amountMinor, 0), currency),
+      owesAmount: fromMinorUnits(-debts.filter(amountMinor => amountMinor < 0).reduce((sum, amountMinor) => sum + amountMinor, 0), currency)
+    };
   });
+}
 
-  // Calculate from expenses
-  expenses.forEach(expense => {
-    // Safety check: skip if splitAmong is empty or amount is invalid
-    if (!expense.splitAmong || expense.splitAmong.length === 0 || !expense.amount || expense.amount <= 0) {
-      return;
-    }
-    
-    const perPersonAmount = expense.amount / expense.splitAmong.length;
-    
-    // Calculate what each person owes
-    expense.splitAmong.forEach(member => {
-      if (member !== expense.paidBy && balances[member]) {
-        balances[member].owesAmount += perPersonAmount;
-      }
-    });
-    
-    // Calculate what the payer is owed (only from people who are not the payer)
-    const payingMembers = expense.splitAmong.filter(member => member !== expense.paidBy);
-    if (balances[expense.paidBy] && payingMembers.length > 0) {
-      balances[expense.paidBy].owedAmount += perPersonAmount * payingMembers.length;
-    }
+// Helper function to get a group's balances from the ledger: stored balances are always current,
+// past balances add up the journal entries dated up to asOf
+async function getBalancesAsOf(group, asOf) {
+  if (!asOf) {
+    return getGroupBalances(group);
+  }
+  const balancesByGroup = await getJournalBalances([group], { asOf });
+  return balancesByGroup[group._id.toString()];
+}
+
+// Helper function to list the user's net debt with each other member, per group (in minor units of the group currency).
+// Both come from the user's ledger account, so in each group owed minus owe is the user's totalBalance.
+async function getUserDebts(userEmail, asOf) {
+  const groups = await Group.find({ members: userEmail });
+
+  let balancesByGroup;
+  if (asOf) {
+    const journalBalances = await getJournalBalances(groups, { asOf, email: userEmail });
+    balancesByGroup = Object.fromEntries(Object.entries(journalBalances)
+      .map(([groupId, balances]) => [groupId, balances[userEmail]]));
+  } else {
+    balancesByGroup = await getMemberBalances(groups, userEmail);
+  }
+
+  return groups.flatMap(group => {
+    const balance = balancesByGroup[group._id.toString()];
+    return Object.entries(balance ? balance.debts : {})
+      .filter(([, amountMinor]) => amountMinor !== 0)
+      // Positive when the other member owes the user
+      .map(([email, amountMinor]) => ({ group, email, amountMinor }));
   });
+}
 
-  // Adjust for settlements
-  settlements.forEach(settlement => {
-    if (balances[settlement.paidBy]) {
-      balances[settlement.paidBy].owedAmount -= settlement.amount;
-    }
-    if (balances[settlement.paidTo]) {
-      balances[settlement.paidTo].owesAmount -= settlement.amount;
-    }
+// Helper function to calculate what user owes, with totals per currency
+function calculateUserOwes(debts) {
+  const totals = {};
+  const oweDetails = debts.filter(debt => debt.amountMinor < 0).map(debt => {
+    const { currency } = debt.group;
+    totals[currency] = (totals[currency] || 0) - debt.amountMinor;
+    return {
+      groupId: debt.group._id.toString(),
+      owedTo: debt.email,
+      amount: fromMinorUnits(-debt.amountMinor, currency),
+      currency
+    };
   });
 
-  return Object.entries(balances).map(([email, balance]) => ({
-    email,
-    ...balance
-  }));
+  return { totals: toMajorUnits(totals), oweDetails };
 }
 
-// Helper function to calculate what user owes
-function calculateUserOwes(userId, expenses, settlements, groups) {
-  const oweDetails = {
-    totalAmount: 0,
-    oweDetails: []
-  };
+// Helper function to calculate what others owe the user, with totals per currency
+function calculateUserOwed(debts) {
+  const totals = {};
+  const owedDetails = debts.filter(debt => debt.amountMinor > 0).map(debt => {
+    const { currency } = debt.group;
+    totals[currency] = (totals[currency] || 0) + debt.amountMinor;
+    return {
+      groupId: debt.group._id.toString(),
+      owedBy: debt.email,
+      amount: fromMinorUnits(debt.amountMinor, currency),
+      currency
+    };
+  });
 
-  const owedByGroup = {};
+  return { totals: toMajorUnits(totals), owedDetails };
+}
 
-  // Calculate from expenses
-  expenses.forEach(expense => {
-    // Safety check: skip if splitAmong is empty or amount is invalid
-    if (!expense.splitAmong || expense.splitAmong.length === 0 || !expense.amount || expense.amount <= 0) {
-      return;
-    }
-    
-    if (expense.splitAmong.includes(userId) && expense.paidBy !== userId) {
-      const perPersonAmount = expense.amount / expense.splitAmong.length;
-      const groupId = expense.groupId.toString();
-      
-      if (!owedByGroup[groupId]) {
-        owedByGroup[groupId] = {};
-      }
-      
-      if (!owedByGroup[groupId][expense.paidBy]) {
-        owedByGroup[groupId][expense.paidBy] = 0;
-      }
-      
-      owedByGroup[groupId][expense.paidBy] += perPersonAmount;
+// Helper function to calculate the user's net position per group and per currency
+function calculateNetPosition(debts) {
+  const groups = {};
+  debts.forEach(debt => {
+    const groupId = debt.group._id.toString();
+    groups[groupId] = groups[groupId] || { group: debt.group, owed: 0, owe: 0 };
+    if (debt.amountMinor > 0) {
+      groups[groupId].owed += debt.amountMinor;
+    } else {
+      groups[groupId].owe -= debt.amountMinor;
     }
   });
 
-  // Adjust for settlements
-  settlements.forEach(settlement => {
-    const groupId = settlement.groupId.toString();
-    
-    if (settlement.paidBy === userId) {
-      if (owedByGroup[groupId] && owedByGroup[groupId][settlement.paidTo]) {
-        owedByGroup[groupId][settlement.paidTo] -= settlement.amount;
-      }
-    }
+  const totals = {};
+  Object.values(groups).forEach(({ group, owed, owe }) => {
+    totals[group.currency] = totals[group.currency] || { owed: 0, owe: 0 };
+    totals[group.currency].owed += owed;
+    totals[group.currency].owe += owe;
   });
 
-  // Format the output
-  Object.entries(owedByGroup).forEach(([groupId, owedToUsers]) => {
-    Object.entries(owedToUsers).forEach(([owedTo, amount]) => {
-      if (amount > 0) {
-        oweDetails.oweDetails.push({
-          groupId,
-          owedTo,
-          amount
-        });
-        oweDetails.totalAmount += amount;
-      }
+  return {
+    totals: Object.fromEntries(Object.entries(totals).map(([currency, { owed, owe }]) => [currency, {
+      owed: fromMinorUnits(owed, currency),
+      owe: fromMinorUnits(owe, currency),
+      net: fromMinorUnits(owed - owe, currency)
+    }])),
+    groups: Object.entries(groups).map(([groupId, { group, owed, owe }]) => ({
+      groupId,
+      groupName: group.name,
+      currency: group.currency,
+      owed: fromMinorUnits(owed, group.currency),
+      owe: fromMinorUnits(owe, group.currency),
+      net: fromMinorUnits(owed - owe, group.currency)
+    }))
+  };
+}
+
+// Helper function to add up what each other person owes the user, per group and per currency
+function calculateFriendBalances(debts) {
+  const friends = {};
+  debts.forEach(debt => {
+    const { group, email, amountMinor } = debt;
+    friends[email] = friends[email] || { totals: {}, groups: [] };
+    friends[email].totals[group.currency] = (friends[email].totals[group.currency] || 0) + amountMinor;
+    friends[email].groups.push({
+      groupId: group._id.toString(),
+      groupName: group.name,
+      direct: group.type === 'direct',
+      currency: group.currency,
+      amount: fromMinorUnits(amountMinor, group.currency)
     });
   });
 
-  return oweDetails;
+  return Object.entries(friends)
+    .map(([email, friend]) => ({
+      email,
+      totals: toMajorUnits(Object.fromEntries(Object.entries(friend.totals).filter(([, amountMinor]) => amountMinor !== 0))),
+      groups: friend.groups
+    }))
+    .sort((a, b) => a.email.localeCompare(b.email));
+}
+
+// Helper function to convert a map of currency to minor units into major units
+function toMajorUnits(totalsMinor) {
+  return Object.fromEntries(Object.entries(totalsMinor)
+    .map(([currency, amountMinor]) => [currency, fromMinorUnits(amountMinor, currency)]));
+}
+
+// Helper function to list per-currency totals
+function formatTotals(totals) {
+  return Object.entries(totals).map(([currency, amount]) => ({ currency, amount }));
+}
+
+// Helper function to get the currency cross-group totals are converted into (requested, or the user's preferred one)
+async function getTotalsCurrency(req) {
+  const { currency } = req.query;
+  if (currency === undefined || currency === '') {
+    return getDefaultCurrency(req.user.email);
+  }
+  if (typeof currency !== 'string' || !CURRENCY_CODE_REGEX.test(currency.toUpperCase())) {
+    throw badRequest('currency must be a 3-letter currency code');
+  }
+  return currency.toUpperCase();
+}
+
+// Helper function to look up conversion rates from the rate tables of the user's groups
+async function getUserConversionRates(email, currencies, currency, asOf) {
+  const groupIds = await Group.distinct('_id', { members: email });
+  return getConversionRates(currencies, currency, asOf || new Date(), groupIds);
+}
+
+// Helper function to parse an optional date query parameter (null when it is not given).
+// An inclusive end (asOf, to) given as a date covers that whole day
+function parseDateQuery(value, name, endOfDay = false) {
+  if (value === undefined || value === '') {
+    return null;
+  }
+  if (isNaN(Date.parse(value))) {
+    throw badRequest(`${name} must be a valid date`);
+  }
+  return endOfDay ? parseEndDate(value) : new Date(value);
 }
 
 module.exports = router; 
\ No newline at end of file
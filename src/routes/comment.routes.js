@@ -0,0 +1,447 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Comment = require('../models/comment.model');
+const Expense = require('../models/expense.model');
+const Settlement = require('../models/settlement.model');
+const Group = require('../models/group.model');
+const { authenticateUser } = require('../middleware/auth.middleware');
+const { createNotification } = require('../services/notification.service');
+const { getExpensePayers, getExpenseShares } = require('../utils/expense.util');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Comments
+ *   description: Discussion threads on expenses and settlements
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Comment:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         groupId:
+ *           type: string
+ *         targetType:
+ *           type: string
+ *           enum: [expense, settlement]
+ *         targetId:
+ *           type: string
+ *           description: ID of the expense or settlement
+ *         author:
+ *           type: string
+ *           description: Email of the comment author
+ *         text:
+ *           type: string
+ *         editedAt:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+// Things that can be commented on
+const COMMENT_TARGET_TYPES = ['expense', 'settlement'];
+
+// Maximum comment length
+const MAX_COMMENT_LENGTH = 1000;
+
+/**
+ * @swagger
+ * /comments/{targetType}/{targetId}:
+ *   post:
+ *     summary: Add a comment to an expense or settlement
+ *     tags: [Comments]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: targetType
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [expense, settlement]
+ *       - in: path
+ *         name: targetId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - text
+ *             properties:
+ *               text:
+ *                 type: string
+ *                 maxLength: 1000
+ *     responses:
+ *       201:
+ *         description: Comment added successfully
+ *       403:
+ *         description: Access denied - Not a member of the group
+ *       404:
+ *         description: Expense or settlement not found, or in the group trash
+ */
+router.post('/:targetType/:targetId', authenticateUser, async (req, res) => {
+  try {
+    const { targetType, targetId } = req.params;
+    const { text } = req.body;
+    
+    const target = await findCommentTarget(targetType, targetId, res);
+    if (!target) {
+      return;
+    }
+    
+    // Validate text
+    if (!text || typeof text !== 'string' || text.trim().length === 0) {
+      return res.status(400).json({ 
+        status: 'error',
+        message: 'Comment text is required' 
+      });
+    }
+    if (text.trim().length > MAX_COMMENT_LENGTH) {
+      return res.status(400).json({ 
+        status: 'error',
+        message: `Comment cannot be longer than ${MAX_COMMENT_LENGTH} characters` 
+      });
+    }
+    
+    // Verify group exists and user is a member
+    const group = await Group.findById(target.groupId);
+    if (!group || !group.members.includes(req.user.email)) {
+      return res.status(403).json({ 
+        status: 'error',
+        message: 'Access denied' 
+      });
+    }
+
+    const comment = new Comment({
+      groupId: target.groupId,
+      targetType,
+      targetId,
+      author: req.user.email,
+      text: text.trim()
+    });
+
+    await comment.save();
+
+    // Notify the payer(s) and participants of the expense or settlement
+    const involvedMembers = targetType === 'expense'
+      ? [
+        ...getExpensePayers(target, group.currency).map(payer => payer.email),
+        ...getExpenseShares(target, group.currency).map(share => share.email)
+      ]
+      : [target.paidBy, target.paidTo];
+    const recipients = [...new Set(involvedMembers)]
+      .filter(email => email !== req.user.email && group.members.includes(email));
+
+    const preview = comment.text.length > 100 ? `${comment.text.slice(0, 100)}...` : comment.text;
+    const subject = targetType === 'expense' ? `"${target.description}"` : 'a settlement';
+
+    await Promise.all(recipients.map(email => createNotification(
+      email,
+      `${req.user.name} commented on ${subject} in ${group.name}: ${preview}`,
+      'comment_added',
+      target.groupId,
+      {
+        commentId: comment._id.toString(),
+        [targetType === 'expense' ? 'expenseId' : 'settlementId']: targetId,
+        description: preview
+      },
+      {
+        title: 'New Comment',
+        actor: {
+          email: req.user.email,
+          name: req.user.name,
+          profilePicture: req.user.profilePicture || null
+        }
+      }
+    )));
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        commentId: comment._id,
+        message: 'Comment added successfully'
+      }
+    });
+  } catch (error) {
+    console.error('Create comment error:', error);
+    res.status(500).json({ 
+      status: 'error',
+      message: 'Error adding comment' 
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /comments/{targetType}/{targetId}:
+ *   get:
+ *     summary: Get the comment thread of an expense or settlement
+ *     tags: [Comments]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: targetType
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [expense, settlement]
+ *       - in: path
+ *         name: targetId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Comments, oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Comment'
+ *       403:
+ *         description: Access denied - Not a member of the group
+ *       404:
+ *         description: Expense or settlement not found, or in the group trash
+ */
+router.get('/:targetType/:targetId', authenticateUser, async (req, res) => {
+  try {
+    const { targetType, targetId } = req.params;
+    
+    const target = await findCommentTarget(targetType, targetId, res);
+    if (!target) {
+      return;
+    }
+    
+    // Verify group exists and user is a member
+    const group = await Group.findById(target.groupId);
+    if (!group || !group.members.includes(req.user.email)) {
+      return res.status(403).json({ 
+        status: 'error',
+        message: 'Access denied' 
+      });
+    }
+
+    const comments = await Comment.find({ targetType, targetId })
+      .sort({ createdAt: 1 });
+    
+    res.json(comments);
+  } catch (error) {
+    console.error('Get comments error:', error);
+    res.status(500).json({ 
+      status: 'error',
+      message: 'Error fetching comments' 
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /comments/{commentId}:
+ *   patch:
+ *     summary: Edit your own comment
+ *     tags: [Comments]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - text
+ *             properties:
+ *               text:
+ *                 type: string
+ *                 maxLength: 1000
+ *     responses:
+ *       200:
+ *         description: Comment updated successfully
+ *       403:
+ *         description: Access denied - Not a member of the group
+ *       404:
+ *         description: Comment not found
+ */
+router.patch('/:commentId', authenticateUser, async (req, res) => {
+  try {
+    const { commentId } = req.params;
+    const { text } = req.body;
+    
+    // Validate ObjectId format
+    if (!mongoose.Types.ObjectId.isValid(commentId)) {
+      return res.status(400).json({ 
+        status: 'error',
+        message: 'Invalid comment ID format' 
+      });
+    }
+    
+    // Validate text
+    if (!text || typeof text !== 'string' || text.trim().length === 0) {
+      return res.status(400).json({ 
+        status: 'error',
+        message: 'Comment text is required' 
+      });
+    }
+    if (text.trim().length > MAX_COMMENT_LENGTH) {
+      return res.status(400).json({ 
+        status: 'error',
+        message: `Comment cannot be longer than ${MAX_COMMENT_LENGTH} characters` 
+      });
+    }
+    
+    const comment = await Comment.findById(commentId);
+    if (!comment || comment.author !== req.user.email) {
+      return res.status(404).json({ 
+        status: 'error',
+        message: 'Comment not found' 
+      });
+    }
+
+    // Verify group exists and user is still a member
+    const group = await Group.findById(comment.groupId);
+    if (!group || !group.members.includes(req.user.email)) {
+      return res.status(403).json({ 
+        status: 'error',
+        message: 'Access denied' 
+      });
+    }
+
+    comment.text = text.trim();
+    comment.editedAt = new Date();
+    await comment.save();
+    
+    res.json({
+      status: 'success',
+      data: comment
+    });
+  } catch (error) {
+    console.error('Update comment error:', error);
+    res.status(500).json({ 
+      status: 'error',
+      message: 'Error updating comment' 
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /comments/{commentId}:
+ *   delete:
+ *     summary: Delete your own comment
+ *     tags: [Comments]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Comment deleted successfully
+ *       403:
+ *         description: Access denied - Not a member of the group
+ *       404:
+ *         description: Comment not found
+ */
+router.delete('/:commentId', authenticateUser, async (req, res) => {
+  try {
+    const { commentId } = req.params;
+    
+    // Validate ObjectId format
+    if (!mongoose.Types.ObjectId.isValid(commentId)) {
+      return res.status(400).json({ 
+        status: 'error',
+        message: 'Invalid comment ID format' 
+      });
+    }
+    
+    const comment = await Comment.findById(commentId);
+    if (!comment || comment.author !== req.user.email) {
+      return res.status(404).json({ 
+        status: 'error',
+        message: 'Comment not found' 
+      });
+    }
+
+    // Verify group exists and user is still a member
+    const group = await Group.findById(comment.groupId);
+    if (!group || !group.members.includes(req.user.email)) {
+      return res.status(403).json({ 
+        status: 'error',
+        message: 'Access denied' 
+      });
+    }
+
+    await Comment.findByIdAndDelete(commentId);
+    
+    res.json({ 
+      status: 'success',
+      message: 'Comment deleted successfully' 
+    });
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    res.status(500).json({ 
+      status: 'error',
+      message: 'Error deleting comment' 
+    });
+  }
+});
+
+// Helper function to load the expense or settlement being commented on.
+// Sends the error response and returns null if the target is invalid.
+async function findCommentTarget(targetType, targetId, res) {
+  if (!COMMENT_TARGET_TYPES.includes(targetType)) {
+    res.status(400).json({ 
+      status: 'error',
+      message: `Invalid target type. Must be one of: ${COMMENT_TARGET_TYPES.join(', ')}` 
+    });
+    return null;
+  }
+  
+  // Validate ObjectId format
+  if (!mongoose.Types.ObjectId.isValid(targetId)) {
+    res.status(400).json({ 
+      status: 'error',
+      message: `Invalid ${targetType} ID format` 
+    });
+    return null;
+  }
+  
+  const Model = targetType === 'expense' ? Expense : Settlement;
+  const target = await Model.findById(targetId);
+  // Items in the group trash cannot be discussed until they are restored
+  if (!target || target.deletedAt) {
+    res.status(404).json({ 
+      status: 'error',
+      message: targetType === 'expense' ? 'Expense not found' : 'Settlement not found' 
+    });
+    return null;
+  }
+  
+  return target;
+}
+
+module.exports = router;
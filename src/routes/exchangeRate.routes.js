@@ -0,0 +1,237 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const ExchangeRate = require('../models/exchangeRate.model');
+const Group = require('../models/group.model');
+const { authenticateUser } = require('../middleware/auth.middleware');
+const { CURRENCY_CODE_REGEX } = require('../services/currency.service');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Exchange Rates
+ *   description: Exchange rate tables maintained by each group and used for its multi-currency expenses
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ExchangeRate:
+ *       type: object
+ *       properties:
+ *         groupId:
+ *           type: string
+ *         base:
+ *           type: string
+ *           example: EUR
+ *         quote:
+ *           type: string
+ *           example: USD
+ *         rate:
+ *           type: number
+ *           description: Units of quote currency for one unit of base currency
+ *           example: 1.08
+ *         effectiveDate:
+ *           type: string
+ *           format: date
+ *         createdBy:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /exchange-rates/create:
+ *   post:
+ *     summary: Add or replace an exchange rate in a group's rate table
+ *     tags: [Exchange Rates]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - groupId
+ *               - base
+ *               - quote
+ *               - rate
+ *             properties:
+ *               groupId:
+ *                 type: string
+ *                 description: Group whose expenses the rate applies to
+ *               base:
+ *                 type: string
+ *               quote:
+ *                 type: string
+ *               rate:
+ *                 type: number
+ *               effectiveDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Defaults to today
+ *     responses:
+ *       201:
+ *         description: Exchange rate saved successfully
+ *       400:
+ *         description: Invalid input
+ *       403:
+ *         description: Access denied - Not a member of the group
+ */
+router.post('/create', authenticateUser, async (req, res) => {
+  try {
+    const { groupId, base, quote, rate, effectiveDate } = req.body;
+    
+    // Validate ObjectId format
+    if (!mongoose.Types.ObjectId.isValid(groupId)) {
+      return res.status(400).json({ 
+        status: 'error',
+        message: 'Invalid group ID format' 
+      });
+    }
+    
+    // Validate currencies
+    if (typeof base !== 'string' || typeof quote !== 'string' ||
+      !CURRENCY_CODE_REGEX.test(base.toUpperCase()) || !CURRENCY_CODE_REGEX.test(quote.toUpperCase())) {
+      return res.status(400).json({ 
+        status: 'error',
+        message: 'base and quote must be 3-letter currency codes' 
+      });
+    }
+    if (base.toUpperCase() === quote.toUpperCase()) {
+      return res.status(400).json({ 
+        status: 'error',
+        message: 'base and quote must be different currencies' 
+      });
+    }
+    
+    // Validate rate
+    if (!rate || typeof rate !== 'number' || rate <= 0) {
+      return res.status(400).json({ 
+        status: 'error',
+        message: 'Rate must be a positive number' 
+      });
+    }
+    
+    // Validate effective date
+    if (effectiveDate !== undefined && isNaN(Date.parse(effectiveDate))) {
+      return res.status(400).json({ 
+        status: 'error',
+        message: 'effectiveDate must be a valid date' 
+      });
+    }
+
+    // Verify group exists and user is a member
+    const group = await Group.findById(groupId);
+    if (!group || !group.members.includes(req.user.email)) {
+      return res.status(403).json({ 
+        status: 'error',
+        message: 'Access denied' 
+      });
+    }
+
+    const effective = effectiveDate ? new Date(effectiveDate) : new Date();
+    effective.setUTCHours(0, 0, 0, 0);
+
+    const exchangeRate = await ExchangeRate.findOneAndUpdate(
+      { groupId: group._id, base: base.toUpperCase(), quote: quote.toUpperCase(), effectiveDate: effective },
+      { rate, createdBy: req.user.email, createdAt: new Date() },
+      { upsert: true, new: true }
+    );
+
+    res.status(201).json({
+      status: 'success',
+      data: exchangeRate
+    });
+  } catch (error) {
+    console.error('Create exchange rate error:', error);
+    res.status(500).json({ 
+      status: 'error',
+      message: 'Error saving exchange rate' 
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /exchange-rates:
+ *   get:
+ *     summary: Get exchange rates from the rate tables of the user's groups
+ *     tags: [Exchange Rates]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: groupId
+ *         schema:
+ *           type: string
+ *         description: Only return the rates of this group
+ *       - in: query
+ *         name: base
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: quote
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Exchange rates, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ExchangeRate'
+ *       400:
+ *         description: Invalid group ID format
+ *       403:
+ *         description: Access denied - Not a member of the group
+ */
+router.get('/', authenticateUser, async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.groupId !== undefined) {
+      // Validate ObjectId format
+      if (!mongoose.Types.ObjectId.isValid(req.query.groupId)) {
+        return res.status(400).json({ 
+          status: 'error',
+          message: 'Invalid group ID format' 
+        });
+      }
+
+      // Verify group exists and user is a member
+      const group = await Group.findById(req.query.groupId);
+      if (!group || !group.members.includes(req.user.email)) {
+        return res.status(403).json({ 
+          status: 'error',
+          message: 'Access denied' 
+        });
+      }
+      query.groupId = group._id;
+    } else {
+      query.groupId = { $in: await Group.distinct('_id', { members: req.user.email }) };
+    }
+    if (req.query.base) {
+      query.base = String(req.query.base).toUpperCase();
+    }
+    if (req.query.quote) {
+      query.quote = String(req.query.quote).toUpperCase();
+    }
+
+    const exchangeRates = await ExchangeRate.find(query)
+      .sort({ effectiveDate: -1 });
+    
+    res.json(exchangeRates);
+  } catch (error) {
+    console.error('Get exchange rates error:', error);
+    res.status(500).json({ 
+      status: 'error',
+      message: 'Error fetching exchange rates' 
+    });
+  }
+});
+
+module.exports = router;
@@ -2,13 +2,58 @@ const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
 const Expense = require('../models/expense.model');
+const ExpenseRevision = require('../models/expenseRevision.model');
 const Group = require('../models/group.model');
 const { authenticateUser } = require('../middleware/auth.middleware');
 const { createNotification } = require('../services/notification.service');
+const { notifyExpenseAdded } = require('../services/expense.service');
+const { runInTransaction, postLedgerEntry, saveLedgerEntry, getGroupBalances } = require('../services/ledger.service');
+const { getDirectParticipants, getDefaultCurrency, findDirectGroup, saveDirectGroup } = require('../services/friend.service');
+const { CURRENCY_CODE_REGEX, resolveExpenseExchangeRate } = require('../services/currency.service');
+const { fromMinorUnits, getAmountMinor } = require('../utils/money.util');
+const {
+  parseLimit,
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter,
+  compareNewestFirst
+} = require('../utils/pagination.util');
 const Settlement = require('../models/settlement.model');
 const User = require('../models/user.model');
-const { upload } = require('../middleware/upload.middleware');
-const { uploadFile, getExpenseReceiptFolder } = require('../utils/upload.util');
+const { uploadAttachments } = require('../middleware/upload.middleware');
+const { getExpenseReceiptFolder } = require('../utils/upload.util');
+const { parseEndDate } = require('../utils/date.util');
+const {
+  MAX_EXPENSE_ATTACHMENTS,
+  uploadAttachments: uploadAttachmentFiles,
+  getExpenseAttachments,
+  adoptLegacyInvoice,
+  syncInvoice
+} = require('../utils/attachment.util');
+const {
+  buildExpenseSplits,
+  buildExpensePayers,
+  convertExpenseAmounts,
+  getPrimaryPayer,
+  getExpenseShares,
+  getExpensePayers,
+  getMemberShare,
+  badRequest,
+  parseJsonField,
+  EXPENSE_TYPES,
+  isRefund,
+  getExpenseAmountMinor
+} = require('../utils/expense.util');
+const { TRASH_RETENTION_DAYS, isRestorable } = require('../utils/trash.util');
+const {
+  UNAPPROVED_STATUSES,
+  UNCONFIRMED_STATUSES,
+  getApprovedFilter,
+  getConfirmedFilter,
+  getApprovalStatus,
+  startApproval
+} = require('../utils/approval.util');
+const { EXPENSE_CATEGORIES, EXPENSE_CATEGORY_KEYS } = require('../config/categories.config');
 
 /**
  * @swagger
@@ -34,9 +79,35 @@ const { uploadFile, getExpenseReceiptFolder } = require('../utils/upload.util');
  *         groupId:
  *           type: string
  *           description: The ID of the group
+ *         type:
+ *           type: string
+ *           enum: [expense, refund]
+ *           description: Refunds are stored with positive amounts and reduce balances and totals
+ *         refundOf:
+ *           type: string
+ *           description: ID of the expense a refund applies to
  *         amount:
  *           type: number
- *           description: The expense amount
+ *           description: The expense amount in the group currency
+ *         amountMinor:
+ *           type: integer
+ *           description: The expense amount in minor units of the group currency; shares and payers add up to it exactly
+ *         currency:
+ *           type: string
+ *           description: Currency the expense was paid in
+ *         originalAmount:
+ *           type: number
+ *           description: The expense amount in its own currency
+ *         exchangeRate:
+ *           type: number
+ *           description: Rate used to convert into the group currency (1 when the currencies match)
+ *         exchangeRateSource:
+ *           type: string
+ *           enum: [manual, table]
+ *         exchangeRateDate:
+ *           type: string
+ *           format: date-time
+ *           description: Effective date of the table rate that was used
  *         description:
  *           type: string
  *           description: Description of the expense
@@ -44,17 +115,143 @@ const { uploadFile, getExpenseReceiptFolder } = require('../utils/upload.util');
  *           type: string
  *           format: date
  *           description: Date of the expense
+ *         category:
+ *           type: string
+ *           description: Expense category key (see GET /expenses/categories)
+ *           default: other
  *         paidBy:
  *           type: string
- *           description: Email of the user who paid
+ *           description: Email of the primary payer (largest contribution)
+ *         payers:
+ *           type: array
+ *           description: Everyone who paid towards the expense
+ *           items:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *               amount:
+ *                 type: number
+ *         createdBy:
+ *           type: string
+ *           description: Email of the user who recorded the expense
  *         splitAmong:
  *           type: array
  *           items:
  *             type: string
  *           description: Array of user emails among whom the expense is split
+ *         splitType:
+ *           type: string
+ *           enum: [equal, exact, percent, shares, itemized]
+ *           description: How the amount is divided among splitAmong
+ *         splits:
+ *           type: array
+ *           description: Stored share of each member
+ *           items:
+ *             $ref: '#/components/schemas/ExpenseSplit'
+ *         items:
+ *           type: array
+ *           description: Receipt line items (itemized splits only)
+ *           items:
+ *             $ref: '#/components/schemas/ExpenseItem'
+ *         tax:
+ *           type: number
+ *         tip:
+ *           type: number
+ *         serviceCharge:
+ *           type: number
  *         invoice:
  *           type: string
- *           description: URL of the invoice image
+ *           description: URL of the first image attachment (kept for older clients)
+ *         attachments:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ExpenseAttachment'
+ *         status:
+ *           type: string
+ *           enum: [pending, approved, disputed]
+ *           description: Only approved expenses count toward balances (see group setting requireExpenseApproval)
+ *         approvals:
+ *           type: array
+ *           description: Responses of the participants who have to approve the expense
+ *           items:
+ *             $ref: '#/components/schemas/ExpenseApproval'
+ *         deletedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the expense was moved to the trash (null if active)
+ *         deletedBy:
+ *           type: string
+ *           description: Email of the user who deleted the expense
+ *     ExpenseAttachment:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         url:
+ *           type: string
+ *           format: uri
+ *         filename:
+ *           type: string
+ *         mimeType:
+ *           type: string
+ *           description: Detected from the file content (image/jpeg, image/png, image/gif, image/webp, image/heic or application/pdf)
+ *         size:
+ *           type: integer
+ *           description: Size in bytes
+ *         uploadedBy:
+ *           type: string
+ *         uploadedAt:
+ *           type: string
+ *           format: date-time
+ *     ExpenseApproval:
+ *       type: object
+ *       properties:
+ *         email:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [pending, approved, disputed]
+ *         reason:
+ *           type: string
+ *           description: Why the participant disputes the expense
+ *         respondedAt:
+ *           type: string
+ *           format: date-time
+ *     ExpenseSplit:
+ *       type: object
+ *       properties:
+ *         email:
+ *           type: string
+ *         value:
+ *           type: number
+ *           description: Entered value (exact amount, percentage, share count or item subtotal)
+ *         amount:
+ *           type: number
+ *           description: Amount owed by the member
+ *         amountMinor:
+ *           type: integer
+ *           description: Amount owed in minor units of the group currency (cents, or yen for JPY)
+ *     ExpenseItem:
+ *       type: object
+ *       required:
+ *         - name
+ *         - price
+ *         - assignedTo
+ *       properties:
+ *         name:
+ *           type: string
+ *         price:
+ *           type: number
+ *           description: Unit price
+ *         quantity:
+ *           type: number
+ *           default: 1
+ *         assignedTo:
+ *           type: array
+ *           description: Members sharing the item equally
+ *           items:
+ *             type: string
  *     ExpenseShare:
  *       type: object
  *       properties:
@@ -83,6 +280,10 @@ const { uploadFile, getExpenseReceiptFolder } = require('../utils/upload.util');
  *                   type: string
  *                 profilePicture:
  *                   type: string
+ *             payers:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ExpenseShare'
  *             shares:
  *               type: array
  *               items:
@@ -113,78 +314,154 @@ const { uploadFile, getExpenseReceiptFolder } = require('../utils/upload.util');
  *           schema:
  *             type: object
  *             required:
- *               - groupId
  *               - amount
  *               - description
  *               - date
- *               - splitAmong
  *             properties:
  *               groupId:
  *                 type: string
+ *                 description: >
+ *                   Omit for a direct expense between friends. It is recorded in the hidden direct ledger of everyone
+ *                   named in splitAmong, splits, items and payers (plus you) in its currency, which defaults to your
+ *                   preferred currency. The response returns that ledger's groupId
  *               amount:
  *                 type: number
+ *                 description: Amount in the expense currency; splits, items and payers use the same currency. A negative amount records a refund
+ *               type:
+ *                 type: string
+ *                 enum: [expense, refund]
+ *                 default: expense
+ *                 description: >
+ *                   A refund reverses the shares of the members it is split among; its payers are the members
+ *                   who received the money back
+ *               refundOf:
+ *                 type: string
+ *                 description: >
+ *                   Expense being refunded (refunds only). Defaults the currency, category and payer to the original
+ *                   and, without splitType or splits, splits the refund in proportion to the original shares of
+ *                   splitAmong (all original members by default). Refunds cannot exceed the original amount
+ *               currency:
+ *                 type: string
+ *                 description: 3-letter currency code. Defaults to the group currency
+ *               exchangeRate:
+ *                 type: number
+ *                 description: Manual rate into the group currency. Defaults to the latest stored rate on or before date
  *               description:
  *                 type: string
  *               date:
  *                 type: string
  *                 format: date
+ *               category:
+ *                 type: string
+ *                 description: Expense category key (see GET /expenses/categories)
+ *               splitType:
+ *                 type: string
+ *                 enum: [equal, exact, percent, shares, itemized]
+ *                 default: equal
  *               splitAmong:
  *                 type: array
  *                 items:
  *                   type: string
+ *                 description: Member emails, required for equal splits
+ *               splits:
+ *                 type: array
+ *                 description: Required for exact, percent and shares splits. Exact values must add up to amount, percentages to 100
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     email:
+ *                       type: string
+ *                     value:
+ *                       type: number
+ *               items:
+ *                 type: array
+ *                 description: Required for itemized splits. Item totals plus tax, tip and service charge must add up to amount
+ *                 items:
+ *                   $ref: '#/components/schemas/ExpenseItem'
+ *               tax:
+ *                 type: number
+ *                 description: Distributed proportionally to each member's item subtotal
+ *               tip:
+ *                 type: number
+ *                 description: Distributed proportionally to each member's item subtotal
+ *               serviceCharge:
+ *                 type: number
+ *                 description: Distributed proportionally to each member's item subtotal
+ *               payers:
+ *                 type: array
+ *                 description: Optional list of payers whose amounts add up to amount. Defaults to the current user paying everything
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     email:
+ *                       type: string
+ *                     amount:
+ *                       type: number
  *               image:
  *                 type: string
  *                 format: binary
- *                 description: Optional receipt/bill image (field name must be 'image')
+ *                 description: Optional receipt/bill image (single file, kept for older clients)
+ *               attachments:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *                 description: Optional receipts and invoices (images or PDFs, 5MB each)
  *     responses:
  *       201:
  *         description: Expense created successfully
  */
-router.post('/create', authenticateUser, upload, async (req, res) => {
+router.post('/create', authenticateUser, uploadAttachments, async (req, res) => {
   try {
-    const { groupId, amount, description, date, splitAmong } = req.body;
-    let invoice = null;
+    const {
+      groupId: requestedGroupId,
+      amount,
+      type,
+      refundOf,
+      currency,
+      exchangeRate,
+      description,
+      date,
+      category,
+      splitAmong,
+      splitType,
+      splits,
+      payers,
+      items,
+      tax,
+      tip,
+      serviceCharge
+    } = req.body;
     
-    // Validate ObjectId format
-    if (!mongoose.Types.ObjectId.isValid(groupId)) {
+    // Validate ObjectId format (without a group the expense is a direct one between friends)
+    if (requestedGroupId !== undefined && !mongoose.Types.ObjectId.isValid(requestedGroupId)) {
       return res.status(400).json({ 
         status: 'error',
         message: 'Invalid group ID format' 
       });
     }
     
-    // Parse and validate amount
-    const amountNum = typeof amount === 'string' ? parseFloat(amount) : amount;
-    if (!amountNum || isNaN(amountNum) || amountNum <= 0) {
+    // Parse and validate amount (a negative amount records a refund of that amount)
+    const parsedAmount = typeof amount === 'string' ? parseFloat(amount) : amount;
+    const expenseType = type !== undefined ? type : (parsedAmount < 0 ? 'refund' : 'expense');
+    if (!EXPENSE_TYPES.includes(expenseType)) {
       return res.status(400).json({ 
         status: 'error',
-        message: 'Amount must be a positive number' 
+        message: `Invalid type. Must be one of: ${EXPENSE_TYPES.join(', ')}` 
       });
     }
-    
-    // Parse splitAmong if it's a string (from multipart/form-data)
-    let splitAmongArray;
-    try {
-      splitAmongArray = typeof splitAmong === 'string' ? JSON.parse(splitAmong) : splitAmong;
-    } catch (error) {
-      splitAmongArray = Array.isArray(splitAmong) ? splitAmong : [];
-    }
-    
-    // Validate splitAmong
-    if (!splitAmongArray || !Array.isArray(splitAmongArray) || splitAmongArray.length === 0) {
+    const amountNum = expenseType === 'refund' ? Math.abs(parsedAmount) : parsedAmount;
+    if (!amountNum || isNaN(amountNum) || amountNum <= 0) {
       return res.status(400).json({ 
         status: 'error',
-        message: 'splitAmong must be a non-empty array' 
+        message: 'Amount must be a positive number' 
       });
     }
-    
-    // Validate all splitAmong are valid emails
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    const invalidEmails = splitAmongArray.filter(email => !emailRegex.test(email));
-    if (invalidEmails.length > 0) {
+
+    if (refundOf && expenseType !== 'refund') {
       return res.status(400).json({ 
         status: 'error',
-        message: 'All emails in splitAmong must be valid email addresses' 
+        message: 'refundOf can only be set on refunds' 
       });
     }
     
@@ -204,109 +481,183 @@ router.post('/create', authenticateUser, upload, async (req, res) => {
       });
     }
     
+    // Validate category
+    if (category !== undefined && !EXPENSE_CATEGORY_KEYS.includes(category)) {
+      return res.status(400).json({ 
+        status: 'error',
+        message: `Invalid category. Must be one of: ${EXPENSE_CATEGORY_KEYS.join(', ')}` 
+      });
+    }
+    
+    // Validate currency
+    if (currency !== undefined && (typeof currency !== 'string' || !CURRENCY_CODE_REGEX.test(currency.toUpperCase()))) {
+      return res.status(400).json({ 
+        status: 'error',
+        message: 'Currency must be a 3-letter currency code' 
+      });
+    }
+    
+    // Without a group the expense goes into the direct ledger of everyone taking part
+    let group = requestedGroupId
+      ? await Group.findById(requestedGroupId)
+      : await findDirectGroup(
+        getDirectParticipants(req.body, req.user.email),
+        currency ? currency.toUpperCase() : await getDefaultCurrency(req.user.email)
+      );
+
     // Verify group exists and user is a member
-    const group = await Group.findById(groupId);
     if (!group || !group.members.includes(req.user.email)) {
       return res.status(403).json({ 
         status: 'error',
         message: 'Access denied' 
       });
     }
+    const groupId = group._id.toString();
 
-    // Upload receipt/bill if provided
-    if (req.file) {
-      // Validate file size
-      if (req.file.size > 5 * 1024 * 1024) {
-        return res.status(400).json({
-          status: 'error',
-          message: 'File size too large. Maximum size is 5MB'
-        });
-      }
+    // A refund of an existing expense defaults to its currency, category, payer and shares
+    const original = refundOf ? await getRefundedExpense(refundOf, groupId) : null;
+    const splitInput = original && splitType === undefined && splits === undefined
+      ? getRefundSplitDefaults(original, splitAmong, group.currency)
+      : { splitType, splitAmong, splits };
+
+    // Amounts, splits and payers are entered in the expense currency
+    const expenseCurrency = currency
+      ? currency.toUpperCase()
+      : (original && original.currency) || group.currency;
+
+    // Build per-member split (equal, exact, percent, shares or itemized)
+    const split = buildExpenseSplits({
+      amount: amountNum,
+      currency: expenseCurrency,
+      ...splitInput,
+      items,
+      tax,
+      tip,
+      serviceCharge
+    });
 
-      try {
-        const folder = getExpenseReceiptFolder(groupId);
-        invoice = await uploadFile(req.file, folder);
-      } catch (error) {
-        console.error('Receipt upload error:', error);
-        return res.status(500).json({
+    if (original) {
+      const originalMembers = getExpenseShares(original, group.currency).map(share => share.email);
+      if (split.splits.some(entry => !originalMembers.includes(entry.email))) {
+        return res.status(400).json({ 
           status: 'error',
-          message: 'Error uploading receipt: ' + error.message
+          message: 'Refunded members must be part of the original expense' 
         });
       }
     }
+    
+    // Build payer list (defaults to the current user paying the full amount;
+    // a refund goes back to whoever paid the original expense)
+    const payerList = buildExpensePayers({
+      amount: amountNum,
+      currency: expenseCurrency,
+      payers,
+      defaultPayer: original ? original.paidBy : req.user.email
+    });
 
-    const expense = new Expense({
-      groupId,
+    // Verify all payers are group members
+    if (payerList.some(payer => !group.members.includes(payer.email))) {
+      return res.status(400).json({ 
+        status: 'error',
+        message: 'All payers must be members of the group' 
+      });
+    }
+
+    // Convert into the group currency if the expense was paid in another currency
+    const conversion = await resolveExpenseExchangeRate({
+      from: expenseCurrency,
+      to: group.currency,
+      date: new Date(date),
+      groupId: group._id,
+      manualRate: exchangeRate
+    });
+    const converted = convertExpenseAmounts({
       amount: amountNum,
+      currency: expenseCurrency,
+      groupCurrency: group.currency,
+      splits: split.splits,
+      payers: payerList,
+      exchangeRate: conversion.rate
+    });
+
+    if (original) {
+      await checkRefundLimit(original, converted.amountMinor, group.currency);
+    }
+
+    // Upload receipts/invoices if provided
+    if (req.files.length > MAX_EXPENSE_ATTACHMENTS) {
+      return res.status(400).json({
+        status: 'error',
+        message: `An expense can have at most ${MAX_EXPENSE_ATTACHMENTS} attachments`
+      });
+    }
+
+    let attachments = [];
+    try {
+      attachments = await uploadAttachmentFiles(req.files, getExpenseReceiptFolder(groupId), req.user.email);
+    } catch (error) {
+      console.error('Receipt upload error:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: 'Error uploading receipt: ' + error.message
+      });
+    }
+
+    // A new direct ledger is only stored once the expense is known to be valid
+    group = await saveDirectGroup(group);
+
+    const expense = new Expense({
+      groupId: group._id,
+      type: expenseType,
+      refundOf: original ? original._id : undefined,
+      amount: converted.amount,
+      amountMinor: converted.amountMinor,
+      currency: expenseCurrency,
+      originalAmount: amountNum,
+      exchangeRate: conversion.rate,
+      exchangeRateSource: conversion.source,
+      exchangeRateDate: conversion.effectiveDate,
       description,
       date,
-      paidBy: req.user.email,
-      splitAmong: splitAmongArray,
-      invoice
+      category: category || (original && original.category) || 'other',
+      paidBy: getPrimaryPayer(converted.payers),
+      payers: converted.payers,
+      createdBy: req.user.email,
+      splitAmong: split.splitAmong,
+      splitType: split.splitType,
+      splits: converted.splits,
+      items: split.items,
+      tax: split.tax,
+      tip: split.tip,
+      serviceCharge: split.serviceCharge,
+      attachments
     });
+    syncInvoice(expense);
+    startApproval(expense, group, req.user.email);
 
-    await expense.save();
+    await saveLedgerEntry(expense, group);
 
     // Create detailed notifications for all members (with push and email)
-    const notificationPromises = group.members
-      .filter(email => email !== req.user.email)
-      .map(email => {
-        const isInSplit = splitAmongArray.includes(email);
-        const share = isInSplit ? amountNum / splitAmongArray.length : 0;
-        
-        let message;
-        if (isInSplit) {
-          // For members who need to pay
-          message = `${req.user.name} added an expense of ${group.currency} ${amountNum} in ${group.name}. Your share: ${group.currency} ${share.toFixed(2)}`;
-        } else {
-          // For members who are not part of the split
-          message = `${req.user.name} added an expense of ${group.currency} ${amountNum} in ${group.name}`;
-        }
-        
-        return createNotification(
-          email,
-          message,
-          'expense_added',
-          groupId,
-          {
-            expenseId: expense._id.toString(),
-            amount: amountNum,
-            share,
-            paidBy: req.user.email,
-            description,
-            image: invoice || null
-          },
-          {
-            title: 'New Expense Added',
-            actor: {
-              email: req.user.email,
-              name: req.user.name,
-              profilePicture: req.user.profilePicture || null
-            },
-            expenseData: {
-              userName: req.user.name,
-              groupName: group.name,
-              amount: amountNum,
-              currency: group.currency,
-              share,
-              description,
-              isInSplit,
-              image: invoice || null
-            }
-          }
-        );
-      });
-
-    await Promise.all(notificationPromises);
+    await notifyExpenseAdded(expense, group, req.user);
 
     res.status(201).json({
       status: 'success',
       data: {
         expenseId: expense._id,
-        message: 'Expense added successfully'
+        groupId: expense.groupId,
+        status: expense.status,
+        message: expense.status === 'pending'
+          ? 'Expense added and waiting for approval'
+          : 'Expense added successfully'
       }
     });
   } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ 
+        status: 'error',
+        message: error.message 
+      });
+    }
     console.error('Create expense error:', error);
     res.status(500).json({ 
       status: 'error',
@@ -315,11 +666,50 @@ router.post('/create', authenticateUser, upload, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /expenses/categories:
+ *   get:
+ *     summary: Get all available expense categories
+ *     tags: [Expenses]
+ *     responses:
+ *       200:
+ *         description: List of available expense categories
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   enum: [success]
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       key:
+ *                         type: string
+ *                       label:
+ *                         type: string
+ *                       icon:
+ *                         type: string
+ *                       color:
+ *                         type: string
+ */
+// Must come before /:groupId to avoid route conflicts
+router.get('/categories', (req, res) => {
+  res.json({
+    status: 'success',
+    data: EXPENSE_CATEGORIES
+  });
+});
+
 /**
  * @swagger
  * /expenses/{groupId}:
  *   get:
- *     summary: Get all expenses and balance calculations for a group
+ *     summary: Search a group's expenses and settlements (newest first, paginated) with balances over the full ledger
  *     tags: [Expenses]
  *     security:
  *       - BearerAuth: []
@@ -329,9 +719,61 @@ router.post('/create', authenticateUser, upload, async (req, res) => {
  *         required: true
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only include items dated on or after this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only include items dated on or before this date (a date without a time covers the whole day)
+ *       - in: query
+ *         name: paidBy
+ *         schema:
+ *           type: string
+ *         description: Email of a payer (settlements paid by this member)
+ *       - in: query
+ *         name: participant
+ *         schema:
+ *           type: string
+ *         description: Email of a member sharing the expense (settlements involving this member)
+ *       - in: query
+ *         name: minAmount
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: maxAmount
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Case-insensitive search in expense descriptions (excludes settlements)
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Comma-separated category keys (excludes settlements)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *         description: Maximum number of expenses and settlements in the page
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor from the previous page
  *     responses:
  *       200:
- *         description: List of expenses and balance calculations
+ *         description: Page of expenses and settlements and balance calculations
  *         content:
  *           application/json:
  *             schema:
@@ -345,6 +787,26 @@ router.post('/create', authenticateUser, upload, async (req, res) => {
  *                   type: array
  *                   items:
  *                     $ref: '#/components/schemas/Settlement'
+ *                 pendingExpenses:
+ *                   type: array
+ *                   description: Expenses waiting for approval (not filtered or paginated, excluded from balances)
+ *                   items:
+ *                     $ref: '#/components/schemas/Expense'
+ *                 disputedExpenses:
+ *                   type: array
+ *                   description: Expenses disputed by a participant (not filtered or paginated, excluded from balances)
+ *                   items:
+ *                     $ref: '#/components/schemas/Expense'
+ *                 pendingSettlements:
+ *                   type: array
+ *                   description: Settlements waiting for the recipient to confirm them (not filtered or paginated, excluded from balances)
+ *                   items:
+ *                     $ref: '#/components/schemas/Settlement'
+ *                 rejectedSettlements:
+ *                   type: array
+ *                   description: Settlements rejected by the recipient (not filtered or paginated, excluded from balances)
+ *                   items:
+ *                     $ref: '#/components/schemas/Settlement'
  *                 balances:
  *                   type: object
  *                   properties:
@@ -368,6 +830,18 @@ router.post('/create', authenticateUser, upload, async (req, res) => {
  *                             type: string
  *                           amount:
  *                             type: number
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     limit:
+ *                       type: integer
+ *                     hasMore:
+ *                       type: boolean
+ *                     nextCursor:
+ *                       type: string
+ *                       nullable: true
+ *       400:
+ *         description: Invalid filter or cursor
  */
 
 /**
@@ -398,6 +872,18 @@ router.post('/create', authenticateUser, upload, async (req, res) => {
  *                   type: object
  *                   additionalProperties:
  *                     type: number
+ *                 expensesByCategory:
+ *                   type: object
+ *                   description: Total per category key
+ *                   additionalProperties:
+ *                     type: number
+ *                 monthlyExpensesByCategory:
+ *                   type: object
+ *                   description: Totals per category key for each month (YYYY-MM)
+ *                   additionalProperties:
+ *                     type: object
+ *                     additionalProperties:
+ *                       type: number
  *                 expensesByMember:
  *                   type: array
  *                   items:
@@ -409,6 +895,11 @@ router.post('/create', authenticateUser, upload, async (req, res) => {
  *                         type: number
  *                       totalShare:
  *                         type: number
+ *                       shareByCategory:
+ *                         type: object
+ *                         description: Member's share per category key
+ *                         additionalProperties:
+ *                           type: number
  */
 router.get('/:groupId/summary', authenticateUser, async (req, res) => {
   try {
@@ -431,8 +922,8 @@ router.get('/:groupId/summary', authenticateUser, async (req, res) => {
       });
     }
 
-    const expenses = await Expense.find({ groupId });
-    const summary = calculateExpenseSummary(group.members, expenses);
+    const expenses = await Expense.find({ groupId, deletedAt: null, ...getApprovedFilter() });
+    const summary = calculateExpenseSummary(group.members, expenses, group.currency);
     
     res.json(summary);
   } catch (error) {
@@ -465,28 +956,69 @@ router.get('/:groupId', authenticateUser, async (req, res) => {
       });
     }
 
-    // Get all expenses for the group
-    const expenses = await Expense.find({ groupId })
-      .sort({ date: -1 });
+    const filters = buildExpenseListFilters(req.query);
+    const limit = parseLimit(req.query.limit);
+    const cursorFilter = buildCursorFilter(decodeCursor(req.query.cursor));
+
+    // Fetch one extra item of each kind to know whether another page follows
+    const [pageExpenses, pageSettlements] = await Promise.all([
+      Expense.find({ groupId, deletedAt: null, ...getApprovedFilter(), $and: [filters.expense, cursorFilter] })
+        .sort({ date: -1, _id: -1 })
+        .limit(limit + 1),
+      filters.settlement
+        ? Settlement.find({ groupId, deletedAt: null, ...getConfirmedFilter(), $and: [filters.settlement, cursorFilter] })
+          .sort({ date: -1, _id: -1 })
+          .limit(limit + 1)
+        : []
+    ]);
+
+    // Expenses and settlements share one newest-first timeline and cursor
+    const timeline = [
+      ...pageExpenses.map(doc => ({ kind: 'expense', doc })),
+      ...pageSettlements.map(doc => ({ kind: 'settlement', doc }))
+    ].sort((a, b) => compareNewestFirst(a.doc, b.doc));
+    const page = timeline.slice(0, limit);
+    const hasMore = timeline.length > limit;
 
-    // Get all settlements for the group
-    const settlements = await Settlement.find({ groupId })
-      .sort({ date: -1 });
+    // Balances always cover the full ledger, not just the current page
+    const groupBalances = await getGroupBalances(group);
+
+    // Pending and disputed expenses are listed apart and left out of balances
+    const unapprovedExpenses = await Expense.find({ groupId, deletedAt: null, status: { $in: UNAPPROVED_STATUSES } })
+      .sort({ date: -1, _id: -1 });
+
+    // So are settlements their recipient has not confirmed
+    const unconfirmedSettlements = await Settlement.find({ groupId, deletedAt: null, status: { $in: UNCONFIRMED_STATUSES } })
+      .sort({ date: -1, _id: -1 });
 
     // Calculate balances
     const balanceCalculations = calculateBalances(
       req.user.email,
-      group.members,
-      expenses,
-      settlements
+      groupBalances,
+      group.currency
     );
     
     res.json({
-      expenses,
-      settlements,
-      balances: balanceCalculations
+      expenses: page.filter(entry => entry.kind === 'expense').map(entry => entry.doc),
+      settlements: page.filter(entry => entry.kind === 'settlement').map(entry => entry.doc),
+      pendingExpenses: unapprovedExpenses.filter(expense => expense.status === 'pending'),
+      disputedExpenses: unapprovedExpenses.filter(expense => expense.status === 'disputed'),
+      pendingSettlements: unconfirmedSettlements.filter(settlement => settlement.status === 'pending'),
+      rejectedSettlements: unconfirmedSettlements.filter(settlement => settlement.status === 'rejected'),
+      balances: balanceCalculations,
+      pagination: {
+        limit,
+        hasMore,
+        nextCursor: hasMore ? encodeCursor(page[page.length - 1].doc) : null
+      }
     });
   } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ 
+        status: 'error',
+        message: error.message 
+      });
+    }
     console.error('Get expenses error:', error);
     res.status(500).json({ 
       status: 'error',
@@ -498,8 +1030,8 @@ router.get('/:groupId', authenticateUser, async (req, res) => {
 /**
  * @swagger
  * /expenses/{expenseId}:
- *   delete:
- *     summary: Delete an expense
+ *   patch:
+ *     summary: Update an expense and record the change in its revision history
  *     tags: [Expenses]
  *     security:
  *       - BearerAuth: []
@@ -509,11 +1041,907 @@ router.get('/:groupId', authenticateUser, async (req, res) => {
  *         required: true
  *         schema:
  *           type: string
- *     responses:
- *       200:
- *         description: Expense deleted successfully
- */
-router.delete('/:expenseId', authenticateUser, async (req, res) => {
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 description: New amount in the expense currency
+ *               currency:
+ *                 type: string
+ *                 description: New 3-letter currency code for the expense
+ *               exchangeRate:
+ *                 type: number
+ *                 description: Manual rate into the group currency
+ *               description:
+ *                 type: string
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               category:
+ *                 type: string
+ *                 description: Expense category key (see GET /expenses/categories)
+ *               splitType:
+ *                 type: string
+ *                 enum: [equal, exact, percent, shares, itemized]
+ *               splitAmong:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               splits:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     email:
+ *                       type: string
+ *                     value:
+ *                       type: number
+ *               items:
+ *                 type: array
+ *                 description: Required for itemized splits. Item totals plus tax, tip and service charge must add up to amount
+ *                 items:
+ *                   $ref: '#/components/schemas/ExpenseItem'
+ *               tax:
+ *                 type: number
+ *                 description: Distributed proportionally to each member's item subtotal
+ *               tip:
+ *                 type: number
+ *                 description: Distributed proportionally to each member's item subtotal
+ *               serviceCharge:
+ *                 type: number
+ *                 description: Distributed proportionally to each member's item subtotal
+ *               payers:
+ *                 type: array
+ *                 description: Required when changing the amount of an expense with several payers
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     email:
+ *                       type: string
+ *                     amount:
+ *                       type: number
+ *               image:
+ *                 type: string
+ *                 format: binary
+ *                 description: Optional receipt/bill image, added to the attachments
+ *               attachments:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *                 description: Optional receipts and invoices (images or PDFs), added to the attachments
+ *     responses:
+ *       200:
+ *         description: Expense updated successfully
+ *       400:
+ *         description: Invalid input or no changes provided
+ *       403:
+ *         description: Access denied - Not a member of the group
+ *       404:
+ *         description: Expense not found
+ */
+router.patch('/:expenseId', authenticateUser, uploadAttachments, async (req, res) => {
+  try {
+    const { expenseId } = req.params;
+    const {
+      amount,
+      currency,
+      exchangeRate,
+      description,
+      date,
+      category,
+      splitAmong,
+      splitType,
+      splits,
+      payers,
+      items,
+      tax,
+      tip,
+      serviceCharge
+    } = req.body;
+    
+    // Validate ObjectId format
+    if (!mongoose.Types.ObjectId.isValid(expenseId)) {
+      return res.status(400).json({ 
+        status: 'error',
+        message: 'Invalid expense ID format' 
+      });
+    }
+    
+    const expense = await Expense.findById(expenseId);
+    if (!expense) {
+      return res.status(404).json({ 
+        status: 'error',
+        message: 'Expense not found' 
+      });
+    }
+
+    // Verify user is a member of the expense's group
+    const group = await Group.findById(expense.groupId);
+    if (!group || !group.members.includes(req.user.email)) {
+      return res.status(403).json({ 
+        status: 'error',
+        message: 'Access denied' 
+      });
+    }
+
+    if (expense.deletedAt) {
+      return res.status(400).json({ 
+        status: 'error',
+        message: 'Deleted expenses must be restored before they can be edited' 
+      });
+    }
+
+    const before = getRevisionSnapshot(expense, group.currency);
+    
+    // Amounts are entered in the expense's own currency
+    const currentOriginalAmount = expense.originalAmount || expense.amount;
+    let amountNum = currentOriginalAmount;
+    if (amount !== undefined) {
+      amountNum = typeof amount === 'string' ? parseFloat(amount) : amount;
+      if (!amountNum || isNaN(amountNum) || amountNum <= 0) {
+        return res.status(400).json({ 
+          status: 'error',
+          message: 'Amount must be a positive number' 
+        });
+      }
+    }
+    
+    // Validate currency
+    if (currency !== undefined && (typeof currency !== 'string' || !CURRENCY_CODE_REGEX.test(currency.toUpperCase()))) {
+      return res.status(400).json({ 
+        status: 'error',
+        message: 'Currency must be a 3-letter currency code' 
+      });
+    }
+    
+    // Validate description
+    if (description !== undefined && (typeof description !== 'string' || description.trim().length === 0)) {
+      return res.status(400).json({ 
+        status: 'error',
+        message: 'Description cannot be empty' 
+      });
+    }
+    
+    // Validate date
+    if (date !== undefined && (!date || isNaN(Date.parse(date)))) {
+      return res.status(400).json({ 
+        status: 'error',
+        message: 'Valid date is required' 
+      });
+    }
+    
+    // Validate category
+    if (category !== undefined && !EXPENSE_CATEGORY_KEYS.includes(category)) {
+      return res.status(400).json({ 
+        status: 'error',
+        message: `Invalid category. Must be one of: ${EXPENSE_CATEGORY_KEYS.join(', ')}` 
+      });
+    }
+
+    // Look the rate up again when the currency or manual rate changes, or the date of a table rate moves
+    const currentCurrency = expense.currency || group.currency;
+    const expenseCurrency = currency ? currency.toUpperCase() : currentCurrency;
+    let conversion = {
+      rate: expense.exchangeRate || 1,
+      source: expense.exchangeRateSource || null,
+      effectiveDate: expense.exchangeRateDate || null
+    };
+    if (exchangeRate !== undefined || expenseCurrency !== currentCurrency || (date !== undefined && conversion.source === 'table')) {
+      conversion = await resolveExpenseExchangeRate({
+        from: expenseCurrency,
+        to: group.currency,
+        date: new Date(date || expense.date),
+        groupId: group._id,
+        manualRate: exchangeRate
+      });
+    }
+
+    const amountChanged = amountNum !== currentOriginalAmount;
+    const rateChanged = conversion.rate !== (expense.exchangeRate || 1);
+    const splitChanged = [splitType, splitAmong, splits, items, tax, tip, serviceCharge].some(value => value !== undefined);
+    const moneyChanged = amountChanged || rateChanged || splitChanged || payers !== undefined || expenseCurrency !== currentCurrency;
+
+    // Rebuild split and payers in the expense currency, then convert them together
+    let split = null;
+    let payerList = null;
+    let converted = null;
+    if (moneyChanged) {
+      split = buildExpenseSplits({
+        amount: amountNum,
+        currency: expenseCurrency,
+        splitType: splitType || expense.splitType,
+        splitAmong: splitAmong !== undefined ? splitAmong : expense.splitAmong,
+        splits: splits !== undefined
+          ? splits
+          : expense.splits.map(entry => ({ email: entry.email, value: entry.value })),
+        items: items !== undefined ? items : expense.toObject().items,
+        tax: tax !== undefined ? tax : expense.tax,
+        tip: tip !== undefined ? tip : expense.tip,
+        serviceCharge: serviceCharge !== undefined ? serviceCharge : expense.serviceCharge
+      });
+
+      // Refund payers are listed with negative amounts but entered as positive ones
+      const currentPayers = getExpensePayers(expense, group.currency).map(payer => ({
+        email: payer.email,
+        amount: Math.abs(payer.originalAmount || payer.amount)
+      }));
+      if (payers === undefined && amountChanged && currentPayers.length > 1) {
+        return res.status(400).json({ 
+          status: 'error',
+          message: 'payers must be provided when changing the amount of an expense with several payers' 
+        });
+      }
+      payerList = buildExpensePayers({
+        amount: amountNum,
+        currency: expenseCurrency,
+        payers: payers !== undefined || amountChanged ? payers : currentPayers,
+        defaultPayer: currentPayers[0].email
+      });
+      
+      if (payerList.some(payer => !group.members.includes(payer.email))) {
+        return res.status(400).json({ 
+          status: 'error',
+          message: 'All payers must be members of the group' 
+        });
+      }
+
+      converted = convertExpenseAmounts({
+        amount: amountNum,
+        currency: expenseCurrency,
+        groupCurrency: group.currency,
+        splits: split.splits,
+        payers: payerList,
+        exchangeRate: conversion.rate
+      });
+
+      // A refund of an existing expense stays within its members and amount
+      const original = expense.refundOf
+        ? await Expense.findOne({ _id: expense.refundOf, deletedAt: null })
+        : null;
+      if (original) {
+        const originalMembers = getExpenseShares(original, group.currency).map(share => share.email);
+        if (split.splits.some(entry => !originalMembers.includes(entry.email))) {
+          return res.status(400).json({ 
+            status: 'error',
+            message: 'Refunded members must be part of the original expense' 
+          });
+        }
+        await checkRefundLimit(original, converted.amountMinor, group.currency, expense._id);
+      }
+    }
+
+    // Uploaded files are added to the existing attachments
+    if (getExpenseAttachments(expense).length + req.files.length > MAX_EXPENSE_ATTACHMENTS) {
+      return res.status(400).json({
+        status: 'error',
+        message: `An expense can have at most ${MAX_EXPENSE_ATTACHMENTS} attachments`
+      });
+    }
+
+    let newAttachments = [];
+    try {
+      const folder = getExpenseReceiptFolder(expense.groupId.toString());
+      newAttachments = await uploadAttachmentFiles(req.files, folder, req.user.email);
+    } catch (error) {
+      console.error('Receipt upload error:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: 'Error uploading receipt: ' + error.message
+      });
+    }
+
+    // Apply changes
+    if (description !== undefined) {
+      expense.description = description;
+    }
+    if (date !== undefined) {
+      expense.date = date;
+    }
+    if (category !== undefined) {
+      expense.category = category;
+    }
+    if (moneyChanged) {
+      expense.amount = converted.amount;
+      expense.amountMinor = converted.amountMinor;
+      expense.currency = expenseCurrency;
+      expense.originalAmount = amountNum;
+      expense.exchangeRate = conversion.rate;
+      expense.exchangeRateSource = conversion.source;
+      expense.exchangeRateDate = conversion.effectiveDate;
+      expense.splitType = split.splitType;
+      expense.splitAmong = split.splitAmong;
+      expense.splits = converted.splits;
+      expense.items = split.items;
+      expense.tax = split.tax;
+      expense.tip = split.tip;
+      expense.serviceCharge = split.serviceCharge;
+      expense.payers = converted.payers;
+      expense.paidBy = getPrimaryPayer(converted.payers);
+      // Participants approve the new amounts again
+      startApproval(expense, group, req.user.email);
+    }
+    if (newAttachments.length > 0) {
+      adoptLegacyInvoice(expense);
+      expense.attachments.push(...newAttachments);
+      syncInvoice(expense);
+    }
+
+    const after = getRevisionSnapshot(expense, group.currency);
+    const changes = Object.keys(after)
+      .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+      .map(field => ({ field, before: before[field], after: after[field] }));
+
+    if (changes.length === 0) {
+      return res.status(400).json({ 
+        status: 'error',
+        message: 'No changes provided' 
+      });
+    }
+
+    expense.updatedAt = new Date();
+    await saveLedgerEntry(expense, group);
+
+    const revision = await ExpenseRevision.create({
+      expenseId: expense._id,
+      groupId: expense.groupId,
+      editedBy: req.user.email,
+      changes
+    });
+
+    // Notify everyone involved before or after the edit
+    const affectedMembers = new Set([
+      ...before.splits.map(entry => entry.email),
+      ...before.payers.map(payer => payer.email),
+      ...after.splits.map(entry => entry.email),
+      ...after.payers.map(payer => payer.email)
+    ]);
+    const changedFields = changes.map(change => change.field);
+
+    const notificationPromises = group.members
+      .filter(email => email !== req.user.email && affectedMembers.has(email))
+      .map(email => {
+        const share = getMemberShare(expense, email, group.currency);
+        let message = share > 0
+          ? `${req.user.name} updated the expense "${expense.description}" in ${group.name}. Your share: ${group.currency} ${share.toFixed(2)}`
+          : `${req.user.name} updated the expense "${expense.description}" in ${group.name}`;
+        if (moneyChanged && expense.status === 'pending' && expense.approvals.some(approval => approval.email === email)) {
+          message += '. Please approve or dispute it';
+        }
+        
+        return createNotification(
+          email,
+          message,
+          'expense_updated',
+          expense.groupId,
+          {
+            expenseId: expense._id.toString(),
+            revisionId: revision._id.toString(),
+            amount: expense.amount,
+            share,
+            description: expense.description,
+            changedFields
+          },
+          {
+            title: 'Expense Updated',
+            actor: {
+              email: req.user.email,
+              name: req.user.name,
+              profilePicture: req.user.profilePicture || null
+            }
+          }
+        );
+      });
+
+    await Promise.all(notificationPromises);
+
+    res.json({
+      status: 'success',
+      data: {
+        expenseId: expense._id,
+        revisionId: revision._id,
+        message: 'Expense updated successfully'
+      }
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ 
+        status: 'error',
+        message: error.message 
+      });
+    }
+    console.error('Update expense error:', error);
+    res.status(500).json({ 
+      status: 'error',
+      message: 'Error updating expense' 
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /expenses/{expenseId}/approve:
+ *   post:
+ *     summary: Approve an expense you take part in
+ *     description: >
+ *       In groups that require approval, an expense counts toward balances once every participant has approved it.
+ *       Approving replaces an earlier dispute by the same participant. The payers are notified.
+ *     tags: [Expenses]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: expenseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Approval recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     status:
+ *                       type: string
+ *                       enum: [pending, approved, disputed]
+ *                     approvals:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ExpenseApproval'
+ *       400:
+ *         description: You are not asked to approve this expense
+ *       403:
+ *         description: Access denied - Not a member of the group
+ *       404:
+ *         description: Expense not found
+ */
+router.post('/:expenseId/approve', authenticateUser, async (req, res) => {
+  try {
+    const { expenseId } = req.params;
+
+    // Validate ObjectId format
+    if (!mongoose.Types.ObjectId.isValid(expenseId)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid expense ID format'
+      });
+    }
+
+    const expense = await Expense.findById(expenseId);
+    if (!expense || expense.deletedAt) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Expense not found'
+      });
+    }
+
+    // Verify user is a member of the expense's group
+    const group = await Group.findById(expense.groupId);
+    if (!group || !group.members.includes(req.user.email)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Access denied'
+      });
+    }
+
+    const updated = await recordApprovalResponse(expense, group, req.user.email, 'approved');
+    if (!updated) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'You are not asked to approve this expense'
+      });
+    }
+
+    const message = updated.status === 'approved'
+      ? `${req.user.name} approved the expense "${updated.description}" in ${group.name}. It now counts toward balances`
+      : `${req.user.name} approved the expense "${updated.description}" in ${group.name}`;
+    await notifyExpensePayers(updated, group, req.user, 'expense_approved', message);
+
+    res.json({
+      status: 'success',
+      data: {
+        status: updated.status,
+        approvals: updated.approvals
+      }
+    });
+  } catch (error) {
+    console.error('Approve expense error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error approving expense'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /expenses/{expenseId}/dispute:
+ *   post:
+ *     summary: Dispute an expense you take part in
+ *     description: >
+ *       A disputed expense is listed separately and left out of balances until the participant approves it
+ *       or the expense is edited. The payers are notified with the reason.
+ *     tags: [Expenses]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: expenseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Dispute recorded
+ *       400:
+ *         description: Missing reason, or you are not asked to approve this expense
+ *       403:
+ *         description: Access denied - Not a member of the group
+ *       404:
+ *         description: Expense not found
+ */
+router.post('/:expenseId/dispute', authenticateUser, async (req, res) => {
+  try {
+    const { expenseId } = req.params;
+    const { reason } = req.body;
+
+    // Validate ObjectId format
+    if (!mongoose.Types.ObjectId.isValid(expenseId)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid expense ID format'
+      });
+    }
+
+    if (!reason || typeof reason !== 'string' || reason.trim().length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'A reason is required to dispute an expense'
+      });
+    }
+
+    if (reason.trim().length > 500) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Reason cannot exceed 500 characters'
+      });
+    }
+
+    const expense = await Expense.findById(expenseId);
+    if (!expense || expense.deletedAt) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Expense not found'
+      });
+    }
+
+    // Verify user is a member of the expense's group
+    const group = await Group.findById(expense.groupId);
+    if (!group || !group.members.includes(req.user.email)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Access denied'
+      });
+    }
+
+    const updated = await recordApprovalResponse(expense, group, req.user.email, 'disputed', reason.trim());
+    if (!updated) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'You are not asked to approve this expense'
+      });
+    }
+
+    await notifyExpensePayers(
+      updated,
+      group,
+      req.user,
+      'expense_disputed',
+      `${req.user.name} disputed the expense "${updated.description}" in ${group.name}: ${reason.trim()}`
+    );
+
+    res.json({
+      status: 'success',
+      data: {
+        status: updated.status,
+        approvals: updated.approvals
+      }
+    });
+  } catch (error) {
+    console.error('Dispute expense error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error disputing expense'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /expenses/{expenseId}/attachments:
+ *   post:
+ *     summary: Add receipts or invoices to an expense
+ *     description: File types are detected from their content; only images and PDFs are accepted.
+ *     tags: [Expenses]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: expenseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               attachments:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       201:
+ *         description: Attachments added
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     attachments:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ExpenseAttachment'
+ *       400:
+ *         description: No files, unsupported file type or too many attachments
+ *       403:
+ *         description: Access denied - Not a member of the group
+ *       404:
+ *         description: Expense not found
+ */
+router.post('/:expenseId/attachments', authenticateUser, uploadAttachments, async (req, res) => {
+  try {
+    const { expenseId } = req.params;
+
+    // Validate ObjectId format
+    if (!mongoose.Types.ObjectId.isValid(expenseId)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid expense ID format'
+      });
+    }
+
+    if (req.files.length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'At least one file is required'
+      });
+    }
+
+    const expense = await Expense.findById(expenseId);
+    if (!expense || expense.deletedAt) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Expense not found'
+      });
+    }
+
+    // Verify user is a member of the expense's group
+    const group = await Group.findById(expense.groupId);
+    if (!group || !group.members.includes(req.user.email)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Access denied'
+      });
+    }
+
+    if (getExpenseAttachments(expense).length + req.files.length > MAX_EXPENSE_ATTACHMENTS) {
+      return res.status(400).json({
+        status: 'error',
+        message: `An expense can have at most ${MAX_EXPENSE_ATTACHMENTS} attachments`
+      });
+    }
+
+    let newAttachments;
+    try {
+      const folder = getExpenseReceiptFolder(expense.groupId.toString());
+      newAttachments = await uploadAttachmentFiles(req.files, folder, req.user.email);
+    } catch (error) {
+      console.error('Receipt upload error:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: 'Error uploading receipt: ' + error.message
+      });
+    }
+
+    const before = getRevisionSnapshot(expense, group.currency);
+    adoptLegacyInvoice(expense);
+    expense.attachments.push(...newAttachments);
+    syncInvoice(expense);
+    await saveAttachmentChange(expense, before, group.currency, req.user);
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        attachments: getExpenseAttachments(expense)
+      }
+    });
+  } catch (error) {
+    console.error('Add expense attachments error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error adding attachments'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /expenses/{expenseId}/attachments/{attachmentId}:
+ *   delete:
+ *     summary: Remove an attachment from an expense
+ *     tags: [Expenses]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: expenseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: attachmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Attachment removed; returns the remaining attachments
+ *       403:
+ *         description: Access denied - Not a member of the group
+ *       404:
+ *         description: Expense or attachment not found
+ */
+router.delete('/:expenseId/attachments/:attachmentId', authenticateUser, async (req, res) => {
+  try {
+    const { expenseId, attachmentId } = req.params;
+
+    // Validate ObjectId format
+    if (!mongoose.Types.ObjectId.isValid(expenseId)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid expense ID format'
+      });
+    }
+
+    const expense = await Expense.findById(expenseId);
+    if (!expense || expense.deletedAt) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Expense not found'
+      });
+    }
+
+    // Verify user is a member of the expense's group
+    const group = await Group.findById(expense.groupId);
+    if (!group || !group.members.includes(req.user.email)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Access denied'
+      });
+    }
+
+    const attachment = mongoose.Types.ObjectId.isValid(attachmentId) ? expense.attachments.id(attachmentId) : null;
+    if (!attachment) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Attachment not found'
+      });
+    }
+
+    const before = getRevisionSnapshot(expense, group.currency);
+    attachment.deleteOne();
+    syncInvoice(expense);
+    await saveAttachmentChange(expense, before, group.currency, req.user);
+
+    res.json({
+      status: 'success',
+      data: {
+        attachments: getExpenseAttachments(expense)
+      }
+    });
+  } catch (error) {
+    console.error('Remove expense attachment error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error removing attachment'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /expenses/{expenseId}/history:
+ *   get:
+ *     summary: Get the revision history of an expense
+ *     tags: [Expenses]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: expenseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Revisions of the expense, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   enum: [success]
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     expenseId:
+ *                       type: string
+ *                     revisions:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           editedBy:
+ *                             type: string
+ *                           createdAt:
+ *                             type: string
+ *                             format: date-time
+ *                           changes:
+ *                             type: array
+ *                             items:
+ *                               type: object
+ *                               properties:
+ *                                 field:
+ *                                   type: string
+ *                                 before: {}
+ *                                 after: {}
+ */
+router.get('/:expenseId/history', authenticateUser, async (req, res) => {
   try {
     const { expenseId } = req.params;
     
@@ -533,19 +1961,118 @@ router.delete('/:expenseId', authenticateUser, async (req, res) => {
       });
     }
 
-    // Verify user is the one who created the expense
-    if (expense.paidBy !== req.user.email) {
+    // Verify user is a member of the expense's group
+    const group = await Group.findById(expense.groupId);
+    if (!group || !group.members.includes(req.user.email)) {
+      return res.status(403).json({ 
+        status: 'error',
+        message: 'Access denied' 
+      });
+    }
+
+    const revisions = await ExpenseRevision.find({ expenseId })
+      .sort({ createdAt: -1 });
+    
+    res.json({
+      status: 'success',
+      data: {
+        expenseId,
+        revisions
+      }
+    });
+  } catch (error) {
+    console.error('Get expense history error:', error);
+    res.status(500).json({ 
+      status: 'error',
+      message: 'Error fetching expense history' 
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /expenses/{expenseId}:
+ *   delete:
+ *     summary: Move an expense to the group trash
+ *     description: The expense is soft deleted and excluded from balances. It can be restored within the trash retention window.
+ *     tags: [Expenses]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: expenseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Expense deleted successfully
+ *       403:
+ *         description: Access denied - Not a member of the group, or not the expense creator
+ *       404:
+ *         description: Expense not found
+ */
+router.delete('/:expenseId', authenticateUser, async (req, res) => {
+  try {
+    const { expenseId } = req.params;
+    
+    // Validate ObjectId format
+    if (!mongoose.Types.ObjectId.isValid(expenseId)) {
+      return res.status(400).json({ 
+        status: 'error',
+        message: 'Invalid expense ID format' 
+      });
+    }
+    
+    const expense = await Expense.findById(expenseId);
+    if (!expense || expense.deletedAt) {
+      return res.status(404).json({ 
+        status: 'error',
+        message: 'Expense not found' 
+      });
+    }
+
+    // Verify user is a member of the expense's group
+    const group = await Group.findById(expense.groupId);
+    if (!group || !group.members.includes(req.user.email)) {
+      return res.status(403).json({ 
+        status: 'error',
+        message: 'Access denied' 
+      });
+    }
+
+    // Only whoever added the expense can delete it (expenses from before createdBy was stored fall back to the payer)
+    if ((expense.createdBy || expense.paidBy) !== req.user.email) {
       return res.status(403).json({ 
         status: 'error',
         message: 'Only the expense creator can delete it' 
       });
     }
 
-    await Expense.findByIdAndDelete(expenseId);
+    // Refunds only make sense next to the expense they reverse
+    const activeRefunds = await Expense.countDocuments({ refundOf: expense._id, deletedAt: null });
+    if (activeRefunds > 0) {
+      return res.status(400).json({ 
+        status: 'error',
+        message: 'Delete the refunds of this expense first' 
+      });
+    }
+
+    expense.deletedAt = new Date();
+    expense.deletedBy = req.user.email;
+    await saveLedgerEntry(expense, group);
+
+    await notifyExpenseMembers(
+      expense,
+      group,
+      req.user,
+      'expense_deleted',
+      `${req.user.name} deleted the expense "${expense.description}" (${group.currency} ${expense.amount}) in ${group.name}`
+    );
     
     res.json({ 
       status: 'success',
-      message: 'Expense deleted successfully' 
+      message: 'Expense moved to trash' 
     });
   } catch (error) {
     console.error('Delete expense error:', error);
@@ -556,6 +2083,123 @@ router.delete('/:expenseId', authenticateUser, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /expenses/{expenseId}/restore:
+ *   post:
+ *     summary: Restore a deleted expense from the group trash
+ *     tags: [Expenses]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: expenseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Expense restored successfully
+ *       400:
+ *         description: Expense is not deleted or the retention window has passed
+ *       403:
+ *         description: Access denied - Not a member of the group, or not the expense creator
+ *       404:
+ *         description: Expense not found
+ */
+router.post('/:expenseId/restore', authenticateUser, async (req, res) => {
+  try {
+    const { expenseId } = req.params;
+    
+    // Validate ObjectId format
+    if (!mongoose.Types.ObjectId.isValid(expenseId)) {
+      return res.status(400).json({ 
+        status: 'error',
+        message: 'Invalid expense ID format' 
+      });
+    }
+    
+    const expense = await Expense.findById(expenseId);
+    if (!expense) {
+      return res.status(404).json({ 
+        status: 'error',
+        message: 'Expense not found' 
+      });
+    }
+
+    // Verify user is a member of the expense's group
+    const group = await Group.findById(expense.groupId);
+    if (!group || !group.members.includes(req.user.email)) {
+      return res.status(403).json({ 
+        status: 'error',
+        message: 'Access denied' 
+      });
+    }
+
+    // Only whoever added the expense can restore it (expenses from before createdBy was stored fall back to the payer)
+    if ((expense.createdBy || expense.paidBy) !== req.user.email) {
+      return res.status(403).json({ 
+        status: 'error',
+        message: 'Only the expense creator can restore it' 
+      });
+    }
+
+    if (!expense.deletedAt) {
+      return res.status(400).json({ 
+        status: 'error',
+        message: 'Expense is not deleted' 
+      });
+    }
+
+    if (!isRestorable(expense.deletedAt)) {
+      return res.status(400).json({ 
+        status: 'error',
+        message: `Expenses can only be restored within ${TRASH_RETENTION_DAYS} days of deletion` 
+      });
+    }
+
+    if (expense.refundOf) {
+      const original = await Expense.findOne({ _id: expense.refundOf, deletedAt: null });
+      if (!original) {
+        return res.status(400).json({ 
+          status: 'error',
+          message: 'Restore the refunded expense first' 
+        });
+      }
+      await checkRefundLimit(original, getAmountMinor(expense, group.currency), group.currency, expense._id);
+    }
+
+    expense.deletedAt = null;
+    expense.deletedBy = null;
+    await saveLedgerEntry(expense, group);
+
+    await notifyExpenseMembers(
+      expense,
+      group,
+      req.user,
+      'expense_restored',
+      `${req.user.name} restored the expense "${expense.description}" (${group.currency} ${expense.amount}) in ${group.name}`
+    );
+    
+    res.json({ 
+      status: 'success',
+      message: 'Expense restored successfully' 
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ 
+        status: 'error',
+        message: error.message 
+      });
+    }
+    console.error('Restore expense error:', error);
+    res.status(500).json({ 
+      status: 'error',
+      message: 'Error restoring expense' 
+    });
+  }
+});
+
 /**
  * @swagger
  * /expenses/detail/{expenseId}:
@@ -604,8 +2248,9 @@ router.get('/detail/:expenseId', authenticateUser, async (req, res) => {
     }
 
     // Get user details for paidBy and splitAmong
+    const expensePayers = getExpensePayers(expense, group.currency);
     const users = await User.find({
-      email: { $in: [expense.paidBy, ...expense.splitAmong] }
+      email: { $in: [expense.paidBy, ...expensePayers.map(payer => payer.email), ...expense.splitAmong] }
     }, 'email name profilePicture');
 
     const userMap = users.reduce((map, user) => {
@@ -617,20 +2262,21 @@ router.get('/detail/:expenseId', authenticateUser, async (req, res) => {
     }, {});
 
     // Calculate individual shares
-    if (!expense.splitAmong || expense.splitAmong.length === 0 || !expense.amount || expense.amount <= 0) {
+    const expenseShares = getExpenseShares(expense, group.currency);
+    if (expenseShares.length === 0 || !expense.amount || expense.amount <= 0) {
       return res.status(400).json({ 
         status: 'error',
         message: 'Expense has invalid splitAmong data' 
       });
     }
     
-    const perPersonAmount = expense.amount / expense.splitAmong.length;
-    const shares = expense.splitAmong.map(email => ({
+    const shares = expenseShares.map(share => ({
       user: {
-        email,
-        ...userMap[email]
+        email: share.email,
+        ...userMap[share.email]
       },
-      amount: perPersonAmount
+      amount: share.amount,
+      originalAmount: share.originalAmount
     }));
 
     res.json({
@@ -639,7 +2285,16 @@ router.get('/detail/:expenseId', authenticateUser, async (req, res) => {
         email: expense.paidBy,
         ...userMap[expense.paidBy]
       },
+      payers: expensePayers.map(payer => ({
+        user: {
+          email: payer.email,
+          ...userMap[payer.email]
+        },
+        amount: payer.amount,
+        originalAmount: payer.originalAmount
+      })),
       shares,
+      attachments: getExpenseAttachments(expense),
       group: {
         id: group._id,
         name: group.name,
@@ -655,84 +2310,300 @@ router.get('/detail/:expenseId', authenticateUser, async (req, res) => {
   }
 });
 
-// Helper function to calculate balances
-function calculateBalances(currentUserEmail, groupMembers, expenses, settlements) {
-  // Initialize balance tracking
-  const balances = {};
-  groupMembers.forEach(member => {
-    balances[member] = 0; // Positive means you are owed, negative means you owe
-  });
+// Helper function to build the expense and settlement filters of the expense list
+function buildExpenseListFilters(query) {
+  const { from, to, paidBy, participant, minAmount, maxAmount, q, category } = query;
+  const expense = {};
+  const settlement = {};
+  // Description search and categories only exist on expenses
+  const includeSettlements = q === undefined && category === undefined;
 
-  // Calculate from expenses
-  expenses.forEach(expense => {
-    // Safety check: skip if splitAmong is empty or amount is invalid
-    if (!expense.splitAmong || expense.splitAmong.length === 0 || !expense.amount || expense.amount <= 0) {
-      return;
+  if (from !== undefined || to !== undefined) {
+    const date = {};
+    if (from !== undefined) {
+      if (isNaN(Date.parse(from))) {
+        throw badRequest('from must be a valid date');
+      }
+      date.$gte = new Date(from);
     }
-    
-    const perPersonAmount = expense.amount / expense.splitAmong.length;
-    
-    // Calculate what each person owes (excluding the payer)
-    const payingMembers = expense.splitAmong.filter(member => member !== expense.paidBy);
-    
-    // Add amount to person who paid (only from people who are not the payer)
-    if (balances[expense.paidBy] !== undefined && payingMembers.length > 0) {
-      balances[expense.paidBy] += perPersonAmount * payingMembers.length;
+    if (to !== undefined) {
+      if (isNaN(Date.parse(to))) {
+        throw badRequest('to must be a valid date');
+      }
+      // A date-only end includes everything dated that day
+      date.$lte = parseEndDate(to);
     }
-    
-    // Subtract from people who need to pay (excluding the payer)
-    payingMembers.forEach(member => {
-      if (balances[member] !== undefined) {
-        balances[member] -= perPersonAmount;
+    expense.date = date;
+    settlement.date = date;
+  }
+
+  if (paidBy !== undefined) {
+    expense.$or = [{ 'payers.email': paidBy }, { paidBy }];
+    settlement.paidBy = paidBy;
+  }
+
+  if (participant !== undefined) {
+    expense.splitAmong = participant;
+    settlement.$or = [{ paidBy: participant }, { paidTo: participant }];
+  }
+
+  if (minAmount !== undefined || maxAmount !== undefined) {
+    const amount = {};
+    if (minAmount !== undefined) {
+      if (isNaN(parseFloat(minAmount))) {
+        throw badRequest('minAmount must be a number');
       }
-    });
-  });
+      amount.$gte = parseFloat(minAmount);
+    }
+    if (maxAmount !== undefined) {
+      if (isNaN(parseFloat(maxAmount))) {
+        throw badRequest('maxAmount must be a number');
+      }
+      amount.$lte = parseFloat(maxAmount);
+    }
+    expense.amount = amount;
+    settlement.amount = amount;
+  }
+
+  if (q !== undefined) {
+    if (typeof q !== 'string' || q.trim().length === 0) {
+      throw badRequest('q must be a non-empty string');
+    }
+    const pattern = q.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    expense.description = { $regex: pattern, $options: 'i' };
+  }
 
-  // Adjust for settlements
-  settlements.forEach(settlement => {
-    if (balances[settlement.paidBy] !== undefined) {
-      balances[settlement.paidBy] += settlement.amount;
+  if (category !== undefined) {
+    const categories = String(category).split(',');
+    if (categories.some(key => !EXPENSE_CATEGORY_KEYS.includes(key))) {
+      throw badRequest(`Invalid category. Must be one of: ${EXPENSE_CATEGORY_KEYS.join(', ')}`);
     }
-    if (balances[settlement.paidTo] !== undefined) {
-      balances[settlement.paidTo] -= settlement.amount;
+    expense.category = { $in: categories };
+  }
+
+  return { expense, settlement: includeSettlements ? settlement : null };
+}
+
+// Helper function to capture the editable fields of an expense for revision history
+function getRevisionSnapshot(expense, groupCurrency) {
+  return {
+    amount: expense.amount,
+    currency: expense.currency || null,
+    originalAmount: expense.originalAmount || expense.amount,
+    exchangeRate: expense.exchangeRate || 1,
+    description: expense.description,
+    date: expense.date ? new Date(expense.date).toISOString() : null,
+    category: expense.category || 'other',
+    splitType: expense.splitType || 'equal',
+    splits: getExpenseShares(expense, groupCurrency),
+    items: expense.toObject().items || [],
+    tax: expense.tax || 0,
+    tip: expense.tip || 0,
+    serviceCharge: expense.serviceCharge || 0,
+    payers: getExpensePayers(expense, groupCurrency),
+    attachments: getExpenseAttachments(expense).map(attachment => ({
+      filename: attachment.filename,
+      url: attachment.url
+    }))
+  };
+}
+
+// Helper function to load the expense a refund applies to
+async function getRefundedExpense(refundOf, groupId) {
+  if (!mongoose.Types.ObjectId.isValid(refundOf)) {
+    throw badRequest('Invalid refundOf expense ID format');
+  }
+  const original = await Expense.findOne({ _id: refundOf, groupId, deletedAt: null });
+  if (!original) {
+    throw badRequest('Refunded expense not found in this group');
+  }
+  if (isRefund(original)) {
+    throw badRequest('A refund cannot be refunded');
+  }
+  if (UNAPPROVED_STATUSES.includes(original.status)) {
+    throw badRequest('Only approved expenses can be refunded');
+  }
+  return original;
+}
+
+// Helper function to split a refund like the original expense: in proportion to the chosen members' shares
+function getRefundSplitDefaults(original, splitAmong, groupCurrency) {
+  const shares = getExpenseShares(original, groupCurrency);
+  const chosen = parseJsonField(splitAmong);
+  if (chosen === undefined || chosen === null || chosen === '') {
+    return { splitType: 'shares', splits: shares.map(share => ({ email: share.email, value: share.amountMinor })) };
+  }
+  if (!Array.isArray(chosen) || chosen.some(email => !shares.some(share => share.email === email))) {
+    // Validated (and rejected) like any other equal split
+    return { splitType: 'equal', splitAmong };
+  }
+  return {
+    splitType: 'shares',
+    splits: shares
+      .filter(share => chosen.includes(share.email))
+      .map(share => ({ email: share.email, value: share.amountMinor }))
+  };
+}
+
+// Helper function to check that the refunds of an expense do not add up to more than the expense
+async function checkRefundLimit(original, amountMinor, groupCurrency, excludeRefundId) {
+  const filter = { refundOf: original._id, deletedAt: null };
+  if (excludeRefundId) {
+    filter._id = { $ne: excludeRefundId };
+  }
+  const refunds = await Expense.find(filter, 'amount amountMinor').lean();
+  const refundedMinor = refunds.reduce((sum, refund) => sum + getAmountMinor(refund, groupCurrency), 0);
+  const remainingMinor = getAmountMinor(original, groupCurrency) - refundedMinor;
+  if (amountMinor > remainingMinor) {
+    throw badRequest(`Refunds cannot exceed the original expense. Remaining: ${groupCurrency} ${fromMinorUnits(Math.max(remainingMinor, 0), groupCurrency)}`);
+  }
+}
+
+// Helper function to save an attachment change and record it in the revision history
+async function saveAttachmentChange(expense, before, groupCurrency, actor) {
+  const after = getRevisionSnapshot(expense, groupCurrency);
+  expense.updatedAt = new Date();
+  await expense.save();
+
+  await ExpenseRevision.create({
+    expenseId: expense._id,
+    groupId: expense.groupId,
+    editedBy: actor.email,
+    changes: [{ field: 'attachments', before: before.attachments, after: after.attachments }]
+  });
+}
+
+// Helper function to record a participant's response to an expense. The response is written with a single
+// atomic update so simultaneous responses cannot overwrite each other; the status is then worked out from the
+// responses that update returned, and only kept if no other response was recorded in between (that one sets it)
+async function recordApprovalResponse(expense, group, email, status, reason) {
+  const responded = await Expense.findOneAndUpdate(
+    { _id: expense._id, deletedAt: null, 'approvals.email': email },
+    {
+      $set: {
+        'approvals.$.status': status,
+        'approvals.$.reason': reason || null,
+        'approvals.$.respondedAt': new Date()
+      },
+      $inc: { __v: 1 }
+    },
+    { new: true }
+  );
+  if (!responded) {
+    return null;
+  }
+
+  const expenseStatus = getApprovalStatus(responded.approvals);
+  return runInTransaction(async session => {
+    const updated = await Expense.findOneAndUpdate(
+      { _id: responded._id, __v: responded.__v },
+      { $set: { status: expenseStatus } },
+      { new: true, session }
+    );
+    if (!updated) {
+      return responded;
     }
+    await postLedgerEntry(group, updated, session);
+    return updated;
   });
+}
+
+// Helper function to notify the payers and participants of an expense (except the actor)
+function notifyExpenseMembers(expense, group, actor, type, message) {
+  const involvedMembers = new Set([
+    ...getExpensePayers(expense, group.currency).map(payer => payer.email),
+    ...getExpenseShares(expense, group.currency).map(share => share.email)
+  ]);
+
+  return Promise.all(group.members
+    .filter(email => email !== actor.email && involvedMembers.has(email))
+    .map(email => createNotification(
+      email,
+      message,
+      type,
+      expense.groupId,
+      {
+        expenseId: expense._id.toString(),
+        amount: expense.amount,
+        share: getMemberShare(expense, email, group.currency),
+        description: expense.description
+      },
+      {
+        actor: {
+          email: actor.email,
+          name: actor.name,
+          profilePicture: actor.profilePicture || null
+        }
+      }
+    )));
+}
+
+// Helper function to notify the payers of an expense (except the actor) about an approval response
+function notifyExpensePayers(expense, group, actor, type, message) {
+  const payerEmails = new Set(getExpensePayers(expense, group.currency).map(payer => payer.email));
+
+  return Promise.all([...payerEmails]
+    .filter(email => email !== actor.email && group.members.includes(email))
+    .map(email => createNotification(
+      email,
+      message,
+      type,
+      expense.groupId,
+      {
+        expenseId: expense._id.toString(),
+        amount: expense.amount,
+        description: expense.description,
+        status: expense.status
+      },
+      {
+        actor: {
+          email: actor.email,
+          name: actor.name,
+          profilePicture: actor.profilePicture || null
+        }
+      }
+    )));
+}
+
+// Helper function to format the current user's balances (ledger amounts in minor units of the group currency).
+// Everything comes from the user's own ledger account: its total, and what each other member owes it.
+function calculateBalances(currentUserEmail, groupBalances, currency) {
+  const balance = groupBalances[currentUserEmail] || { netMinor: 0, debts: {} };
 
   // Format the output
   const youOwe = [];
   const youAreOwed = [];
-  let totalBalance = 0;
 
-  Object.entries(balances).forEach(([member, amount]) => {
-    if (member === currentUserEmail) {
-      totalBalance = amount;
-    } else if (amount > 0) {
+  Object.entries(balance.debts).forEach(([member, amount]) => {
+    if (amount < 0) {
       // Current user owes this person
       youOwe.push({
         user: member,
-        amount: Math.abs(amount)
+        amount: fromMinorUnits(-amount, currency)
       });
-    } else if (amount < 0) {
+    } else if (amount > 0) {
       // This person owes the current user
       youAreOwed.push({
         user: member,
-        amount: Math.abs(amount)
+        amount: fromMinorUnits(amount, currency)
       });
     }
   });
 
   return {
-    totalBalance,
+    totalBalance: fromMinorUnits(balance.netMinor, currency),
     youOwe: youOwe.sort((a, b) => b.amount - a.amount),
     youAreOwed: youAreOwed.sort((a, b) => b.amount - a.amount)
   };
 }
 
-// Helper function to calculate expense summary
-function calculateExpenseSummary(groupMembers, expenses) {
+// Helper function to calculate expense summary (summed in minor units of the group currency)
+function calculateExpenseSummary(groupMembers, expenses, currency) {
   const summary = {
     totalExpenses: 0,
     monthlyExpenses: {},
+    expensesByCategory: {},
+    monthlyExpensesByCategory: {},
     expensesByMember: []
   };
 
@@ -740,7 +2611,8 @@ function calculateExpenseSummary(groupMembers, expenses) {
   groupMembers.forEach(member => {
     memberStats[member] = {
       totalPaid: 0,
-      totalShare: 0
+      totalShare: 0,
+      shareByCategory: {}
     };
   });
 
@@ -749,34 +2621,57 @@ function calculateExpenseSummary(groupMembers, expenses) {
     if (!expense.amount || expense.amount <= 0) {
       return;
     }
+    // Refunds are negative and reduce the totals
+    const amountMinor = getExpenseAmountMinor(expense, currency);
     
     // Calculate total expenses
-    summary.totalExpenses += expense.amount;
+    summary.totalExpenses += amountMinor;
 
     // Calculate monthly expenses
     const monthYear = new Date(expense.date).toISOString().slice(0, 7); // YYYY-MM
-    summary.monthlyExpenses[monthYear] = (summary.monthlyExpenses[monthYear] || 0) + expense.amount;
+    summary.monthlyExpenses[monthYear] = (summary.monthlyExpenses[monthYear] || 0) + amountMinor;
+
+    // Calculate category expenses, overall and per month
+    const category = expense.category || 'other';
+    summary.expensesByCategory[category] = (summary.expensesByCategory[category] || 0) + amountMinor;
+    const monthCategories = summary.monthlyExpensesByCategory[monthYear] || {};
+    monthCategories[category] = (monthCategories[category] || 0) + amountMinor;
+    summary.monthlyExpensesByCategory[monthYear] = monthCategories;
 
     // Calculate member statistics
-    if (memberStats[expense.paidBy]) {
-      memberStats[expense.paidBy].totalPaid += expense.amount;
-    }
+    getExpensePayers(expense, currency).forEach(payer => {
+      if (memberStats[payer.email]) {
+        memberStats[payer.email].totalPaid += payer.amountMinor;
+      }
+    });
     
-    // Safety check: skip if splitAmong is empty
-    if (expense.splitAmong && expense.splitAmong.length > 0) {
-      const perPersonShare = expense.amount / expense.splitAmong.length;
-      expense.splitAmong.forEach(member => {
-        if (memberStats[member]) {
-          memberStats[member].totalShare += perPersonShare;
-        }
-      });
-    }
+    getExpenseShares(expense, currency).forEach(share => {
+      if (memberStats[share.email]) {
+        const stats = memberStats[share.email];
+        stats.totalShare += share.amountMinor;
+        stats.shareByCategory[category] = (stats.shareByCategory[category] || 0) + share.amountMinor;
+      }
+    });
   });
 
+  // Convert the minor-unit totals back to amounts in the group currency
+  const toAmounts = (totals) => Object.fromEntries(
+    Object.entries(totals).map(([key, value]) => [key, fromMinorUnits(value, currency)])
+  );
+
+  summary.totalExpenses = fromMinorUnits(summary.totalExpenses, currency);
+  summary.monthlyExpenses = toAmounts(summary.monthlyExpenses);
+  summary.expensesByCategory = toAmounts(summary.expensesByCategory);
+  summary.monthlyExpensesByCategory = Object.fromEntries(
+    Object.entries(summary.monthlyExpensesByCategory).map(([month, totals]) => [month, toAmounts(totals)])
+  );
+
   // Format member statistics
   summary.expensesByMember = Object.entries(memberStats).map(([user, stats]) => ({
     user,
-    ...stats
+    totalPaid: fromMinorUnits(stats.totalPaid, currency),
+    totalShare: fromMinorUnits(stats.totalShare, currency),
+    shareByCategory: toAmounts(stats.shareByCategory)
   }));
 
   return summary;
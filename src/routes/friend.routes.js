@@ -0,0 +1,186 @@
+const express = require('express');
+const router = express.Router();
+const Expense = require('../models/expense.model');
+const Settlement = require('../models/settlement.model');
+const Group = require('../models/group.model');
+const { authenticateUser } = require('../middleware/auth.middleware');
+const { getMemberBalances } = require('../services/ledger.service');
+const { getApprovedFilter, getConfirmedFilter } = require('../utils/approval.util');
+const { fromMinorUnits } = require('../utils/money.util');
+const {
+  parseLimit,
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter,
+  compareNewestFirst
+} = require('../utils/pagination.util');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Friends
+ *   description: Expenses and settlements shared directly with a friend, outside any group
+ */
+
+/**
+ * @swagger
+ * /friends/{email}/ledger:
+ *   get:
+ *     summary: Get the direct expenses and settlements shared with a friend
+ *     tags: [Friends]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: email
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *         description: Maximum number of expenses and settlements in the page
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor from the previous page
+ *     responses:
+ *       200:
+ *         description: Page of the direct ledger with the friend and the balance per currency
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 friend:
+ *                   type: string
+ *                 expenses:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Expense'
+ *                 settlements:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Settlement'
+ *                 pendingSettlements:
+ *                   type: array
+ *                   description: Settlements between you waiting for the recipient to confirm them (not paginated, excluded from balances)
+ *                   items:
+ *                     $ref: '#/components/schemas/Settlement'
+ *                 balances:
+ *                   type: array
+ *                   description: Positive amounts are owed to you by the friend, negative amounts you owe them
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       currency:
+ *                         type: string
+ *                       amount:
+ *                         type: number
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     limit:
+ *                       type: integer
+ *                     hasMore:
+ *                       type: boolean
+ *                     nextCursor:
+ *                       type: string
+ *                       nullable: true
+ *       400:
+ *         description: Invalid email or cursor
+ */
+router.get('/:email/ledger', authenticateUser, async (req, res) => {
+  try {
+    const friendEmail = req.params.email.toLowerCase();
+    const userEmail = req.user.email;
+
+    // Validate email format
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!emailRegex.test(friendEmail) || friendEmail === userEmail) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Please provide the email of another user'
+      });
+    }
+
+    const limit = parseLimit(req.query.limit);
+    const cursorFilter = buildCursorFilter(decodeCursor(req.query.cursor));
+
+    // Direct ledgers both of them take part in (one per set of people and currency)
+    const groups = await Group.find({ type: 'direct', members: { $all: [userEmail, friendEmail] } });
+    const groupIds = groups.map(group => group._id);
+    const settlementFilter = {
+      groupId: { $in: groupIds },
+      deletedAt: null,
+      $or: [
+        { paidBy: userEmail, paidTo: friendEmail },
+        { paidBy: friendEmail, paidTo: userEmail }
+      ]
+    };
+
+    // Fetch one extra item of each kind to know whether another page follows
+    const [pageExpenses, pageSettlements] = await Promise.all([
+      Expense.find({ groupId: { $in: groupIds }, deletedAt: null, ...getApprovedFilter(), ...cursorFilter })
+        .sort({ date: -1, _id: -1 })
+        .limit(limit + 1),
+      Settlement.find({ ...settlementFilter, ...getConfirmedFilter(), $and: [cursorFilter] })
+        .sort({ date: -1, _id: -1 })
+        .limit(limit + 1)
+    ]);
+
+    const timeline = [
+      ...pageExpenses.map(doc => ({ kind: 'expense', doc })),
+      ...pageSettlements.map(doc => ({ kind: 'settlement', doc }))
+    ].sort((a, b) => compareNewestFirst(a.doc, b.doc));
+    const page = timeline.slice(0, limit);
+    const hasMore = timeline.length > limit;
+
+    // Balances always cover the full ledger, not just the current page.
+    // In ledgers shared with more people only the debts between the two of them count.
+    const balancesByGroup = await getMemberBalances(groups, userEmail);
+    const balances = {};
+    groups.forEach(group => {
+      const balance = balancesByGroup[group._id.toString()];
+      const amountMinor = balance ? balance.debts[friendEmail] || 0 : 0;
+      balances[group.currency] = (balances[group.currency] || 0) + amountMinor;
+    });
+
+    // Settlements waiting for confirmation are listed apart and left out of balances
+    const pendingSettlements = await Settlement.find({ ...settlementFilter, status: 'pending' })
+      .sort({ date: -1, _id: -1 });
+
+    res.json({
+      friend: friendEmail,
+      expenses: page.filter(entry => entry.kind === 'expense').map(entry => entry.doc),
+      settlements: page.filter(entry => entry.kind === 'settlement').map(entry => entry.doc),
+      pendingSettlements,
+      balances: Object.entries(balances)
+        .filter(([, amountMinor]) => amountMinor !== 0)
+        .map(([currency, amountMinor]) => ({ currency, amount: fromMinorUnits(amountMinor, currency) })),
+      pagination: {
+        limit,
+        hasMore,
+        nextCursor: hasMore ? encodeCursor(page[page.length - 1].doc) : null
+      }
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    console.error('Get friend ledger error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error fetching friend ledger'
+    });
+  }
+});
+
+module.exports = router;
@@ -2,9 +2,17 @@ const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
 const Group = require('../models/group.model');
+const Expense = require('../models/expense.model');
+const Settlement = require('../models/settlement.model');
+const User = require('../models/user.model');
 const { authenticateUser } = require('../middleware/auth.middleware');
 const { upload } = require('../middleware/upload.middleware');
 const { uploadFile, getGroupImageFolder } = require('../utils/upload.util');
+const { TRASH_RETENTION_DAYS, getTrashCutoffDate } = require('../utils/trash.util');
+const { parseEndDate } = require('../utils/date.util');
+const { EXPORT_FORMATS, EXPORT_CONTENT_TYPES, buildGroupLedger, exportLedger } = require('../services/export.service');
+const { MAX_AUTO_CONFIRM_DAYS, getApprovedFilter, getConfirmedFilter } = require('../utils/approval.util');
+const { SETTLE_PLAN_MODES } = require('../utils/debt.util');
 
 /**
  * @swagger
@@ -48,10 +56,35 @@ const { uploadFile, getGroupImageFolder } = require('../utils/upload.util');
  *           items:
  *             type: string
  *           description: Array of member email addresses
+ *         settings:
+ *           $ref: '#/components/schemas/GroupSettings'
  *         createdAt:
  *           type: string
  *           format: date-time
  *           description: Group creation timestamp
+ *     GroupSettings:
+ *       type: object
+ *       properties:
+ *         requireExpenseApproval:
+ *           type: boolean
+ *           default: false
+ *           description: New and changed expenses stay pending, and out of balances, until every participant approves them
+ *         settlePlan:
+ *           type: string
+ *           enum: [simplified, pairwise]
+ *           default: simplified
+ *           description: >
+ *             How GET /balances/{groupId}/settle-plan pays off balances: simplified uses as few transfers as possible,
+ *             pairwise keeps debts between the members who incurred them
+ *         settlementAutoConfirmDays:
+ *           type: integer
+ *           nullable: true
+ *           minimum: 1
+ *           maximum: 90
+ *           default: null
+ *           description: >
+ *             Days after which a settlement its recipient has not confirmed or rejected is confirmed automatically.
+ *             null keeps settlements pending until the recipient responds
  */
 
 /**
@@ -245,7 +278,8 @@ router.post('/create', authenticateUser, upload, async (req, res) => {
       image: null, // Will be updated after upload
       currency,
       category: validCategory,
-      members: membersArray
+      members: membersArray,
+      ledgerBuiltAt: new Date()
     });
 
     await group.save();
@@ -343,10 +377,326 @@ router.get('/:groupId', authenticateUser, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /groups/{groupId}/settings:
+ *   patch:
+ *     summary: Update group settings
+ *     description: >
+ *       Turning off requireExpenseApproval does not change expenses that are already pending or disputed;
+ *       their participants can still approve them. A new settlementAutoConfirmDays applies to settlements
+ *       recorded from then on.
+ *     tags: [Groups]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/GroupSettings'
+ *     responses:
+ *       200:
+ *         description: Updated settings
+ *       400:
+ *         description: Invalid setting value
+ *       403:
+ *         description: Access denied - Not a member of the group
+ */
+router.patch('/:groupId/settings', authenticateUser, async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const { requireExpenseApproval, settlePlan, settlementAutoConfirmDays } = req.body;
+
+    // Validate ObjectId format
+    if (!mongoose.Types.ObjectId.isValid(groupId)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid group ID format'
+      });
+    }
+
+    if (requireExpenseApproval !== undefined && typeof requireExpenseApproval !== 'boolean') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'requireExpenseApproval must be a boolean'
+      });
+    }
+
+    if (settlePlan !== undefined && !SETTLE_PLAN_MODES.includes(settlePlan)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `settlePlan must be one of: ${SETTLE_PLAN_MODES.join(', ')}`
+      });
+    }
+
+    if (settlementAutoConfirmDays !== undefined && settlementAutoConfirmDays !== null &&
+      (!Number.isInteger(settlementAutoConfirmDays) || settlementAutoConfirmDays < 1 || settlementAutoConfirmDays > MAX_AUTO_CONFIRM_DAYS)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `settlementAutoConfirmDays must be null or a whole number of days from 1 to ${MAX_AUTO_CONFIRM_DAYS}`
+      });
+    }
+
+    // Verify group exists and user is a member
+    const group = await Group.findById(groupId);
+    if (!group || !group.members.includes(req.user.email)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Access denied'
+      });
+    }
+
+    if (requireExpenseApproval !== undefined) {
+      group.settings.requireExpenseApproval = requireExpenseApproval;
+    }
+    if (settlePlan !== undefined) {
+      group.settings.settlePlan = settlePlan;
+    }
+    if (settlementAutoConfirmDays !== undefined) {
+      group.settings.settlementAutoConfirmDays = settlementAutoConfirmDays;
+    }
+    await group.save();
+
+    res.json({
+      status: 'success',
+      data: {
+        settings: group.settings
+      }
+    });
+  } catch (error) {
+    console.error('Update group settings error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error updating group settings'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /groups/{groupId}/trash:
+ *   get:
+ *     summary: Get deleted expenses and settlements that can still be restored
+ *     tags: [Groups]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Group trash
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   enum: [success]
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     retentionDays:
+ *                       type: integer
+ *                     expenses:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Expense'
+ *                     settlements:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Settlement'
+ *       403:
+ *         description: Access denied - Not a member of the group
+ */
+router.get('/:groupId/trash', authenticateUser, async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    
+    // Validate ObjectId format
+    if (!mongoose.Types.ObjectId.isValid(groupId)) {
+      return res.status(400).json({ 
+        status: 'error',
+        message: 'Invalid group ID format' 
+      });
+    }
+    
+    // Verify group exists and user is a member
+    const group = await Group.findById(groupId);
+    if (!group || !group.members.includes(req.user.email)) {
+      return res.status(403).json({ 
+        status: 'error',
+        message: 'Access denied' 
+      });
+    }
+
+    const trashFilter = { groupId, deletedAt: { $gte: getTrashCutoffDate() } };
+    const expenses = await Expense.find(trashFilter).sort({ deletedAt: -1 });
+    const settlements = await Settlement.find(trashFilter).sort({ deletedAt: -1 });
+    
+    res.json({
+      status: 'success',
+      data: {
+        retentionDays: TRASH_RETENTION_DAYS,
+        expenses,
+        settlements
+      }
+    });
+  } catch (error) {
+    console.error('Get group trash error:', error);
+    res.status(500).json({ 
+      status: 'error',
+      message: 'Error fetching group trash' 
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /groups/{groupId}/export:
+ *   get:
+ *     summary: Export the group ledger as CSV, XLSX or a printable PDF statement
+ *     description: >
+ *       Lists every expense and settlement oldest first with each member's share and running balance
+ *       (positive means the member is owed), followed by a final balance table. Items before `from`
+ *       are summarised in an opening balance row.
+ *     tags: [Groups]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, xlsx, pdf]
+ *           default: csv
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Start of the statement period
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: End of the statement period (inclusive; a date without a time includes that whole day)
+ *     responses:
+ *       200:
+ *         description: Ledger file
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Invalid format or date
+ *       403:
+ *         description: Access denied - Not a member of the group
+ */
+router.get('/:groupId/export', authenticateUser, async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const format = req.query.format || 'csv';
+
+    // Validate ObjectId format
+    if (!mongoose.Types.ObjectId.isValid(groupId)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid group ID format'
+      });
+    }
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Invalid format. Must be one of: ${EXPORT_FORMATS.join(', ')}`
+      });
+    }
+
+    const { from, to } = parseExportPeriod(req.query);
+    if (from === undefined || to === undefined) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'from and to must be valid dates'
+      });
+    }
+
+    // Verify group exists and user is a member
+    const group = await Group.findById(groupId);
+    if (!group || !group.members.includes(req.user.email)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Access denied'
+      });
+    }
+
+    // Items before the period are still loaded to compute the opening balances
+    const ledgerFilter = { groupId, deletedAt: null };
+    if (to) {
+      ledgerFilter.date = { $lte: to };
+    }
+    const [expenses, settlements] = await Promise.all([
+      Expense.find({ ...ledgerFilter, ...getApprovedFilter() }).lean(),
+      Settlement.find({ ...ledgerFilter, ...getConfirmedFilter() }).lean()
+    ]);
+
+    const emails = new Set(group.members);
+    expenses.forEach(expense => (expense.payers || []).forEach(payer => emails.add(payer.email)));
+    settlements.forEach(settlement => {
+      emails.add(settlement.paidBy);
+      emails.add(settlement.paidTo);
+    });
+    const users = await User.find({ email: { $in: [...emails] } }).select('email name').lean();
+    const memberNames = Object.fromEntries(users.map(user => [user.email, user.name]));
+
+    const ledger = buildGroupLedger({ group, expenses, settlements, memberNames, from, to });
+    const file = await exportLedger(ledger, format);
+
+    const slug = group.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'group';
+    res.set({
+      'Content-Type': EXPORT_CONTENT_TYPES[format],
+      'Content-Disposition': `attachment; filename="${slug}-ledger.${format}"`
+    });
+    res.send(file);
+  } catch (error) {
+    console.error('Export group error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error exporting group'
+    });
+  }
+});
+
 // Get all groups for user
 router.get('/', authenticateUser, async (req, res) => {
   try {
-    const groups = await Group.find({ members: req.user.email });
+    // Direct ledgers between friends are listed under /friends instead
+    const groups = await Group.find({ members: req.user.email, type: { $ne: 'direct' } });
     res.json(groups);
   } catch (error) {
     console.error('Get groups error:', error);
@@ -405,4 +755,16 @@ router.get('/categories', (req, res) => {
   });
 });
 
+// Helper function to parse the export period; an invalid date is returned as undefined
+function parseExportPeriod(query) {
+  const parse = (value, parseDate) => {
+    if (value === undefined || value === '') {
+      return null;
+    }
+    return isNaN(Date.parse(value)) ? undefined : parseDate(value);
+  };
+  // A date-only end includes everything dated that day
+  return { from: parse(query.from, value => new Date(value)), to: parse(query.to, parseEndDate) };
+}
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,309 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Group = require('../models/group.model');
+const { authenticateUser } = require('../middleware/auth.middleware');
+const { uploadCsv } = require('../middleware/upload.middleware');
+const { createNotification } = require('../services/notification.service');
+const { IMPORT_FORMATS, prepareImport, commitImport } = require('../services/import.service');
+const { parseJsonField } = require('../utils/expense.util');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Imports
+ *   description: Import expense history from Splitwise or other CSV exports
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ImportRow:
+ *       type: object
+ *       properties:
+ *         row:
+ *           type: integer
+ *           description: Line number in the CSV file (the header is line 1)
+ *         type:
+ *           type: string
+ *           enum: [expense, settlement]
+ *         date:
+ *           type: string
+ *         description:
+ *           type: string
+ *         category:
+ *           type: string
+ *         currency:
+ *           type: string
+ *         amount:
+ *           type: number
+ *         paidBy:
+ *           type: string
+ *           description: Payer of a settlement
+ *         paidTo:
+ *           type: string
+ *           description: Recipient of a settlement
+ *         payers:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *               amount:
+ *                 type: number
+ *         splits:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ExpenseSplit'
+ *         errors:
+ *           type: array
+ *           items:
+ *             type: string
+ *     ImportSummary:
+ *       type: object
+ *       properties:
+ *         rows:
+ *           type: integer
+ *         valid:
+ *           type: integer
+ *         invalid:
+ *           type: integer
+ *         expenses:
+ *           type: integer
+ *         settlements:
+ *           type: integer
+ */
+
+/**
+ * @swagger
+ * /imports/{groupId}:
+ *   post:
+ *     summary: Import expenses and settlements from a Splitwise export or a generic CSV
+ *     description: >
+ *       Rows are validated first. With dryRun the parsed rows are returned as a preview;
+ *       otherwise every row must be valid and all documents are created together.
+ *       Members get a single summary notification instead of one per row.
+ *     tags: [Imports]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - format
+ *             properties:
+ *               format:
+ *                 type: string
+ *                 enum: [splitwise, csv]
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: CSV file (or send its content in csv)
+ *               csv:
+ *                 type: string
+ *                 description: CSV content when no file is uploaded
+ *               mapping:
+ *                 type: object
+ *                 description: >
+ *                   Generic CSV only. Column name for date, description, amount and paidBy, and optionally
+ *                   splitAmong (semicolon-separated people, defaults to the whole group), category, currency,
+ *                   type (rows with "settlement" become settlements) and paidTo
+ *               members:
+ *                 type: object
+ *                 description: Maps names used in the file to member emails; people named by a member email map automatically
+ *               dryRun:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       200:
+ *         description: Dry-run preview
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     dryRun:
+ *                       type: boolean
+ *                     summary:
+ *                       $ref: '#/components/schemas/ImportSummary'
+ *                     rows:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ImportRow'
+ *       201:
+ *         description: Expenses and settlements imported
+ *       400:
+ *         description: Invalid file or mapping, or rows with validation errors (returned in data.rows)
+ *       403:
+ *         description: Access denied - Not a member of the group
+ */
+router.post('/:groupId', authenticateUser, uploadCsv, async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const { format, csv } = req.body;
+    const mapping = parseJsonField(req.body.mapping);
+    const members = parseJsonField(req.body.members);
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+
+    // Validate ObjectId format
+    if (!mongoose.Types.ObjectId.isValid(groupId)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid group ID format'
+      });
+    }
+
+    // Validate format
+    if (!IMPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Invalid format. Must be one of: ${IMPORT_FORMATS.join(', ')}`
+      });
+    }
+
+    const content = req.file ? req.file.buffer.toString('utf8') : csv;
+    if (!content || typeof content !== 'string') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'A CSV file or csv content is required'
+      });
+    }
+
+    // Verify group exists and user is a member
+    const group = await Group.findById(groupId);
+    if (!group || !group.members.includes(req.user.email)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Access denied'
+      });
+    }
+
+    const rows = await prepareImport({ format, csv: content, mapping, members }, group, req.user);
+    const summary = getImportSummary(rows);
+
+    if (dryRun) {
+      return res.json({
+        status: 'success',
+        data: {
+          dryRun: true,
+          summary,
+          rows: rows.map(formatImportRow)
+        }
+      });
+    }
+
+    if (summary.invalid > 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: `${summary.invalid} row(s) have errors. Fix them or run a dry run to review the file`,
+        data: {
+          summary,
+          rows: rows.filter(row => row.errors.length > 0).map(formatImportRow)
+        }
+      });
+    }
+
+    const { expenses, settlements } = await commitImport(rows, group);
+
+    // One summary notification per member instead of one per imported row
+    const message = `${req.user.name} imported ${expenses.length} expenses and ${settlements.length} settlements into ${group.name}`;
+    await Promise.all(group.members
+      .filter(email => email !== req.user.email)
+      .map(email => {
+        // In groups that require approval, participants are asked to approve or dispute their expenses
+        const awaitingApprovalCount = expenses.filter(expense => expense.status === 'pending' &&
+          expense.approvals.some(approval => approval.email === email)).length;
+        return createNotification(
+          email,
+          awaitingApprovalCount > 0
+            ? `${message}. Please approve or dispute the ${awaitingApprovalCount} expense(s) you take part in`
+            : message,
+          'expenses_imported',
+          group._id,
+          {
+            expenseCount: expenses.length,
+            settlementCount: settlements.length,
+            awaitingApprovalCount
+          },
+          {
+            actor: {
+              email: req.user.email,
+              name: req.user.name,
+              profilePicture: req.user.profilePicture || null
+            }
+          }
+        );
+      }));
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        summary,
+        expenseIds: expenses.map(expense => expense._id),
+        settlementIds: settlements.map(settlement => settlement._id),
+        message
+      }
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    console.error('Import error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error importing expenses'
+    });
+  }
+});
+
+// Helper function to count the rows of an import by outcome and type
+function getImportSummary(rows) {
+  const validRows = rows.filter(row => row.errors.length === 0);
+  return {
+    rows: rows.length,
+    valid: validRows.length,
+    invalid: rows.length - validRows.length,
+    expenses: validRows.filter(row => row.type === 'expense').length,
+    settlements: validRows.filter(row => row.type === 'settlement').length
+  };
+}
+
+// Helper function to describe a parsed row in the import preview
+function formatImportRow(row) {
+  const { document } = row;
+  return {
+    row: row.row,
+    type: row.type,
+    date: row.date,
+    description: row.description,
+    category: row.type === 'expense' ? row.category : undefined,
+    currency: row.currency,
+    amount: row.amount,
+    paidBy: row.type === 'settlement' ? row.paidBy : undefined,
+    paidTo: row.type === 'settlement' ? row.paidTo : undefined,
+    payers: document && document.payers ? document.payers : row.payers,
+    splits: document && document.splits ? document.splits : undefined,
+    errors: row.errors
+  };
+}
+
+module.exports = router;
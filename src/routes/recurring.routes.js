@@ -0,0 +1,535 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const RecurringExpense = require('../models/recurringExpense.model');
+const Group = require('../models/group.model');
+const { authenticateUser } = require('../middleware/auth.middleware');
+const { buildExpenseSplits, buildExpensePayers, getPrimaryPayer } = require('../utils/expense.util');
+const { toMinorUnits, fromMinorUnits } = require('../utils/money.util');
+const { EXPENSE_CATEGORY_KEYS } = require('../config/categories.config');
+const { getScheduleState } = require('../services/recurring.service');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Recurring Expenses
+ *   description: Expenses that are added to a group automatically on a schedule
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     RecurringExpense:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         groupId:
+ *           type: string
+ *         createdBy:
+ *           type: string
+ *         interval:
+ *           type: string
+ *           enum: [daily, weekly, monthly, yearly]
+ *         startDate:
+ *           type: string
+ *           format: date
+ *         endDate:
+ *           type: string
+ *           format: date
+ *         template:
+ *           type: object
+ *           description: Amount, description, payers and split used for every generated expense
+ *         nextRunAt:
+ *           type: string
+ *           format: date-time
+ *           description: Date of the next expense to be generated
+ *         lastRunAt:
+ *           type: string
+ *           format: date-time
+ *         active:
+ *           type: boolean
+ */
+
+// Valid recurring intervals
+const RECURRING_INTERVALS = ['daily', 'weekly', 'monthly', 'yearly'];
+
+/**
+ * @swagger
+ * /recurring/create:
+ *   post:
+ *     summary: Create a recurring expense definition for a group
+ *     tags: [Recurring Expenses]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - groupId
+ *               - interval
+ *               - startDate
+ *               - amount
+ *               - description
+ *             properties:
+ *               groupId:
+ *                 type: string
+ *               interval:
+ *                 type: string
+ *                 enum: [daily, weekly, monthly, yearly]
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Date of the first generated expense
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Optional date after which no more expenses are generated
+ *               amount:
+ *                 type: number
+ *               description:
+ *                 type: string
+ *               category:
+ *                 type: string
+ *                 description: Expense category key (see GET /expenses/categories)
+ *               splitType:
+ *                 type: string
+ *                 enum: [equal, exact, percent, shares, itemized]
+ *               splitAmong:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               splits:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     email:
+ *                       type: string
+ *                     value:
+ *                       type: number
+ *               payers:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     email:
+ *                       type: string
+ *                     amount:
+ *                       type: number
+ *     responses:
+ *       201:
+ *         description: Recurring expense created successfully
+ *       400:
+ *         description: Invalid input
+ *       403:
+ *         description: Access denied - Not a member of the group
+ */
+router.post('/create', authenticateUser, async (req, res) => {
+  try {
+    const {
+      groupId,
+      interval,
+      startDate,
+      endDate,
+      amount,
+      description,
+      category,
+      splitType,
+      splitAmong,
+      splits,
+      items,
+      tax,
+      tip,
+      serviceCharge,
+      payers
+    } = req.body;
+    
+    // Validate ObjectId format
+    if (!mongoose.Types.ObjectId.isValid(groupId)) {
+      return res.status(400).json({ 
+        status: 'error',
+        message: 'Invalid group ID format' 
+      });
+    }
+    
+    // Validate interval
+    if (!RECURRING_INTERVALS.includes(interval)) {
+      return res.status(400).json({ 
+        status: 'error',
+        message: `Invalid interval. Must be one of: ${RECURRING_INTERVALS.join(', ')}` 
+      });
+    }
+    
+    // Validate dates
+    if (!startDate || isNaN(Date.parse(startDate))) {
+      return res.status(400).json({ 
+        status: 'error',
+        message: 'Valid startDate is required' 
+      });
+    }
+    if (endDate !== undefined && endDate !== null && (isNaN(Date.parse(endDate)) || new Date(endDate) < new Date(startDate))) {
+      return res.status(400).json({ 
+        status: 'error',
+        message: 'endDate must be a valid date on or after startDate' 
+      });
+    }
+    
+    // Parse and validate amount
+    const amountNum = typeof amount === 'string' ? parseFloat(amount) : amount;
+    if (!amountNum || isNaN(amountNum) || amountNum <= 0) {
+      return res.status(400).json({ 
+        status: 'error',
+        message: 'Amount must be a positive number' 
+      });
+    }
+    
+    // Validate description
+    if (!description || typeof description !== 'string' || description.trim().length === 0) {
+      return res.status(400).json({ 
+        status: 'error',
+        message: 'Description is required' 
+      });
+    }
+    
+    // Validate category
+    if (category !== undefined && !EXPENSE_CATEGORY_KEYS.includes(category)) {
+      return res.status(400).json({ 
+        status: 'error',
+        message: `Invalid category. Must be one of: ${EXPENSE_CATEGORY_KEYS.join(', ')}` 
+      });
+    }
+    
+    // Verify group exists and user is a member
+    const group = await Group.findById(groupId);
+    if (!group || !group.members.includes(req.user.email)) {
+      return res.status(403).json({ 
+        status: 'error',
+        message: 'Access denied' 
+      });
+    }
+
+    // Recurring expenses are always in the group currency
+    const amountMinor = toMinorUnits(amountNum, group.currency);
+    const split = buildExpenseSplits({
+      amount: amountNum,
+      currency: group.currency,
+      splitType,
+      splitAmong,
+      splits,
+      items,
+      tax,
+      tip,
+      serviceCharge
+    });
+    const payerList = buildExpensePayers({
+      amount: amountNum,
+      currency: group.currency,
+      payers,
+      defaultPayer: req.user.email
+    });
+
+    // Verify all payers are group members
+    if (payerList.some(payer => !group.members.includes(payer.email))) {
+      return res.status(400).json({ 
+        status: 'error',
+        message: 'All payers must be members of the group' 
+      });
+    }
+
+    const recurringExpense = new RecurringExpense({
+      groupId,
+      createdBy: req.user.email,
+      interval,
+      startDate,
+      endDate: endDate || null,
+      template: {
+        amount: fromMinorUnits(amountMinor, group.currency),
+        amountMinor,
+        description,
+        category: category || 'other',
+        paidBy: getPrimaryPayer(payerList),
+        payers: payerList,
+        splitAmong: split.splitAmong,
+        splitType: split.splitType,
+        splits: split.splits,
+        items: split.items,
+        tax: split.tax,
+        tip: split.tip,
+        serviceCharge: split.serviceCharge
+      },
+      nextRunAt: startDate
+    });
+
+    await recurringExpense.save();
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        recurringExpenseId: recurringExpense._id,
+        message: 'Recurring expense created successfully'
+      }
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ 
+        status: 'error',
+        message: error.message 
+      });
+    }
+    console.error('Create recurring expense error:', error);
+    res.status(500).json({ 
+      status: 'error',
+      message: 'Error creating recurring expense' 
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /recurring/{groupId}:
+ *   get:
+ *     summary: Get all recurring expense definitions for a group
+ *     tags: [Recurring Expenses]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: List of recurring expenses
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/RecurringExpense'
+ */
+router.get('/:groupId', authenticateUser, async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    
+    // Validate ObjectId format
+    if (!mongoose.Types.ObjectId.isValid(groupId)) {
+      return res.status(400).json({ 
+        status: 'error',
+        message: 'Invalid group ID format' 
+      });
+    }
+    
+    // Verify group exists and user is a member
+    const group = await Group.findById(groupId);
+    if (!group || !group.members.includes(req.user.email)) {
+      return res.status(403).json({ 
+        status: 'error',
+        message: 'Access denied' 
+      });
+    }
+
+    const recurringExpenses = await RecurringExpense.find({ groupId })
+      .sort({ createdAt: -1 });
+    
+    res.json(recurringExpenses);
+  } catch (error) {
+    console.error('Get recurring expenses error:', error);
+    res.status(500).json({ 
+      status: 'error',
+      message: 'Error fetching recurring expenses' 
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /recurring/{recurringExpenseId}:
+ *   patch:
+ *     summary: Pause, resume or change the end date of a recurring expense
+ *     description: >
+ *       The next run is worked out again from the schedule. A definition whose next occurrence falls
+ *       after its end date stops running.
+ *     tags: [Recurring Expenses]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: recurringExpenseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               active:
+ *                 type: boolean
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Recurring expense updated successfully
+ */
+router.patch('/:recurringExpenseId', authenticateUser, async (req, res) => {
+  try {
+    const { recurringExpenseId } = req.params;
+    const { active, endDate } = req.body;
+    
+    // Validate ObjectId format
+    if (!mongoose.Types.ObjectId.isValid(recurringExpenseId)) {
+      return res.status(400).json({ 
+        status: 'error',
+        message: 'Invalid recurring expense ID format' 
+      });
+    }
+    
+    const recurringExpense = await RecurringExpense.findById(recurringExpenseId);
+    if (!recurringExpense) {
+      return res.status(404).json({ 
+        status: 'error',
+        message: 'Recurring expense not found' 
+      });
+    }
+
+    // Verify user is a member of the group
+    const group = await Group.findById(recurringExpense.groupId);
+    if (!group || !group.members.includes(req.user.email)) {
+      return res.status(403).json({ 
+        status: 'error',
+        message: 'Access denied' 
+      });
+    }
+
+    if (active !== undefined && typeof active !== 'boolean') {
+      return res.status(400).json({ 
+        status: 'error',
+        message: 'active must be a boolean' 
+      });
+    }
+
+    const changes = {};
+    if (endDate !== undefined) {
+      if (endDate !== null && (isNaN(Date.parse(endDate)) || new Date(endDate) < recurringExpense.startDate)) {
+        return res.status(400).json({ 
+          status: 'error',
+          message: 'endDate must be a valid date on or after startDate' 
+        });
+      }
+      changes.endDate = endDate === null ? null : new Date(endDate);
+    }
+
+    // The schedule is worked out from the occurrence count, so only save it if the scheduler has not
+    // advanced the count in the meantime; otherwise work it out again from the stored definition
+    let updated = null;
+    let current = recurringExpense;
+    while (!updated && current) {
+      // A definition whose next occurrence falls after the (new) end date stops running
+      const schedule = getScheduleState(
+        { ...current.toObject(), ...changes },
+        active !== undefined ? active : current.active
+      );
+      updated = await RecurringExpense.findOneAndUpdate(
+        { _id: current._id, occurrenceCount: current.occurrenceCount },
+        { $set: { ...changes, nextRunAt: schedule.nextRunAt, active: schedule.active } },
+        { new: true }
+      );
+      if (!updated) {
+        current = await RecurringExpense.findById(recurringExpenseId);
+      }
+    }
+
+    if (!updated) {
+      return res.status(404).json({ 
+        status: 'error',
+        message: 'Recurring expense not found' 
+      });
+    }
+    
+    res.json({
+      status: 'success',
+      data: updated
+    });
+  } catch (error) {
+    console.error('Update recurring expense error:', error);
+    res.status(500).json({ 
+      status: 'error',
+      message: 'Error updating recurring expense' 
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /recurring/{recurringExpenseId}:
+ *   delete:
+ *     summary: Delete a recurring expense definition
+ *     description: Stops future occurrences. Expenses that were already generated are kept.
+ *     tags: [Recurring Expenses]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: recurringExpenseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Recurring expense deleted successfully
+ */
+router.delete('/:recurringExpenseId', authenticateUser, async (req, res) => {
+  try {
+    const { recurringExpenseId } = req.params;
+    
+    // Validate ObjectId format
+    if (!mongoose.Types.ObjectId.isValid(recurringExpenseId)) {
+      return res.status(400).json({ 
+        status: 'error',
+        message: 'Invalid recurring expense ID format' 
+      });
+    }
+    
+    const recurringExpense = await RecurringExpense.findById(recurringExpenseId);
+    if (!recurringExpense) {
+      return res.status(404).json({ 
+        status: 'error',
+        message: 'Recurring expense not found' 
+      });
+    }
+
+    // Verify user is a member of the group
+    const group = await Group.findById(recurringExpense.groupId);
+    if (!group || !group.members.includes(req.user.email)) {
+      return res.status(403).json({ 
+        status: 'error',
+        message: 'Access denied' 
+      });
+    }
+
+    await RecurringExpense.findByIdAndDelete(recurringExpenseId);
+    
+    res.json({ 
+      status: 'success',
+      message: 'Recurring expense deleted successfully' 
+    });
+  } catch (error) {
+    console.error('Delete recurring expense error:', error);
+    res.status(500).json({ 
+      status: 'error',
+      message: 'Error deleting recurring expense' 
+    });
+  }
+});
+
+module.exports = router;
@@ -4,8 +4,14 @@ const mongoose = require('mongoose');
 const Settlement = require('../models/settlement.model');
 const Group = require('../models/group.model');
 const { authenticateUser } = require('../middleware/auth.middleware');
-const User = require('../models/user.model');
 const { createNotification } = require('../services/notification.service');
+const { TRASH_RETENTION_DAYS, isRestorable } = require('../utils/trash.util');
+const { toMinorUnits, fromMinorUnits } = require('../utils/money.util');
+const { CURRENCY_CODE_REGEX } = require('../services/currency.service');
+const { getDefaultCurrency, findDirectGroup, saveDirectGroup } = require('../services/friend.service');
+const { runInTransaction, postLedgerEntry, saveLedgerEntry } = require('../services/ledger.service');
+const { notifySettlementConfirmed } = require('../services/settlement.service');
+const { SETTLEMENT_STATUSES, getConfirmedFilter, getAutoConfirmDate } = require('../utils/approval.util');
 
 /**
  * @swagger
@@ -31,10 +37,40 @@ const { createNotification } = require('../services/notification.service');
  *         amount:
  *           type: number
  *           description: The settlement amount
+ *         amountMinor:
+ *           type: integer
+ *           description: The settlement amount in minor units of the group currency
  *         date:
  *           type: string
  *           format: date
  *           description: Date of the settlement
+ *         status:
+ *           type: string
+ *           enum: [pending, confirmed, rejected]
+ *           description: Only settlements confirmed by the recipient count toward balances
+ *         respondedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When the recipient confirmed or rejected the settlement
+ *         rejectionReason:
+ *           type: string
+ *           description: Why the recipient rejected the settlement
+ *         autoConfirmAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When a pending settlement is confirmed automatically (see group setting settlementAutoConfirmDays)
+ *         autoConfirmed:
+ *           type: boolean
+ *           description: True if the settlement was confirmed because the recipient did not respond in time
+ *         deletedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the settlement was moved to the trash (null if active)
+ *         deletedBy:
+ *           type: string
+ *           description: Email of the user who deleted the settlement
  */
 
 /**
@@ -42,6 +78,9 @@ const { createNotification } = require('../services/notification.service');
  * /settlements/create:
  *   post:
  *     summary: Create a new settlement
+ *     description: >
+ *       The settlement stays pending, and out of balances, until the recipient confirms it.
+ *       The recipient is asked to confirm or reject it.
  *     tags: [Settlements]
  *     security:
  *       - BearerAuth: []
@@ -50,7 +89,25 @@ const { createNotification } = require('../services/notification.service');
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/Settlement'
+ *             type: object
+ *             required:
+ *               - paidTo
+ *               - amount
+ *               - date
+ *             properties:
+ *               groupId:
+ *                 type: string
+ *                 description: Omit to settle up directly with a friend outside any group
+ *               currency:
+ *                 type: string
+ *                 description: Currency of a direct settlement. Defaults to your preferred currency
+ *               paidTo:
+ *                 type: string
+ *               amount:
+ *                 type: number
+ *               date:
+ *                 type: string
+ *                 format: date
  *     responses:
  *       201:
  *         description: Settlement created successfully
@@ -70,6 +127,11 @@ const { createNotification } = require('../services/notification.service');
  *         required: true
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, confirmed, rejected]
  *     responses:
  *       200:
  *         description: List of settlements
@@ -84,10 +146,10 @@ const { createNotification } = require('../services/notification.service');
 // Create settlement
 router.post('/create', authenticateUser, async (req, res) => {
   try {
-    const { groupId, paidTo, amount, date } = req.body;
+    const { groupId: requestedGroupId, paidTo, amount, date, currency } = req.body;
     
-    // Validate ObjectId format
-    if (!mongoose.Types.ObjectId.isValid(groupId)) {
+    // Validate ObjectId format (without a group the settlement is a direct one between friends)
+    if (requestedGroupId !== undefined && !mongoose.Types.ObjectId.isValid(requestedGroupId)) {
       return res.status(400).json({ 
         status: 'error',
         message: 'Invalid group ID format' 
@@ -117,9 +179,28 @@ router.post('/create', authenticateUser, async (req, res) => {
         message: 'paidTo is required' 
       });
     }
+    if (paidTo === req.user.email) {
+      return res.status(400).json({ 
+        status: 'error',
+        message: 'A settlement must be paid to someone else' 
+      });
+    }
+    
+    // Validate currency of a direct settlement
+    if (currency !== undefined && (typeof currency !== 'string' || !CURRENCY_CODE_REGEX.test(currency.toUpperCase()))) {
+      return res.status(400).json({ 
+        status: 'error',
+        message: 'Currency must be a 3-letter currency code' 
+      });
+    }
     
     // Verify group exists and both users are members
-    const group = await Group.findById(groupId);
+    let group = requestedGroupId
+      ? await Group.findById(requestedGroupId)
+      : await findDirectGroup(
+        [req.user.email, paidTo],
+        currency ? currency.toUpperCase() : await getDefaultCurrency(req.user.email)
+      );
     if (!group || !group.members.includes(req.user.email) || !group.members.includes(paidTo)) {
       return res.status(403).json({ 
         status: 'error',
@@ -127,95 +208,83 @@ router.post('/create', authenticateUser, async (req, res) => {
       });
     }
 
+    // Store the amount in whole minor units of the group currency
+    const amountMinor = toMinorUnits(amount, group.currency);
+    if (amountMinor <= 0) {
+      return res.status(400).json({ 
+        status: 'error',
+        message: `Amount is smaller than the smallest unit of ${group.currency}` 
+      });
+    }
+
+    // A new direct ledger is only stored once the settlement is known to be valid
+    group = await saveDirectGroup(group);
+    const groupId = group._id;
+
     const settlement = new Settlement({
       groupId,
       paidBy: req.user.email,
       paidTo,
-      amount,
-      date
+      amount: fromMinorUnits(amountMinor, group.currency),
+      amountMinor,
+      date,
+      // Only the payer's claim so far: the recipient confirms it
+      status: 'pending',
+      autoConfirmAt: getAutoConfirmDate(group)
     });
 
-    await settlement.save();
+    await saveLedgerEntry(settlement, group);
 
-    // Create notifications for both parties and group members
-    const paidToUser = await User.findOne({ email: paidTo });
-    const notificationPromises = [];
-
-    // Notification for the person receiving the payment
-    notificationPromises.push(
-      createNotification(
+    // Ask the person receiving the payment to confirm it; the rest of the group hears about it once confirmed
+    let message = `${req.user.name} marked a settlement payment of ${group.currency} ${settlement.amount} to you in ${group.name}. Please confirm or reject it`;
+    if (settlement.autoConfirmAt) {
+      message += `. It will be confirmed automatically after ${group.settings.settlementAutoConfirmDays} days`;
+    }
+    await createNotification(
+      paidTo,
+      message,
+      'settlement_received',
+      groupId,
+      {
+        settlementId: settlement._id.toString(),
+        amount: settlement.amount,
+        paidBy: req.user.email,
         paidTo,
-        `${req.user.name} marked a settlement payment of ${group.currency} ${amount} to you in ${group.name}`,
-        'settlement_received',
-        groupId,
-        {
-          settlementId: settlement._id.toString(),
-          amount,
-          paidBy: req.user.email,
-          paidTo
+        awaitingConfirmation: true
+      },
+      {
+        title: 'Settlement Received',
+        actor: {
+          email: req.user.email,
+          name: req.user.name,
+          profilePicture: req.user.profilePicture || null
         },
-        {
-          title: 'Settlement Received',
-          actor: {
-            email: req.user.email,
-            name: req.user.name,
-            profilePicture: req.user.profilePicture || null
-          },
-          settlementData: {
-            payerName: req.user.name,
-            groupName: group.name,
-            amount,
-            currency: group.currency
-          }
+        settlementData: {
+          payerName: req.user.name,
+          groupName: group.name,
+          amount: settlement.amount,
+          currency: group.currency
         }
-      )
+      }
     );
 
-    // Notify other group members
-    const paidToUserName = paidToUser ? paidToUser.name : paidTo;
-    group.members
-      .filter(email => email !== req.user.email && email !== paidTo)
-      .forEach(email => {
-        notificationPromises.push(
-          createNotification(
-            email,
-            `${req.user.name} settled ${group.currency} ${amount} with ${paidToUserName} in ${group.name}`,
-            'settlement_recorded',
-            groupId,
-            {
-              settlementId: settlement._id.toString(),
-              amount,
-              paidBy: req.user.email,
-              paidTo
-            },
-            {
-              title: 'Settlement Recorded',
-              actor: {
-                email: req.user.email,
-                name: req.user.name,
-                profilePicture: req.user.profilePicture || null
-              },
-              settlementData: {
-                payerName: req.user.name,
-                groupName: group.name,
-                amount,
-                currency: group.currency
-              }
-            }
-          )
-        );
-      });
-
-    await Promise.all(notificationPromises);
-
     res.status(201).json({
       status: 'success',
       data: {
         settlementId: settlement._id,
-        message: 'Settlement recorded successfully'
+        groupId,
+        status: settlement.status,
+        autoConfirmAt: settlement.autoConfirmAt,
+        message: 'Settlement recorded and waiting for confirmation'
       }
     });
   } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ 
+        status: 'error',
+        message: error.message 
+      });
+    }
     console.error('Create settlement error:', error);
     res.status(500).json({ 
       status: 'error',
@@ -228,6 +297,7 @@ router.post('/create', authenticateUser, async (req, res) => {
 router.get('/:groupId', authenticateUser, async (req, res) => {
   try {
     const { groupId } = req.params;
+    const { status } = req.query;
     
     // Validate ObjectId format
     if (!mongoose.Types.ObjectId.isValid(groupId)) {
@@ -237,6 +307,13 @@ router.get('/:groupId', authenticateUser, async (req, res) => {
       });
     }
     
+    if (status !== undefined && !SETTLEMENT_STATUSES.includes(status)) {
+      return res.status(400).json({ 
+        status: 'error',
+        message: `status must be one of: ${SETTLEMENT_STATUSES.join(', ')}` 
+      });
+    }
+    
     // Verify group exists and user is a member
     const group = await Group.findById(groupId);
     if (!group || !group.members.includes(req.user.email)) {
@@ -246,7 +323,14 @@ router.get('/:groupId', authenticateUser, async (req, res) => {
       });
     }
 
-    const settlements = await Settlement.find({ groupId })
+    // Settlements recorded before confirmation existed have no status and count as confirmed
+    let statusFilter = {};
+    if (status === 'confirmed') {
+      statusFilter = getConfirmedFilter();
+    } else if (status) {
+      statusFilter = { status };
+    }
+    const settlements = await Settlement.find({ groupId, deletedAt: null, ...statusFilter })
       .sort({ date: -1 });
     
     res.json(settlements);
@@ -259,4 +343,446 @@ router.get('/:groupId', authenticateUser, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /settlements/{settlementId}:
+ *   delete:
+ *     summary: Move a settlement to the group trash
+ *     description: The settlement is soft deleted and excluded from balances. It can be restored within the trash retention window.
+ *     tags: [Settlements]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: settlementId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Settlement deleted successfully
+ *       403:
+ *         description: Access denied - Not a member of the group, or not the payer
+ *       404:
+ *         description: Settlement not found
+ */
+router.delete('/:settlementId', authenticateUser, async (req, res) => {
+  try {
+    const { settlementId } = req.params;
+    
+    // Validate ObjectId format
+    if (!mongoose.Types.ObjectId.isValid(settlementId)) {
+      return res.status(400).json({ 
+        status: 'error',
+        message: 'Invalid settlement ID format' 
+      });
+    }
+    
+    const settlement = await Settlement.findById(settlementId);
+    if (!settlement || settlement.deletedAt) {
+      return res.status(404).json({ 
+        status: 'error',
+        message: 'Settlement not found' 
+      });
+    }
+
+    // Verify user is a member of the settlement's group
+    const group = await Group.findById(settlement.groupId);
+    if (!group || !group.members.includes(req.user.email)) {
+      return res.status(403).json({ 
+        status: 'error',
+        message: 'Access denied' 
+      });
+    }
+
+    // Only the payer who recorded the settlement can delete it
+    if (settlement.paidBy !== req.user.email) {
+      return res.status(403).json({ 
+        status: 'error',
+        message: 'Only the payer can delete a settlement' 
+      });
+    }
+
+    settlement.deletedAt = new Date();
+    settlement.deletedBy = req.user.email;
+    await saveLedgerEntry(settlement, group);
+
+    await notifySettlementParties(
+      settlement,
+      group,
+      req.user,
+      'settlement_deleted',
+      `${req.user.name} deleted a settlement of ${group.currency} ${settlement.amount} in ${group.name}`
+    );
+    
+    res.json({ 
+      status: 'success',
+      message: 'Settlement moved to trash' 
+    });
+  } catch (error) {
+    console.error('Delete settlement error:', error);
+    res.status(500).json({ 
+      status: 'error',
+      message: 'Error deleting settlement' 
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /settlements/{settlementId}/restore:
+ *   post:
+ *     summary: Restore a deleted settlement from the group trash
+ *     tags: [Settlements]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: settlementId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Settlement restored successfully
+ *       400:
+ *         description: Settlement is not deleted or the retention window has passed
+ *       403:
+ *         description: Access denied - Not a member of the group, or not the payer
+ *       404:
+ *         description: Settlement not found
+ */
+router.post('/:settlementId/restore', authenticateUser, async (req, res) => {
+  try {
+    const { settlementId } = req.params;
+    
+    // Validate ObjectId format
+    if (!mongoose.Types.ObjectId.isValid(settlementId)) {
+      return res.status(400).json({ 
+        status: 'error',
+        message: 'Invalid settlement ID format' 
+      });
+    }
+    
+    const settlement = await Settlement.findById(settlementId);
+    if (!settlement) {
+      return res.status(404).json({ 
+        status: 'error',
+        message: 'Settlement not found' 
+      });
+    }
+
+    // Verify user is a member of the settlement's group
+    const group = await Group.findById(settlement.groupId);
+    if (!group || !group.members.includes(req.user.email)) {
+      return res.status(403).json({ 
+        status: 'error',
+        message: 'Access denied' 
+      });
+    }
+
+    // Only the payer who recorded the settlement can restore it
+    if (settlement.paidBy !== req.user.email) {
+      return res.status(403).json({ 
+        status: 'error',
+        message: 'Only the payer can restore a settlement' 
+      });
+    }
+
+    if (!settlement.deletedAt) {
+      return res.status(400).json({ 
+        status: 'error',
+        message: 'Settlement is not deleted' 
+      });
+    }
+
+    if (!isRestorable(settlement.deletedAt)) {
+      return res.status(400).json({ 
+        status: 'error',
+        message: `Settlements can only be restored within ${TRASH_RETENTION_DAYS} days of deletion` 
+      });
+    }
+
+    settlement.deletedAt = null;
+    settlement.deletedBy = null;
+    await saveLedgerEntry(settlement, group);
+
+    await notifySettlementParties(
+      settlement,
+      group,
+      req.user,
+      'settlement_restored',
+      `${req.user.name} restored a settlement of ${group.currency} ${settlement.amount} in ${group.name}`
+    );
+    
+    res.json({ 
+      status: 'success',
+      message: 'Settlement restored successfully' 
+    });
+  } catch (error) {
+    console.error('Restore settlement error:', error);
+    res.status(500).json({ 
+      status: 'error',
+      message: 'Error restoring settlement' 
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /settlements/{settlementId}/confirm:
+ *   post:
+ *     summary: Confirm a settlement paid to you
+ *     description: >
+ *       The settlement counts toward balances from now on. A settlement you rejected can still be confirmed.
+ *       The payer is notified, and the other group members see it recorded.
+ *     tags: [Settlements]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: settlementId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Settlement confirmed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/Settlement'
+ *       400:
+ *         description: Settlement is already confirmed
+ *       403:
+ *         description: Only the recipient can confirm the settlement
+ *       404:
+ *         description: Settlement not found
+ */
+router.post('/:settlementId/confirm', authenticateUser, async (req, res) => {
+  try {
+    const { settlementId } = req.params;
+
+    // Validate ObjectId format
+    if (!mongoose.Types.ObjectId.isValid(settlementId)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid settlement ID format'
+      });
+    }
+
+    const settlement = await Settlement.findById(settlementId);
+    if (!settlement || settlement.deletedAt) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Settlement not found'
+      });
+    }
+
+    // Only the recipient knows whether the money arrived
+    const group = await Group.findById(settlement.groupId);
+    if (!group || !group.members.includes(req.user.email) || settlement.paidTo !== req.user.email) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Only the recipient can confirm this settlement'
+      });
+    }
+
+    if (settlement.status === 'confirmed') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Settlement is already confirmed'
+      });
+    }
+
+    const confirmed = await recordSettlementResponse(settlement, group, ['pending', 'rejected'], {
+      $set: { status: 'confirmed', respondedAt: new Date(), autoConfirmAt: null },
+      $unset: { rejectionReason: 1 }
+    });
+    if (!confirmed) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Settlement is already confirmed'
+      });
+    }
+
+    await notifySettlementConfirmed(confirmed, group, req.user);
+
+    res.json({
+      status: 'success',
+      data: confirmed
+    });
+  } catch (error) {
+    console.error('Confirm settlement error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error confirming settlement'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /settlements/{settlementId}/reject:
+ *   post:
+ *     summary: Reject a settlement you did not receive
+ *     description: >
+ *       A rejected settlement stays out of balances and is not confirmed automatically. Only pending
+ *       settlements can be rejected. The payer is notified with the reason.
+ *     tags: [Settlements]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: settlementId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Settlement rejected
+ *       400:
+ *         description: Reason too long, or the settlement is not pending
+ *       403:
+ *         description: Only the recipient can reject the settlement
+ *       404:
+ *         description: Settlement not found
+ */
+router.post('/:settlementId/reject', authenticateUser, async (req, res) => {
+  try {
+    const { settlementId } = req.params;
+    const { reason } = req.body;
+
+    // Validate ObjectId format
+    if (!mongoose.Types.ObjectId.isValid(settlementId)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid settlement ID format'
+      });
+    }
+
+    if (reason !== undefined && typeof reason !== 'string') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Reason must be a string'
+      });
+    }
+
+    if (reason && reason.trim().length > 500) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Reason cannot exceed 500 characters'
+      });
+    }
+
+    const settlement = await Settlement.findById(settlementId);
+    if (!settlement || settlement.deletedAt) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Settlement not found'
+      });
+    }
+
+    // Only the recipient knows whether the money arrived
+    const group = await Group.findById(settlement.groupId);
+    if (!group || !group.members.includes(req.user.email) || settlement.paidTo !== req.user.email) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Only the recipient can reject this settlement'
+      });
+    }
+
+    if (settlement.status !== 'pending') {
+      return res.status(400).json({
+        status: 'error',
+        message: `Settlement is already ${settlement.status}`
+      });
+    }
+
+    const rejectionReason = reason && reason.trim() ? reason.trim() : null;
+    const rejected = await recordSettlementResponse(settlement, group, ['pending'], rejectionReason
+      ? { $set: { status: 'rejected', respondedAt: new Date(), autoConfirmAt: null, rejectionReason } }
+      : { $set: { status: 'rejected', respondedAt: new Date(), autoConfirmAt: null }, $unset: { rejectionReason: 1 } });
+    if (!rejected) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Settlement is no longer pending'
+      });
+    }
+
+    let message = `${req.user.name} rejected your settlement payment of ${group.currency} ${rejected.amount} in ${group.name}`;
+    if (rejected.rejectionReason) {
+      message += `: ${rejected.rejectionReason}`;
+    }
+    await notifySettlementParties(rejected, group, req.user, 'settlement_rejected', message);
+
+    res.json({
+      status: 'success',
+      data: rejected
+    });
+  } catch (error) {
+    console.error('Reject settlement error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Error rejecting settlement'
+    });
+  }
+});
+
+// Helper function to record the recipient's response to a settlement in one of the given statuses.
+// The settlement is claimed atomically, like the automatic confirmation does, so a simultaneous
+// response or automatic confirmation cannot also be posted. Returns null if it was claimed first.
+function recordSettlementResponse(settlement, group, statuses, update) {
+  return runInTransaction(async session => {
+    const claimed = await Settlement.findOneAndUpdate(
+      { _id: settlement._id, status: { $in: statuses }, deletedAt: null },
+      update,
+      { new: true, session }
+    );
+    if (claimed) {
+      await postLedgerEntry(group, claimed, session);
+    }
+    return claimed;
+  });
+}
+
+// Helper function to notify the payer and recipient of a settlement (except the actor)
+function notifySettlementParties(settlement, group, actor, type, message) {
+  return Promise.all([settlement.paidBy, settlement.paidTo]
+    .filter(email => email !== actor.email && group.members.includes(email))
+    .map(email => createNotification(
+      email,
+      message,
+      type,
+      settlement.groupId,
+      {
+        settlementId: settlement._id.toString(),
+        amount: settlement.amount,
+        paidBy: settlement.paidBy,
+        paidTo: settlement.paidTo
+      },
+      {
+        actor: {
+          email: actor.email,
+          name: actor.name,
+          profilePicture: actor.profilePicture || null
+        }
+      }
+    )));
+}
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,131 @@
+/**
+ * Backfill integer minor-unit amounts on documents created before money was stored in minor units.
+ *
+ * Usage: npm run migrate:minor-units [-- --dry-run]
+ *
+ * Only documents without amountMinor are touched, so the script can be re-run safely.
+ * Stored splits and payers are re-allocated from the total so they add up exactly, and
+ * expenses that predate per-member splits get their equal split written out.
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Group = require('../models/group.model');
+const Expense = require('../models/expense.model');
+const Settlement = require('../models/settlement.model');
+const RecurringExpense = require('../models/recurringExpense.model');
+const { toMinorUnits, fromMinorUnits, allocateMinorUnits } = require('../utils/money.util');
+
+const dryRun = process.argv.includes('--dry-run');
+
+/**
+ * Allocate a minor-unit total over entries in proportion to their current amounts
+ * @param {Array<Object>} entries - Split or payer entries with a major-unit amount
+ * @param {Number} totalMinor - Integer total in minor units
+ * @param {String} currency - Group currency
+ * @returns {Array<Object>} - Entries with amount and amountMinor that add up to the total
+ */
+const allocateEntries = (entries, totalMinor, currency) => {
+  const amounts = allocateMinorUnits(totalMinor, entries.map(entry => entry.amount || 0));
+  return entries.map((entry, index) => ({
+    ...entry,
+    amount: fromMinorUnits(amounts[index], currency),
+    amountMinor: amounts[index]
+  }));
+};
+
+/**
+ * Build the minor-unit fields of an expense or recurring template
+ * @param {Object} doc - Plain expense or template object
+ * @param {String} currency - Group currency
+ * @returns {Object} - { amount, amountMinor, splits, payers, splitType }
+ */
+const migrateAmounts = (doc, currency) => {
+  const amountMinor = toMinorUnits(doc.amount, currency);
+
+  // Expenses from before per-member splits were always split equally
+  const splits = doc.splits && doc.splits.length > 0
+    ? doc.splits
+    : (doc.splitAmong || []).map(email => ({ email, value: 1, amount: 1 }));
+  const payers = doc.payers && doc.payers.length > 0
+    ? doc.payers
+    : [{ email: doc.paidBy, amount: doc.amount }];
+
+  return {
+    amount: fromMinorUnits(amountMinor, currency),
+    amountMinor,
+    splits: allocateEntries(splits, amountMinor, currency),
+    payers: allocateEntries(payers, amountMinor, currency),
+    splitType: doc.splitType || 'equal'
+  };
+};
+
+const migrate = async () => {
+  const totals = { expenses: 0, settlements: 0, recurringExpenses: 0 };
+
+  const groups = await Group.find({}, 'currency').lean();
+  for (const group of groups) {
+    const { currency } = group;
+
+    const expenses = await Expense.find({ groupId: group._id, amountMinor: { $exists: false } }).lean();
+    for (const expense of expenses) {
+      if (!dryRun) {
+        await Expense.updateOne({ _id: expense._id }, { $set: migrateAmounts(expense, currency) });
+      }
+      totals.expenses++;
+    }
+
+    const settlements = await Settlement.find({ groupId: group._id, amountMinor: { $exists: false } }).lean();
+    for (const settlement of settlements) {
+      if (!dryRun) {
+        const amountMinor = toMinorUnits(settlement.amount, currency);
+        await Settlement.updateOne(
+          { _id: settlement._id },
+          { $set: { amount: fromMinorUnits(amountMinor, currency), amountMinor } }
+        );
+      }
+      totals.settlements++;
+    }
+
+    const definitions = await RecurringExpense.find({
+      groupId: group._id,
+      'template.amountMinor': { $exists: false }
+    }).lean();
+    for (const definition of definitions) {
+      if (!dryRun) {
+        const { amount, amountMinor, splits, payers } = migrateAmounts(definition.template, currency);
+        await RecurringExpense.updateOne(
+          { _id: definition._id },
+          {
+            $set: {
+              'template.amount': amount,
+              'template.amountMinor': amountMinor,
+              'template.splits': splits,
+              'template.payers': payers
+            }
+          }
+        );
+      }
+      totals.recurringExpenses++;
+    }
+  }
+
+  return totals;
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI, {
+    serverSelectionTimeoutMS: 5000
+  });
+
+  try {
+    const totals = await migrate();
+    console.log(`${dryRun ? 'Would migrate' : 'Migrated'} ${totals.expenses} expenses, ${totals.settlements} settlements and ${totals.recurringExpenses} recurring expenses`);
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+run().catch(error => {
+  console.error('Minor unit migration error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,81 @@
+/**
+ * Reconcile the journal of every group with its expenses and settlements, check that it balances,
+ * and rebuild the stored per-member balances from it.
+ *
+ * Usage: npm run rebuild:balances [-- [--dry-run] [--group <groupId>]]
+ *
+ * Postings that are missing or out of date and stored amounts that differ from the journal are reported
+ * before they are corrected. Journals that do not sum to zero are reported and left for investigation.
+ * With --dry-run nothing is written. The script exits with status 2 if anything was found, so it can run as a check.
+ *
+ * Groups created before the ledger existed are only built by this script: until then balance reads work
+ * their journal out from the group's expenses and settlements on every request.
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Group = require('../models/group.model');
+const { rebuildGroupLedger } = require('../services/ledger.service');
+const { fromMinorUnits } = require('../utils/money.util');
+
+const dryRun = process.argv.includes('--dry-run');
+const groupIndex = process.argv.indexOf('--group');
+const groupId = groupIndex === -1 ? null : process.argv[groupIndex + 1];
+
+const rebuild = async () => {
+  const totals = { groups: 0, driftedGroups: 0, driftedAmounts: 0, reposted: 0, unbalancedGroups: 0 };
+
+  const groups = await Group.find(groupId ? { _id: groupId } : {});
+  for (const group of groups) {
+    const wasBuilt = Boolean(group.ledgerBuiltAt);
+    const { sources, drift, invariant } = await rebuildGroupLedger(group, { dryRun });
+    totals.groups++;
+
+    if (invariant.totalMinor !== 0 || invariant.unbalancedEntries.length > 0) {
+      totals.unbalancedGroups++;
+      console.log(`Group ${group._id} (${group.name}) journal sums to ${fromMinorUnits(invariant.totalMinor, group.currency)} ${group.currency}; unbalanced entries: ${invariant.unbalancedEntries.join(', ') || 'none'}`);
+    }
+
+    // Groups that were never built have nothing posted or stored to compare against
+    if (!wasBuilt) {
+      continue;
+    }
+    totals.reposted += sources.length;
+    sources.forEach(source => {
+      console.log(`Group ${group._id} (${group.name}) ${source.sourceType} ${source.sourceId}: posting missing or out of date`);
+    });
+    if (drift.length > 0) {
+      totals.driftedGroups++;
+      totals.driftedAmounts += drift.length;
+      drift.forEach(entry => {
+        console.log(`Group ${group._id} (${group.name}) ${entry.email} ${entry.field}: stored ${fromMinorUnits(entry.storedMinor, group.currency)}, expected ${fromMinorUnits(entry.expectedMinor, group.currency)} ${group.currency}`);
+      });
+    }
+  }
+
+  return totals;
+};
+
+const run = async () => {
+  if (groupIndex !== -1 && !mongoose.Types.ObjectId.isValid(groupId)) {
+    throw new Error('--group must be followed by a valid group ID');
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI, {
+    serverSelectionTimeoutMS: 5000
+  });
+
+  try {
+    const totals = await rebuild();
+    console.log(`${dryRun ? 'Checked' : 'Rebuilt'} ledgers of ${totals.groups} groups: ${totals.reposted} postings out of date, ${totals.driftedAmounts} amounts drifted in ${totals.driftedGroups} groups, ${totals.unbalancedGroups} unbalanced journals`);
+    if (totals.unbalancedGroups > 0 || (dryRun && (totals.reposted > 0 || totals.driftedGroups > 0))) {
+      process.exitCode = 2;
+    }
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+run().catch(error => {
+  console.error('Balance rebuild error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,119 @@
+const ExchangeRate = require('../models/exchangeRate.model');
+const { badRequest } = require('../utils/expense.util');
+const { toMinorUnits, fromMinorUnits } = require('../utils/money.util');
+
+// ISO 4217 style currency code
+const CURRENCY_CODE_REGEX = /^[A-Z]{3}$/;
+
+/**
+ * Look up the exchange rate between two currencies in the local rate tables of some groups.
+ * Uses the most recent rate effective on the given date, falling back to the inverse pair.
+ * @param {String} from - Currency to convert from
+ * @param {String} to - Currency to convert to
+ * @param {Date} date - Date the rate should apply to
+ * @param {Array<Object>} groupIds - Groups whose rates may be used
+ * @returns {Promise<Object|null>} - { rate, effectiveDate } or null if no rate is known
+ */
+const getExchangeRate = async (from, to, date = new Date(), groupIds = []) => {
+  const base = from.toUpperCase();
+  const quote = to.toUpperCase();
+
+  if (base === quote) {
+    return { rate: 1, effectiveDate: null };
+  }
+
+  const direct = await ExchangeRate.findOne({ groupId: { $in: groupIds }, base, quote, effectiveDate: { $lte: date } })
+    .sort({ effectiveDate: -1, createdAt: -1 });
+  if (direct) {
+    return { rate: direct.rate, effectiveDate: direct.effectiveDate };
+  }
+
+  const inverse = await ExchangeRate.findOne({ groupId: { $in: groupIds }, base: quote, quote: base, effectiveDate: { $lte: date } })
+    .sort({ effectiveDate: -1, createdAt: -1 });
+  if (inverse) {
+    return { rate: 1 / inverse.rate, effectiveDate: inverse.effectiveDate };
+  }
+
+  return null;
+};
+
+/**
+ * Work out the rate used to convert an expense into its group's currency.
+ * A rate entered by the user wins; otherwise the group's rate table is used.
+ * @param {Object} input - Conversion input
+ * @param {String} input.from - Expense currency
+ * @param {String} input.to - Group currency
+ * @param {Date} input.date - Expense date
+ * @param {Object} input.groupId - Group of the expense
+ * @param {*} input.manualRate - Rate entered by the user, if any
+ * @returns {Promise<Object>} - { rate, source, effectiveDate }; source is manual, table or null
+ * @throws {Error} - Error with status 400 if no usable rate is available
+ */
+const resolveExpenseExchangeRate = async ({ from, to, date, groupId, manualRate }) => {
+  if (from.toUpperCase() === to.toUpperCase()) {
+    return { rate: 1, source: null, effectiveDate: null };
+  }
+
+  if (manualRate !== undefined && manualRate !== null && manualRate !== '') {
+    const rate = typeof manualRate === 'string' ? parseFloat(manualRate) : manualRate;
+    if (typeof rate !== 'number' || isNaN(rate) || rate <= 0) {
+      throw badRequest('exchangeRate must be a positive number');
+    }
+    return { rate, source: 'manual', effectiveDate: null };
+  }
+
+  const tableRate = await getExchangeRate(from, to, date, [groupId]);
+  if (!tableRate) {
+    throw badRequest(`No exchange rate from ${from} to ${to} is available. Please provide exchangeRate`);
+  }
+  return { rate: tableRate.rate, source: 'table', effectiveDate: tableRate.effectiveDate };
+};
+
+/**
+ * Look up the rates for converting several currencies into one
+ * @param {Array<String>} currencies - Currencies to convert from
+ * @param {String} to - Currency to convert to
+ * @param {Date} date - Date the rates should apply to
+ * @param {Array<Object>} groupIds - Groups whose rates may be used
+ * @returns {Promise<Object>} - { rates: [{ from, to, rate, effectiveDate }], missingRates: [currency] }
+ */
+const getConversionRates = async (currencies, to, date = new Date(), groupIds = []) => {
+  const rates = [];
+  const missingRates = [];
+  for (const from of [...new Set(currencies)].filter(currency => currency !== to)) {
+    const rate = await getExchangeRate(from, to, date, groupIds);
+    if (rate) {
+      rates.push({ from, to, rate: rate.rate, effectiveDate: rate.effectiveDate });
+    } else {
+      missingRates.push(from);
+    }
+  }
+  return { rates, missingRates };
+};
+
+/**
+ * Add up amounts in several currencies in one currency
+ * @param {Object} amounts - Map of currency to amount in major units
+ * @param {String} to - Currency to convert to
+ * @param {Array<Object>} rates - Rates from getConversionRates
+ * @returns {Number|null} - Total in major units, or null if a rate is missing
+ */
+const convertAmounts = (amounts, to, rates) => {
+  let totalMinor = 0;
+  for (const [from, amount] of Object.entries(amounts)) {
+    const rate = from === to ? 1 : (rates.find(entry => entry.from === from) || {}).rate;
+    if (rate === undefined) {
+      return null;
+    }
+    totalMinor += toMinorUnits(amount * rate, to);
+  }
+  return fromMinorUnits(totalMinor, to);
+};
+
+module.exports = {
+  CURRENCY_CODE_REGEX,
+  getExchangeRate,
+  resolveExpenseExchangeRate,
+  getConversionRates,
+  convertAmounts
+};
@@ -0,0 +1,139 @@
+const { createNotification } = require('./notification.service');
+const { getMemberShare, getExpenseShares, isRefund } = require('../utils/expense.util');
+const { fromMinorUnits } = require('../utils/money.util');
+
+/**
+ * Notify group members (except the actor) that an expense or refund was added
+ * @param {Object} expense - Saved expense document
+ * @param {Object} group - Group the expense belongs to
+ * @param {Object} actor - User who added the expense ({ email, name, profilePicture })
+ * @returns {Promise<Array>} - Created notifications
+ */
+const notifyExpenseAdded = (expense, group, actor) => {
+  // Mention the amount actually paid when it was in another currency
+  const amountLabel = expense.currency && expense.currency !== group.currency
+    ? `${group.currency} ${expense.amount} (${expense.currency} ${expense.originalAmount})`
+    : `${group.currency} ${expense.amount}`;
+  const refund = isRefund(expense);
+
+  const notificationPromises = group.members
+    .filter(email => email !== actor.email)
+    .map(email => {
+      const isInSplit = expense.splitAmong.includes(email);
+      const share = getMemberShare(expense, email, group.currency);
+      
+      let message;
+      if (refund) {
+        // Refund shares are negative: they reduce what the member owes
+        message = isInSplit
+          ? `${actor.name} added a refund of ${amountLabel} in ${group.name}. Your share is reduced by ${group.currency} ${Math.abs(share).toFixed(2)}`
+          : `${actor.name} added a refund of ${amountLabel} in ${group.name}`;
+      } else if (isInSplit) {
+        // For members who need to pay
+        message = `${actor.name} added an expense of ${amountLabel} in ${group.name}. Your share: ${group.currency} ${share.toFixed(2)}`;
+      } else {
+        // For members who are not part of the split
+        message = `${actor.name} added an expense of ${amountLabel} in ${group.name}`;
+      }
+      
+      // In groups that require approval, participants are asked to approve or dispute
+      const awaitingApproval = expense.status === 'pending' &&
+        (expense.approvals || []).some(approval => approval.email === email);
+      if (awaitingApproval) {
+        message += '. Please approve or dispute it';
+      }
+      
+      return createNotification(
+        email,
+        message,
+        'expense_added',
+        expense.groupId,
+        {
+          expenseId: expense._id.toString(),
+          amount: expense.amount,
+          share,
+          paidBy: expense.paidBy,
+          description: expense.description,
+          image: expense.invoice || null,
+          awaitingApproval
+        },
+        {
+          title: refund ? 'Refund Added' : 'New Expense Added',
+          actor: {
+            email: actor.email,
+            name: actor.name,
+            profilePicture: actor.profilePicture || null
+          },
+          expenseData: {
+            userName: actor.name,
+            groupName: group.name,
+            amount: expense.amount,
+            currency: group.currency,
+            share,
+            description: expense.description,
+            isInSplit,
+            image: expense.invoice || null
+          }
+        }
+      );
+    });
+
+  return Promise.all(notificationPromises);
+};
+
+/**
+ * Notify group members (except the actor) once about several occurrences of a recurring expense,
+ * e.g. those caught up after the scheduler was down or for a start date in the past
+ * @param {Array} expenses - Occurrences created for the same recurring expense
+ * @param {Object} group - Group the expenses belong to
+ * @param {Object} actor - User who set up the recurring expense ({ email, name, profilePicture })
+ * @returns {Promise<Array>} - Created notifications
+ */
+const notifyRecurringExpensesAdded = (expenses, group, actor) => {
+  const [{ description, recurringExpenseId }] = expenses;
+  const message = `${expenses.length} occurrences of the recurring expense "${description}" were added in ${group.name}`;
+
+  const notificationPromises = group.members
+    .filter(email => email !== actor.email)
+    .map(email => {
+      // Total share over all occurrences, summed in minor units
+      const shareMinor = expenses.reduce((sum, expense) => {
+        const memberShare = getExpenseShares(expense, group.currency).find(entry => entry.email === email);
+        return sum + (memberShare ? memberShare.amountMinor : 0);
+      }, 0);
+      const share = fromMinorUnits(shareMinor, group.currency);
+      // In groups that require approval, participants are asked to approve or dispute their occurrences
+      const awaitingApprovalCount = expenses.filter(expense => expense.status === 'pending' &&
+        (expense.approvals || []).some(approval => approval.email === email)).length;
+
+      let memberMessage = shareMinor !== 0 ? `${message}. Your share: ${group.currency} ${share.toFixed(2)}` : message;
+      if (awaitingApprovalCount > 0) {
+        memberMessage += `. Please approve or dispute the ${awaitingApprovalCount} expense(s) you take part in`;
+      }
+
+      return createNotification(
+        email,
+        memberMessage,
+        'recurring_expenses_added',
+        group._id,
+        {
+          recurringExpenseId: recurringExpenseId ? recurringExpenseId.toString() : null,
+          expenseCount: expenses.length,
+          share,
+          description,
+          awaitingApprovalCount
+        },
+        {
+          actor: {
+            email: actor.email,
+            name: actor.name,
+            profilePicture: actor.profilePicture || null
+          }
+        }
+      );
+    });
+
+  return Promise.all(notificationPromises);
+};
+
+module.exports = { notifyExpenseAdded, notifyRecurringExpensesAdded };
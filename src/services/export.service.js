@@ -0,0 +1,327 @@
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const { getExpenseShares, getExpensePayers, getExpenseAmountMinor } = require('../utils/expense.util');
+const { getCurrencyDecimals, fromMinorUnits, getAmountMinor } = require('../utils/money.util');
+const { toCsv } = require('../utils/csv.util');
+
+const EXPORT_FORMATS = ['csv', 'xlsx', 'pdf'];
+
+const EXPORT_CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  pdf: 'application/pdf'
+};
+
+/**
+ * Format a minor-unit amount with the currency's decimal places
+ * @param {Number} minor - Integer amount in minor units
+ * @param {String} currency - 3-letter currency code
+ * @returns {String} - Formatted amount (e.g. "12.50")
+ */
+const formatMoney = (minor, currency) => fromMinorUnits(minor, currency).toFixed(getCurrencyDecimals(currency));
+
+/**
+ * Format a date as YYYY-MM-DD
+ * @param {Date} date - Date to format
+ * @returns {String} - ISO calendar date
+ */
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Build a group ledger: every expense and settlement in date order with each member's share
+ * and running balance, plus the final balance of every member.
+ * Items dated before `from` are folded into the opening balances.
+ * @param {Object} input - Ledger input
+ * @param {Object} input.group - Group document
+ * @param {Array<Object>} input.expenses - Active expenses dated on or before `to`
+ * @param {Array<Object>} input.settlements - Active, confirmed settlements dated on or before `to`
+ * @param {Object} input.memberNames - Map of email to display name
+ * @param {Date} input.from - Start of the statement period (optional)
+ * @param {Date} input.to - End of the statement period (optional)
+ * @returns {Object} - { group, currency, members, from, to, openingBalances, rows, totals }
+ */
+const buildGroupLedger = ({ group, expenses, settlements, memberNames, from, to }) => {
+  const { currency } = group;
+
+  const entries = [
+    ...expenses.map(doc => ({ kind: 'expense', doc })),
+    ...settlements.map(doc => ({ kind: 'settlement', doc }))
+  ].sort((a, b) => (new Date(a.doc.date) - new Date(b.doc.date)) || a.doc._id.toString().localeCompare(b.doc._id.toString()));
+
+  // Former members can still appear in older items
+  const emails = [...group.members];
+  const addMember = (email) => {
+    if (email && !emails.includes(email)) {
+      emails.push(email);
+    }
+  };
+
+  const totals = {};
+  const balances = {};
+  const ensureMember = (email) => {
+    addMember(email);
+    if (!totals[email]) {
+      totals[email] = { paid: 0, share: 0, settlementsPaid: 0, settlementsReceived: 0 };
+      balances[email] = 0;
+    }
+  };
+  group.members.forEach(ensureMember);
+
+  let openingBalances = null;
+  const rows = [];
+
+  entries.forEach(({ kind, doc }) => {
+    const inPeriod = !from || new Date(doc.date) >= from;
+    if (inPeriod && from && !openingBalances) {
+      openingBalances = { ...balances };
+    }
+
+    const row = {
+      date: doc.date,
+      type: kind === 'expense' ? doc.type || 'expense' : kind,
+      description: kind === 'expense' ? doc.description : 'Settlement',
+      category: kind === 'expense' ? doc.category || 'other' : '',
+      amountMinor: kind === 'expense' ? getExpenseAmountMinor(doc, currency) : getAmountMinor(doc, currency),
+      shares: {}
+    };
+
+    if (kind === 'expense') {
+      const payers = getExpensePayers(doc, currency);
+      payers.forEach(payer => {
+        ensureMember(payer.email);
+        totals[payer.email].paid += payer.amountMinor;
+        balances[payer.email] += payer.amountMinor;
+      });
+      getExpenseShares(doc, currency).forEach(share => {
+        ensureMember(share.email);
+        totals[share.email].share += share.amountMinor;
+        balances[share.email] -= share.amountMinor;
+        row.shares[share.email] = share.amountMinor;
+      });
+      row.paidBy = payers.map(payer => payer.email);
+    } else {
+      ensureMember(doc.paidBy);
+      ensureMember(doc.paidTo);
+      totals[doc.paidBy].settlementsPaid += row.amountMinor;
+      totals[doc.paidTo].settlementsReceived += row.amountMinor;
+      balances[doc.paidBy] += row.amountMinor;
+      balances[doc.paidTo] -= row.amountMinor;
+      row.paidBy = [doc.paidBy];
+      row.paidTo = doc.paidTo;
+    }
+
+    if (inPeriod) {
+      row.balances = { ...balances };
+      rows.push(row);
+    }
+  });
+
+  // Every item was before the period: the opening balance is the final balance
+  if (from && !openingBalances) {
+    openingBalances = { ...balances };
+  }
+
+  return {
+    group,
+    currency,
+    members: emails.map(email => ({ email, name: memberNames[email] || email })),
+    from: from || (rows.length > 0 ? new Date(rows[0].date) : null),
+    to: to || (rows.length > 0 ? new Date(rows[rows.length - 1].date) : null),
+    openingBalances,
+    rows,
+    totals: emails.map(email => ({
+      email,
+      ...(totals[email] || { paid: 0, share: 0, settlementsPaid: 0, settlementsReceived: 0 }),
+      balance: balances[email] || 0
+    }))
+  };
+};
+
+/**
+ * Build the ledger table as rows of display values (shared by every format)
+ * @param {Object} ledger - Ledger from buildGroupLedger
+ * @param {Function} money - Formats a minor-unit amount
+ * @returns {Object} - { header, rows, balanceHeader, balanceRows }
+ */
+const getLedgerTables = (ledger, money) => {
+  const { members } = ledger;
+  const nameOf = (email) => (members.find(member => member.email === email) || { name: email }).name;
+
+  const header = [
+    'Date', 'Type', 'Description', 'Category', 'Paid by', 'Paid to', 'Amount',
+    ...members.map(member => `${member.name} share`),
+    ...members.map(member => `${member.name} balance`)
+  ];
+
+  const rows = [];
+  if (ledger.openingBalances) {
+    rows.push([
+      ledger.from ? formatDate(ledger.from) : '', 'opening', 'Opening balance', '', '', '', '',
+      ...members.map(() => ''),
+      ...members.map(member => money(ledger.openingBalances[member.email] || 0))
+    ]);
+  }
+  ledger.rows.forEach(row => {
+    rows.push([
+      formatDate(row.date),
+      row.type,
+      row.description,
+      row.category,
+      row.paidBy.map(nameOf).join('; '),
+      row.paidTo ? nameOf(row.paidTo) : '',
+      money(row.amountMinor),
+      ...members.map(member => (row.shares[member.email] !== undefined ? money(row.shares[member.email]) : '')),
+      ...members.map(member => money(row.balances[member.email] || 0))
+    ]);
+  });
+
+  const balanceHeader = ['Member', 'Email', 'Paid', 'Share', 'Settlements paid', 'Settlements received', 'Balance'];
+  const balanceRows = ledger.totals.map(total => [
+    nameOf(total.email),
+    total.email,
+    money(total.paid),
+    money(total.share),
+    money(total.settlementsPaid),
+    money(total.settlementsReceived),
+    money(total.balance)
+  ]);
+
+  return { header, rows, balanceHeader, balanceRows };
+};
+
+/**
+ * Export a ledger as CSV: the ledger table, a blank line, then the final balance table
+ * @param {Object} ledger - Ledger from buildGroupLedger
+ * @returns {Buffer} - CSV file content
+ */
+const exportLedgerCsv = (ledger) => {
+  const tables = getLedgerTables(ledger, minor => formatMoney(minor, ledger.currency));
+  return Buffer.from(toCsv([
+    tables.header,
+    ...tables.rows,
+    [],
+    tables.balanceHeader,
+    ...tables.balanceRows
+  ]), 'utf8');
+};
+
+/**
+ * Export a ledger as an XLSX workbook with a Ledger and a Balances sheet
+ * @param {Object} ledger - Ledger from buildGroupLedger
+ * @returns {Promise<Buffer>} - XLSX file content
+ */
+const exportLedgerXlsx = async (ledger) => {
+  const tables = getLedgerTables(ledger, minor => fromMinorUnits(minor, ledger.currency));
+  const decimals = getCurrencyDecimals(ledger.currency);
+  const numberFormat = decimals > 0 ? `#,##0.${'0'.repeat(decimals)}` : '#,##0';
+
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date();
+
+  const addSheet = (name, header, rows) => {
+    const sheet = workbook.addWorksheet(name, { views: [{ state: 'frozen', ySplit: 1 }] });
+    sheet.addRow(header).font = { bold: true };
+    rows.forEach(row => sheet.addRow(row));
+    sheet.columns.forEach((column, index) => {
+      column.width = Math.min(Math.max(String(header[index]).length + 2, 12), 40);
+      column.numFmt = numberFormat;
+    });
+    return sheet;
+  };
+
+  addSheet('Ledger', tables.header, tables.rows);
+  addSheet('Balances', tables.balanceHeader, tables.balanceRows);
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+/**
+ * Export a ledger as a printable PDF statement
+ * @param {Object} ledger - Ledger from buildGroupLedger
+ * @returns {Promise<Buffer>} - PDF file content
+ */
+const exportLedgerPdf = (ledger) => {
+  const tables = getLedgerTables(ledger, minor => formatMoney(minor, ledger.currency));
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 36 });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const period = ledger.from && ledger.to
+      ? `${formatDate(ledger.from)} to ${formatDate(ledger.to)}`
+      : 'No activity';
+
+    doc.fontSize(18).text(`${ledger.group.name} - Statement`);
+    doc.fontSize(10)
+      .text(`Currency: ${ledger.currency}`)
+      .text(`Period: ${period}`)
+      .text(`Generated: ${formatDate(new Date())}`)
+      .moveDown();
+
+    const drawTable = (header, rows, widths) => {
+      const left = doc.page.margins.left;
+      const drawRow = (cells, bold) => {
+        const height = Math.max(...cells.map((cell, index) => doc.heightOfString(String(cell), { width: widths[index] - 4 })));
+        if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+          doc.addPage();
+        }
+        const top = doc.y;
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+        let x = left;
+        cells.forEach((cell, index) => {
+          doc.text(String(cell), x, top, { width: widths[index] - 4 });
+          x += widths[index];
+        });
+        doc.x = left;
+        doc.y = top + height + 3;
+      };
+      drawRow(header, true);
+      rows.forEach(row => drawRow(row, false));
+      doc.moveDown();
+    };
+
+    const pageWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+    // Fixed columns first, then one share and one balance column per member in the remaining width
+    doc.fontSize(ledger.members.length > 4 ? 6 : 8);
+    const fixedWidths = [52, 46, 110, 56, 70, 60, 52];
+    const fixedTotal = fixedWidths.reduce((sum, width) => sum + width, 0);
+    const memberWidth = (pageWidth - fixedTotal) / Math.max(ledger.members.length * 2, 1);
+    drawTable(tables.header, tables.rows, [...fixedWidths, ...tables.header.slice(fixedWidths.length).map(() => memberWidth)]);
+
+    doc.fontSize(12).font('Helvetica-Bold').text('Final balances', doc.page.margins.left).moveDown(0.5);
+    doc.fontSize(9);
+    drawTable(tables.balanceHeader, tables.balanceRows, tables.balanceHeader.map(() => pageWidth / tables.balanceHeader.length));
+
+    doc.fontSize(8).font('Helvetica')
+      .text('A positive balance means the member is owed money; a negative balance means they owe.', doc.page.margins.left);
+
+    doc.end();
+  });
+};
+
+/**
+ * Export a ledger in the requested format
+ * @param {Object} ledger - Ledger from buildGroupLedger
+ * @param {String} format - csv | xlsx | pdf
+ * @returns {Promise<Buffer>} - File content
+ */
+const exportLedger = async (ledger, format) => {
+  if (format === 'xlsx') {
+    return exportLedgerXlsx(ledger);
+  }
+  if (format === 'pdf') {
+    return exportLedgerPdf(ledger);
+  }
+  return exportLedgerCsv(ledger);
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_CONTENT_TYPES,
+  buildGroupLedger,
+  exportLedger
+};
@@ -0,0 +1,110 @@
+const Group = require('../models/group.model');
+const User = require('../models/user.model');
+const UserPreferences = require('../models/userPreferences.model');
+const { badRequest, parseJsonField } = require('../utils/expense.util');
+
+/**
+ * Build the key that identifies the direct ledger of a set of people in one currency
+ * @param {Array<String>} members - Member emails
+ * @param {String} currency - 3-letter currency code
+ * @returns {String} - Key such as "EUR:a@example.com,b@example.com"
+ */
+const getDirectGroupKey = (members, currency) => `${currency}:${[...new Set(members)].sort().join(',')}`;
+
+/**
+ * Collect everyone taking part in a direct expense from the request input
+ * @param {Object} input - Expense request body (splitAmong, splits, payers, items)
+ * @param {String} actorEmail - Email of the member adding the expense
+ * @returns {Array<String>} - Unique participant emails, starting with the actor
+ */
+const getDirectParticipants = ({ splitAmong, splits, payers, items }, actorEmail) => {
+  const emailsOf = (value, pick) => {
+    const entries = parseJsonField(value);
+    return Array.isArray(entries) ? entries.flatMap(pick) : [];
+  };
+
+  return [...new Set([
+    actorEmail,
+    ...emailsOf(splitAmong, email => [email]),
+    ...emailsOf(splits, entry => [entry && entry.email]),
+    ...emailsOf(payers, entry => [entry && entry.email]),
+    ...emailsOf(items, item => (item && Array.isArray(item.assignedTo) ? item.assignedTo : []))
+  ].filter(email => typeof email === 'string' && email.length > 0))];
+};
+
+/**
+ * Get the currency a user records direct expenses in when none is given
+ * @param {String} email - User email
+ * @returns {Promise<String>} - 3-letter currency code
+ */
+const getDefaultCurrency = async (email) => {
+  const preferences = await UserPreferences.findOne({ email });
+  return (preferences && preferences.currency && preferences.currency.default) || 'USD';
+};
+
+/**
+ * Find the direct (non-group) ledger of a set of people in a currency. A ledger that does not exist yet is
+ * returned unsaved, so a request that fails validation leaves nothing behind: store it with saveDirectGroup.
+ * Direct ledgers are stored as hidden groups so expenses, settlements and balances work the same way.
+ * @param {Array<String>} members - Participant emails (at least two people)
+ * @param {String} currency - 3-letter currency code
+ * @returns {Promise<Object>} - Group document of type direct (isNew until saved)
+ * @throws {Error} - Error with status 400 if fewer than two people take part
+ */
+const findDirectGroup = async (members, currency) => {
+  const uniqueMembers = [...new Set(members)];
+  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  if (uniqueMembers.some(email => !emailRegex.test(email))) {
+    throw badRequest('All participants must be valid email addresses');
+  }
+  if (uniqueMembers.length < 2) {
+    throw badRequest('A direct expense needs at least one other person');
+  }
+
+  const directKey = getDirectGroupKey(uniqueMembers, currency);
+  const existing = await Group.findOne({ directKey });
+  if (existing) {
+    return existing;
+  }
+
+  const users = await User.find({ email: { $in: uniqueMembers } }, 'email name');
+  const nameOf = (email) => (users.find(user => user.email === email) || { name: email }).name;
+
+  return new Group({
+    type: 'direct',
+    directKey,
+    name: uniqueMembers.map(nameOf).join(', '),
+    currency,
+    category: 'others',
+    members: uniqueMembers,
+    ledgerBuiltAt: new Date()
+  });
+};
+
+/**
+ * Store a direct ledger returned by findDirectGroup on first use
+ * @param {Object} group - Group document
+ * @returns {Promise<Object>} - Stored group document (the existing one if another request created it first)
+ */
+const saveDirectGroup = async (group) => {
+  if (!group.isNew) {
+    return group;
+  }
+
+  try {
+    return await group.save();
+  } catch (error) {
+    // Another request created the same ledger first
+    if (error.code === 11000) {
+      return Group.findOne({ directKey: group.directKey });
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  getDirectParticipants,
+  getDefaultCurrency,
+  findDirectGroup,
+  saveDirectGroup
+};
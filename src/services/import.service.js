@@ -0,0 +1,449 @@
+const Expense = require('../models/expense.model');
+const Settlement = require('../models/settlement.model');
+const { EXPENSE_CATEGORIES, EXPENSE_CATEGORY_KEYS } = require('../config/categories.config');
+const { resolveExpenseExchangeRate } = require('./currency.service');
+const { runInTransaction, postLedgerEntry } = require('./ledger.service');
+const {
+  badRequest,
+  buildExpenseSplits,
+  buildExpensePayers,
+  convertExpenseAmounts,
+  getPrimaryPayer
+} = require('../utils/expense.util');
+const { toMinorUnits, fromMinorUnits, allocateMinorUnits } = require('../utils/money.util');
+const { startApproval } = require('../utils/approval.util');
+const { parseCsv } = require('../utils/csv.util');
+
+const IMPORT_FORMATS = ['splitwise', 'csv'];
+
+// Largest number of data rows accepted in one import
+const MAX_IMPORT_ROWS = 5000;
+
+// Columns every Splitwise export starts with; one column per person follows
+const SPLITWISE_COLUMNS = ['Date', 'Description', 'Category', 'Cost', 'Currency'];
+
+// Splitwise category names that do not match one of our category labels
+const SPLITWISE_CATEGORIES = {
+  'dining out': 'dining',
+  'liquor': 'dining',
+  'electricity': 'utilities',
+  'heat/gas': 'utilities',
+  'water': 'utilities',
+  'trash': 'utilities',
+  'tv/phone/internet': 'utilities',
+  'cleaning': 'utilities',
+  'mortgage': 'rent',
+  'household supplies': 'shopping',
+  'furniture': 'shopping',
+  'electronics': 'shopping',
+  'clothing': 'shopping',
+  'bus/train': 'transport',
+  'car': 'transport',
+  'gas/fuel': 'transport',
+  'parking': 'transport',
+  'taxi': 'transport',
+  'bicycle': 'transport',
+  'hotel': 'travel',
+  'plane': 'travel',
+  'games': 'entertainment',
+  'movies': 'entertainment',
+  'music': 'entertainment',
+  'sports': 'entertainment',
+  'medical expenses': 'health',
+  'insurance': 'health'
+};
+
+// Generic CSV mapping keys that must name a column
+const REQUIRED_MAPPING_KEYS = ['date', 'description', 'amount', 'paidBy'];
+const MAPPING_KEYS = [...REQUIRED_MAPPING_KEYS, 'splitAmong', 'category', 'currency', 'type', 'paidTo'];
+
+/**
+ * Map a category name from an import file to a category key
+ * @param {String} value - Category key, label or Splitwise category name
+ * @returns {String} - Category key ('other' if unknown)
+ */
+const resolveCategory = (value) => {
+  const name = (value || '').trim().toLowerCase();
+  if (EXPENSE_CATEGORY_KEYS.includes(name)) {
+    return name;
+  }
+  const category = EXPENSE_CATEGORIES.find(entry => entry.label.toLowerCase() === name);
+  return category ? category.key : SPLITWISE_CATEGORIES[name] || 'other';
+};
+
+/**
+ * Create a function that maps a person named in an import file to a group member
+ * @param {Object} group - Group document
+ * @param {Object} members - Explicit mapping of names in the file to member emails
+ * @returns {Function} - (name) => member email, or null if the person cannot be mapped
+ */
+const createMemberResolver = (group, members = {}) => {
+  const explicit = {};
+  Object.entries(members).forEach(([name, email]) => {
+    explicit[name.trim().toLowerCase()] = String(email).toLowerCase();
+  });
+  const memberEmails = group.members.reduce((map, email) => {
+    map[email.toLowerCase()] = email;
+    return map;
+  }, {});
+
+  return (name) => {
+    const key = (name || '').trim().toLowerCase();
+    return memberEmails[explicit[key] || key] || null;
+  };
+};
+
+/**
+ * Parse a money value from an import file
+ * @param {String} value - Raw cell value (may contain thousands separators)
+ * @returns {Number} - Parsed amount (NaN if the value is not a number)
+ */
+const parseImportAmount = (value) => {
+  const text = (value || '').trim().replace(/,/g, '');
+  return text === '' ? 0 : Number(text);
+};
+
+/**
+ * Parse the rows of a Splitwise export.
+ * Splitwise only exports each person's net change per row, so an expense's shares are
+ * rebuilt as: people with a negative net owe that amount; people with a positive net
+ * paid, and share whatever the debtors do not cover equally among themselves.
+ * Payment rows become settlements.
+ * @param {Array<Array<String>>} records - Parsed CSV rows including the header
+ * @param {Function} resolveMember - Maps a person column to a member email
+ * @param {String} groupCurrency - Currency used when a row has none
+ * @returns {Array<Object>} - Parsed rows with their validation errors
+ */
+const parseSplitwiseRows = (records, resolveMember, groupCurrency) => {
+  const [header, ...dataRows] = records;
+  if (!header || SPLITWISE_COLUMNS.some((column, index) => (header[index] || '').trim() !== column)) {
+    throw badRequest(`Not a Splitwise export: the header must start with ${SPLITWISE_COLUMNS.join(', ')}`);
+  }
+
+  const people = header.slice(SPLITWISE_COLUMNS.length).map(name => ({ name, email: resolveMember(name) }));
+
+  return dataRows
+    .map((cells, index) => ({ cells, row: index + 2 }))
+    // Splitwise appends a "Total balance" line without a date
+    .filter(({ cells }) => (cells[0] || '').trim() !== '')
+    .map(({ cells, row }) => {
+      const [date, description, category, cost, currency] = cells;
+      const parsed = {
+        row,
+        type: category === 'Payment' ? 'settlement' : 'expense',
+        date: (date || '').trim(),
+        description: (description || '').trim(),
+        category: resolveCategory(category),
+        currency: ((currency || '').trim() || groupCurrency).toUpperCase(),
+        amount: parseImportAmount(cost),
+        errors: []
+      };
+
+      const nets = [];
+      people.forEach((person, personIndex) => {
+        const net = parseImportAmount(cells[SPLITWISE_COLUMNS.length + personIndex]);
+        if (isNaN(net)) {
+          parsed.errors.push(`Invalid amount for ${person.name}`);
+        } else if (net !== 0 && !person.email) {
+          parsed.errors.push(`${person.name} is not mapped to a group member`);
+        } else if (net !== 0) {
+          nets.push({ email: person.email, netMinor: toMinorUnits(net, parsed.currency) });
+        }
+      });
+
+      const creditors = nets.filter(entry => entry.netMinor > 0);
+      const debtors = nets.filter(entry => entry.netMinor < 0);
+
+      if (parsed.type === 'settlement') {
+        if (creditors.length !== 1 || debtors.length !== 1) {
+          parsed.errors.push('A payment must be between exactly two people');
+        } else {
+          parsed.paidBy = creditors[0].email;
+          parsed.paidTo = debtors[0].email;
+        }
+        return parsed;
+      }
+
+      if (isNaN(parsed.amount)) {
+        parsed.errors.push('Cost must be a number');
+        return parsed;
+      }
+      if (creditors.length === 0) {
+        parsed.errors.push('Nobody paid for this expense');
+        return parsed;
+      }
+
+      const debtMinor = debtors.reduce((sum, entry) => sum - entry.netMinor, 0);
+      const creditorShareMinor = toMinorUnits(parsed.amount, parsed.currency) - debtMinor;
+      if (creditorShareMinor < 0) {
+        parsed.errors.push('The shares owed add up to more than the cost');
+        return parsed;
+      }
+
+      const creditorShares = allocateMinorUnits(creditorShareMinor, creditors.map(() => 1));
+      parsed.payers = creditors.map((entry, creditorIndex) => ({
+        email: entry.email,
+        amount: fromMinorUnits(entry.netMinor + creditorShares[creditorIndex], parsed.currency)
+      }));
+      parsed.split = {
+        splitType: 'exact',
+        splits: [
+          ...creditors.map((entry, creditorIndex) => ({
+            email: entry.email,
+            value: fromMinorUnits(creditorShares[creditorIndex], parsed.currency)
+          })),
+          ...debtors.map(entry => ({ email: entry.email, value: fromMinorUnits(-entry.netMinor, parsed.currency) }))
+        ].filter(entry => entry.value > 0)
+      };
+      return parsed;
+    });
+};
+
+/**
+ * Parse the rows of a generic CSV using a column mapping
+ * @param {Array<Array<String>>} records - Parsed CSV rows including the header
+ * @param {Object} mapping - Column name for each field (date, description, amount, paidBy, ...)
+ * @param {Function} resolveMember - Maps a name or email to a member email
+ * @param {Object} group - Group document
+ * @returns {Array<Object>} - Parsed rows with their validation errors
+ */
+const parseGenericRows = (records, mapping, resolveMember, group) => {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    throw badRequest('mapping is required for generic CSV imports');
+  }
+  const missingKeys = REQUIRED_MAPPING_KEYS.filter(key => !mapping[key]);
+  if (missingKeys.length > 0) {
+    throw badRequest(`mapping must name the ${missingKeys.join(', ')} column(s)`);
+  }
+
+  const [header, ...dataRows] = records;
+  const columns = {};
+  MAPPING_KEYS.filter(key => mapping[key]).forEach(key => {
+    const columnIndex = (header || []).findIndex(name => name.trim() === String(mapping[key]).trim());
+    if (columnIndex === -1) {
+      throw badRequest(`Column "${mapping[key]}" was not found in the CSV header`);
+    }
+    columns[key] = columnIndex;
+  });
+
+  const cell = (cells, key) => (columns[key] === undefined ? '' : (cells[columns[key]] || '').trim());
+
+  return dataRows.map((cells, index) => {
+    const type = cell(cells, 'type').toLowerCase() === 'settlement' ? 'settlement' : 'expense';
+    const parsed = {
+      row: index + 2,
+      type,
+      date: cell(cells, 'date'),
+      description: cell(cells, 'description'),
+      category: resolveCategory(cell(cells, 'category')),
+      currency: (cell(cells, 'currency') || group.currency).toUpperCase(),
+      amount: parseImportAmount(cell(cells, 'amount')),
+      errors: []
+    };
+
+    const paidBy = resolveMember(cell(cells, 'paidBy'));
+    if (!paidBy) {
+      parsed.errors.push(`Payer "${cell(cells, 'paidBy')}" is not mapped to a group member`);
+    }
+
+    if (type === 'settlement') {
+      parsed.paidBy = paidBy;
+      parsed.paidTo = resolveMember(cell(cells, 'paidTo'));
+      if (!parsed.paidTo) {
+        parsed.errors.push(`Recipient "${cell(cells, 'paidTo')}" is not mapped to a group member`);
+      }
+      return parsed;
+    }
+
+    // Without a split column the expense is shared equally by the whole group
+    const names = cell(cells, 'splitAmong')
+      ? cell(cells, 'splitAmong').split(';').map(name => name.trim()).filter(Boolean)
+      : group.members;
+    const splitAmong = names.map(resolveMember);
+    names.forEach((name, nameIndex) => {
+      if (!splitAmong[nameIndex]) {
+        parsed.errors.push(`"${name}" is not mapped to a group member`);
+      }
+    });
+
+    parsed.payers = paidBy ? [{ email: paidBy, amount: parsed.amount }] : [];
+    parsed.split = { splitType: 'equal', splitAmong: splitAmong.filter(Boolean) };
+    return parsed;
+  });
+};
+
+/**
+ * Build the Expense or Settlement document for a parsed row
+ * @param {Object} row - Parsed row without errors
+ * @param {Object} group - Group document
+ * @param {Object} actor - User running the import ({ email })
+ * @returns {Promise<Object>} - Document fields
+ * @throws {Error} - Error with status 400 if the row is invalid
+ */
+const buildImportDocument = async (row, group, actor) => {
+  if (isNaN(Date.parse(row.date))) {
+    throw badRequest('Valid date is required');
+  }
+  if (!row.description) {
+    throw badRequest('Description is required');
+  }
+  if (isNaN(row.amount) || row.amount <= 0) {
+    throw badRequest('Amount must be a positive number');
+  }
+
+  if (row.type === 'settlement') {
+    if (row.currency !== group.currency) {
+      throw badRequest(`Settlements must be in the group currency (${group.currency})`);
+    }
+    // Same checks as a settlement recorded by hand
+    if (row.paidBy === row.paidTo) {
+      throw badRequest('A settlement must be paid to someone else');
+    }
+    const amountMinor = toMinorUnits(row.amount, group.currency);
+    if (amountMinor <= 0) {
+      throw badRequest(`Amount is smaller than the smallest unit of ${group.currency}`);
+    }
+    return {
+      groupId: group._id,
+      paidBy: row.paidBy,
+      paidTo: row.paidTo,
+      amount: fromMinorUnits(amountMinor, group.currency),
+      amountMinor,
+      date: new Date(row.date),
+      // Imported payments already happened, so they do not wait for the recipient to confirm them
+      status: 'confirmed'
+    };
+  }
+
+  const split = buildExpenseSplits({ amount: row.amount, currency: row.currency, ...row.split });
+  const payerList = buildExpensePayers({
+    amount: row.amount,
+    currency: row.currency,
+    payers: row.payers,
+    defaultPayer: actor.email
+  });
+  const conversion = await resolveExpenseExchangeRate({
+    from: row.currency,
+    to: group.currency,
+    date: new Date(row.date),
+    groupId: group._id
+  });
+  const converted = convertExpenseAmounts({
+    amount: row.amount,
+    currency: row.currency,
+    groupCurrency: group.currency,
+    splits: split.splits,
+    payers: payerList,
+    exchangeRate: conversion.rate
+  });
+
+  const expense = {
+    groupId: group._id,
+    amount: converted.amount,
+    amountMinor: converted.amountMinor,
+    currency: row.currency,
+    originalAmount: row.amount,
+    exchangeRate: conversion.rate,
+    exchangeRateSource: conversion.source,
+    exchangeRateDate: conversion.effectiveDate,
+    description: row.description,
+    date: new Date(row.date),
+    category: row.category,
+    paidBy: getPrimaryPayer(converted.payers),
+    payers: converted.payers,
+    createdBy: actor.email,
+    splitAmong: split.splitAmong,
+    splitType: split.splitType,
+    splits: converted.splits,
+    items: []
+  };
+  // Imported expenses go through the same approval as expenses added by hand
+  startApproval(expense, group, actor.email);
+  return expense;
+};
+
+/**
+ * Parse an import file and validate every row against the group
+ * @param {Object} input - Import input
+ * @param {String} input.format - splitwise | csv
+ * @param {String} input.csv - CSV content
+ * @param {Object} input.mapping - Column mapping (generic CSV only)
+ * @param {Object} input.members - Explicit mapping of names in the file to member emails
+ * @param {Object} group - Group document
+ * @param {Object} actor - User running the import ({ email })
+ * @returns {Promise<Array<Object>>} - Rows with a document (if valid) and errors
+ * @throws {Error} - Error with status 400 if the file cannot be imported at all
+ */
+const prepareImport = async ({ format, csv, mapping, members }, group, actor) => {
+  if (!IMPORT_FORMATS.includes(format)) {
+    throw badRequest(`Invalid format. Must be one of: ${IMPORT_FORMATS.join(', ')}`);
+  }
+  if (members !== undefined && (typeof members !== 'object' || members === null || Array.isArray(members))) {
+    throw badRequest('members must be an object mapping names to member emails');
+  }
+
+  const records = parseCsv(csv);
+  if (records.length < 2) {
+    throw badRequest('The CSV file has no data rows');
+  }
+  if (records.length - 1 > MAX_IMPORT_ROWS) {
+    throw badRequest(`A single import is limited to ${MAX_IMPORT_ROWS} rows`);
+  }
+
+  const resolveMember = createMemberResolver(group, members);
+  const rows = format === 'splitwise'
+    ? parseSplitwiseRows(records, resolveMember, group.currency)
+    : parseGenericRows(records, mapping, resolveMember, group);
+
+  for (const row of rows) {
+    if (row.errors.length > 0) {
+      continue;
+    }
+    try {
+      row.document = await buildImportDocument(row, group, actor);
+    } catch (error) {
+      if (error.status !== 400) {
+        throw error;
+      }
+      row.errors.push(error.message);
+    }
+  }
+
+  return rows;
+};
+
+/**
+ * Create the expenses and settlements of a validated import and post them to the group's ledger.
+ * If saving settlements fails, the expenses created for the same import are removed again.
+ * @param {Array<Object>} rows - Rows returned by prepareImport, all without errors
+ * @param {Object} group - Group document the rows are imported into
+ * @returns {Promise<Object>} - { expenses, settlements } created documents
+ */
+const commitImport = (rows, group) => runInTransaction(async session => {
+  const expenseDocs = rows.filter(row => row.type === 'expense').map(row => row.document);
+  const settlementDocs = rows.filter(row => row.type === 'settlement').map(row => row.document);
+
+  const expenses = await Expense.insertMany(expenseDocs, { session });
+  let settlements;
+  try {
+    settlements = await Settlement.insertMany(settlementDocs, { session });
+  } catch (error) {
+    // Without a transaction nothing is rolled back automatically
+    if (!session) {
+      await Expense.deleteMany({ _id: { $in: expenses.map(expense => expense._id) } });
+    }
+    throw error;
+  }
+
+  for (const doc of [...expenses, ...settlements]) {
+    await postLedgerEntry(group, doc, session);
+  }
+  return { expenses, settlements };
+});
+
+module.exports = {
+  IMPORT_FORMATS,
+  MAX_IMPORT_ROWS,
+  prepareImport,
+  commitImport
+};
@@ -0,0 +1,494 @@
+const mongoose = require('mongoose');
+const Group = require('../models/group.model');
+const Expense = require('../models/expense.model');
+const Settlement = require('../models/settlement.model');
+const JournalEntry = require('../models/journalEntry.model');
+const GroupBalance = require('../models/groupBalance.model');
+const { getExpenseDebts, isRefund } = require('../utils/expense.util');
+const { UNAPPROVED_STATUSES, UNCONFIRMED_STATUSES } = require('../utils/approval.util');
+const { getAmountMinor } = require('../utils/money.util');
+
+let transactionsSupported;
+
+/**
+ * Check whether the database accepts multi-document transactions (replica sets and sharded clusters do)
+ * @returns {Promise<Boolean>} - True if transactions can be used
+ */
+const supportsTransactions = async () => {
+  if (transactionsSupported === undefined) {
+    const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+    transactionsSupported = Boolean(hello.setName || hello.msg === 'isdbgrid');
+  }
+  return transactionsSupported;
+};
+
+/**
+ * Run database work in a transaction. On a standalone server (local development and tests)
+ * the work runs without one, and drift can be repaired with npm run rebuild:balances.
+ * @param {Function} work - async (session) => result; session is null without a transaction
+ * @returns {Promise<*>} - Result of the work
+ */
+const runInTransaction = async (work) => {
+  if (!(await supportsTransactions())) {
+    return work(null);
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * Add up journal lines per account and counterparty
+ * @param {Array<Object>} lines - [{ account, counterparty, amountMinor }]
+ * @returns {Array<Object>} - One line per account and counterparty with a non-zero amount, sorted by account
+ */
+const sumLines = (lines) => {
+  const totals = {};
+  lines.forEach(({ account, counterparty, amountMinor }) => {
+    const key = JSON.stringify([account, counterparty]);
+    totals[key] = (totals[key] || 0) + amountMinor;
+  });
+
+  return Object.entries(totals)
+    .filter(([, amountMinor]) => amountMinor !== 0)
+    .map(([key, amountMinor]) => {
+      const [account, counterparty] = JSON.parse(key);
+      return { account, counterparty, amountMinor };
+    })
+    .sort((a, b) => a.account.localeCompare(b.account) || a.counterparty.localeCompare(b.counterparty));
+};
+
+/**
+ * Turn journal lines into a balance map
+ * @param {Array<Object>} lines - [{ account, counterparty, amountMinor }]
+ * @returns {Object} - Map of email to { netMinor, debts: { email: amountMinor } }; positive means the member is owed
+ */
+const toBalances = (lines) => {
+  const balances = {};
+  sumLines(lines).forEach(({ account, counterparty, amountMinor }) => {
+    balances[account] = balances[account] || { netMinor: 0, debts: {} };
+    balances[account].netMinor += amountMinor;
+    balances[account].debts[counterparty] = amountMinor;
+  });
+  return balances;
+};
+
+/**
+ * Work out the journal lines an expense, refund or settlement currently posts.
+ * Every debt is recorded on both sides: the creditor's account gains what the debtor's account loses.
+ * @param {Object|null} doc - Expense or settlement; deleted entries, expenses that are not approved and
+ *   settlements that are not confirmed post nothing
+ * @param {String} currency - Group currency
+ * @returns {Array<Object>} - [{ account, counterparty, amountMinor }], summing to zero
+ */
+const getJournalLines = (doc, currency) => {
+  if (!doc || doc.deletedAt) {
+    return [];
+  }
+  const uncountedStatuses = doc.paidTo ? UNCONFIRMED_STATUSES : UNAPPROVED_STATUSES;
+  if (uncountedStatuses.includes(doc.status)) {
+    return [];
+  }
+
+  let debts;
+  if (doc.paidTo) {
+    // Settlements are the only entries with a recipient: the recipient now owes the payer
+    debts = [{ from: doc.paidTo, to: doc.paidBy, amountMinor: getAmountMinor(doc, currency) }];
+  } else if (!doc.splitAmong || doc.splitAmong.length === 0 || !doc.amount || doc.amount <= 0) {
+    // Safety check: skip if splitAmong is empty or amount is invalid
+    return [];
+  } else {
+    debts = getExpenseDebts(doc, currency);
+  }
+
+  return sumLines(debts.flatMap(({ from, to, amountMinor }) => [
+    { account: to, counterparty: from, amountMinor },
+    { account: from, counterparty: to, amountMinor: -amountMinor }
+  ]));
+};
+
+// Journal source type of an expense or settlement
+const getSourceType = (doc) => {
+  if (doc.paidTo) {
+    return 'settlement';
+  }
+  return isRefund(doc) ? 'refund' : 'expense';
+};
+
+// Entries of one source that have not been reversed (and are not reversals themselves)
+const getActiveEntries = (entries) => {
+  const reversed = new Set(entries.filter(entry => entry.reverses).map(entry => entry.reverses.toString()));
+  return entries.filter(entry => !entry.reverses && !reversed.has(entry._id.toString()));
+};
+
+/**
+ * Work out the journal entries that bring a source's posting up to date: a reversal of what is
+ * posted now, followed by a posting of the current amounts.
+ * @param {Object} group - Group document
+ * @param {Object} sourceId - Expense or settlement id
+ * @param {Object|null} doc - Expense or settlement, null if it no longer exists
+ * @param {Array<Object>} entries - Journal entries already posted for the source
+ * @returns {Array<Object>} - Entries to post, empty when the journal is up to date
+ */
+const getPendingEntries = (group, sourceId, doc, entries) => {
+  const active = getActiveEntries(entries);
+  const lines = getJournalLines(doc, group.currency);
+  const date = doc ? new Date(doc.date) : null;
+
+  if (active.length === 0 && lines.length === 0) {
+    return [];
+  }
+  if (active.length === 1 && lines.length > 0 &&
+    active[0].sourceType === getSourceType(doc) &&
+    new Date(active[0].date).getTime() === date.getTime() &&
+    JSON.stringify(sumLines(active[0].lines)) === JSON.stringify(lines)) {
+    return [];
+  }
+
+  const pending = active.map(entry => ({
+    _id: new mongoose.Types.ObjectId(),
+    groupId: group._id,
+    sourceType: entry.sourceType,
+    sourceId,
+    date: entry.date,
+    reverses: entry._id,
+    lines: entry.lines.map(line => ({ account: line.account, counterparty: line.counterparty, amountMinor: -line.amountMinor }))
+  }));
+  if (lines.length > 0) {
+    pending.push({
+      _id: new mongoose.Types.ObjectId(),
+      groupId: group._id,
+      sourceType: getSourceType(doc),
+      sourceId,
+      date,
+      lines
+    });
+  }
+  return pending;
+};
+
+// Add to what a counterparty owes a member, creating the entry on first use
+const incrementDebt = async (groupId, email, counterparty, amountMinor, session) => {
+  const updated = await GroupBalance.updateOne(
+    { groupId, email, 'debts.email': counterparty },
+    { $inc: { 'debts.$.amountMinor': amountMinor } },
+    { session }
+  );
+  if (updated.matchedCount > 0) {
+    return;
+  }
+
+  const added = await GroupBalance.updateOne(
+    { groupId, email, 'debts.email': { $ne: counterparty } },
+    { $push: { debts: { email: counterparty, amountMinor } } },
+    { session }
+  );
+  // Another request added the entry in between
+  if (added.matchedCount === 0) {
+    await incrementDebt(groupId, email, counterparty, amountMinor, session);
+  }
+};
+
+/**
+ * Add posted journal lines to the stored balances of a group
+ * @param {Object} groupId - Group id
+ * @param {Array<Object>} lines - Lines of the entries just posted
+ * @param {Object|null} session - Transaction session
+ */
+const applyToBalances = async (groupId, lines, session) => {
+  const changes = toBalances(lines);
+  for (const [email, balance] of Object.entries(changes)) {
+    await GroupBalance.updateOne(
+      { groupId, email },
+      { $inc: { netMinor: balance.netMinor }, $set: { updatedAt: new Date() } },
+      { upsert: true, session }
+    );
+    for (const [counterparty, amountMinor] of Object.entries(balance.debts)) {
+      await incrementDebt(groupId, email, counterparty, amountMinor, session);
+    }
+  }
+};
+
+/**
+ * Post a created, changed or deleted expense or settlement to the group's journal and stored balances
+ * @param {Object} group - Group document
+ * @param {Object} doc - Expense or settlement as saved
+ * @param {Object|null} session - Transaction session
+ * @returns {Promise<Array<Object>>} - Journal entries posted
+ */
+const postLedgerEntry = async (group, doc, session) => {
+  const entries = await JournalEntry.find({ sourceId: doc._id }).session(session).lean();
+  const pending = getPendingEntries(group, doc._id, doc, entries);
+  if (pending.length === 0) {
+    return [];
+  }
+
+  await JournalEntry.insertMany(pending, { session });
+  await applyToBalances(group._id, pending.flatMap(entry => entry.lines), session);
+  return pending;
+};
+
+/**
+ * Save an expense or settlement and post it to the group's ledger in one transaction
+ * @param {Object} doc - Expense or settlement document with unsaved changes
+ * @param {Object} group - Group document
+ * @returns {Promise<Object>} - Saved document
+ */
+const saveLedgerEntry = (doc, group) => runInTransaction(async session => {
+  await doc.save({ session });
+  await postLedgerEntry(group, doc, session);
+  return doc;
+});
+
+// Convert stored balance documents into a balance map
+const toBalanceMap = (docs) => Object.fromEntries(docs.map(doc => [doc.email, {
+  netMinor: doc.netMinor,
+  debts: Object.fromEntries((doc.debts || []).map(debt => [debt.email, debt.amountMinor]))
+}]));
+
+/**
+ * Compare stored balances with balances added up from the journal
+ * @param {Object} stored - Balance map read from the database
+ * @param {Object} expected - Balance map added up from the journal
+ * @returns {Array<Object>} - [{ email, field, storedMinor, expectedMinor }] for every amount that differs
+ */
+const findBalanceDrift = (stored, expected) => {
+  const empty = { netMinor: 0, debts: {} };
+  const drift = [];
+  new Set([...Object.keys(stored), ...Object.keys(expected)]).forEach(email => {
+    const storedBalance = stored[email] || empty;
+    const expectedBalance = expected[email] || empty;
+    if (storedBalance.netMinor !== expectedBalance.netMinor) {
+      drift.push({ email, field: 'netMinor', storedMinor: storedBalance.netMinor, expectedMinor: expectedBalance.netMinor });
+    }
+    new Set([...Object.keys(storedBalance.debts), ...Object.keys(expectedBalance.debts)]).forEach(counterparty => {
+      const storedMinor = storedBalance.debts[counterparty] || 0;
+      const expectedMinor = expectedBalance.debts[counterparty] || 0;
+      if (storedMinor !== expectedMinor) {
+        drift.push({ email, field: `debts.${counterparty}`, storedMinor, expectedMinor });
+      }
+    });
+  });
+  return drift;
+};
+
+/**
+ * Check the double-entry invariant of a group's journal: every entry, and so the whole group, sums to zero
+ * @param {Array<Object>} entries - All journal entries of the group
+ * @returns {Object} - { totalMinor, unbalancedEntries: [entryId] }; the journal is consistent when both are empty/zero
+ */
+const checkJournal = (entries) => {
+  const sum = (lines) => lines.reduce((total, line) => total + line.amountMinor, 0);
+  return {
+    totalMinor: entries.reduce((total, entry) => total + sum(entry.lines), 0),
+    unbalancedEntries: entries.filter(entry => sum(entry.lines) !== 0).map(entry => entry._id.toString())
+  };
+};
+
+/**
+ * Reconcile a group's journal with its expenses and settlements, check that it balances,
+ * and rebuild the stored balances from it
+ * @param {Object} group - Group document
+ * @param {Object} options - { dryRun } to only report problems without writing
+ * @returns {Promise<Object>} - { balances, entries, sources, drift, invariant }: the reconciled journal, sources
+ *   whose posting was missing or out of date ([{ sourceType, sourceId }]), stored amounts that differed from
+ *   the journal, and checkJournal's result
+ */
+const rebuildGroupLedger = (group, { dryRun = false } = {}) => runInTransaction(async session => {
+  const expenses = await Expense.find({ groupId: group._id }).session(session).lean();
+  const settlements = await Settlement.find({ groupId: group._id }).session(session).lean();
+  const entries = await JournalEntry.find({ groupId: group._id }).session(session).lean();
+  const stored = await GroupBalance.find({ groupId: group._id }).session(session).lean();
+
+  const entriesBySource = {};
+  entries.forEach(entry => {
+    const sourceId = entry.sourceId.toString();
+    entriesBySource[sourceId] = entriesBySource[sourceId] || [];
+    entriesBySource[sourceId].push(entry);
+  });
+  const docsById = Object.fromEntries([...expenses, ...settlements].map(doc => [doc._id.toString(), doc]));
+
+  // Sources that no longer exist keep nothing posted
+  const sources = [];
+  const pending = [];
+  new Set([...Object.keys(docsById), ...Object.keys(entriesBySource)]).forEach(sourceId => {
+    const doc = docsById[sourceId] || null;
+    const sourceEntries = getPendingEntries(group, new mongoose.Types.ObjectId(sourceId), doc, entriesBySource[sourceId] || []);
+    if (sourceEntries.length > 0) {
+      sources.push({ sourceType: sourceEntries[sourceEntries.length - 1].sourceType, sourceId });
+      pending.push(...sourceEntries);
+    }
+  });
+
+  const invariant = checkJournal(entries);
+  const balances = toBalances([...entries, ...pending].flatMap(entry => entry.lines));
+  const drift = findBalanceDrift(toBalanceMap(stored), balances);
+
+  if (!dryRun) {
+    const builtAt = new Date();
+    await JournalEntry.insertMany(pending, { session });
+    await GroupBalance.deleteMany({ groupId: group._id }, { session });
+    await GroupBalance.insertMany(Object.entries(balances).map(([email, balance]) => ({
+      groupId: group._id,
+      email,
+      netMinor: balance.netMinor,
+      debts: Object.entries(balance.debts).map(([counterparty, amountMinor]) => ({ email: counterparty, amountMinor })),
+      updatedAt: builtAt
+    })), { session });
+    await Group.updateOne({ _id: group._id }, { $set: { ledgerBuiltAt: builtAt } }, { session });
+    group.ledgerBuiltAt = builtAt;
+  }
+
+  return { balances, entries: [...entries, ...pending], sources, drift, invariant };
+});
+
+/**
+ * Work out the journal of groups created before the ledger existed, without writing anything.
+ * Reads never post to the ledger: npm run rebuild:balances builds these groups once.
+ * @param {Array<Object>} groups - Group documents
+ * @returns {Promise<Object>} - Map of group id to journal entries, for the groups that were never built
+ */
+const getUnbuiltJournals = async (groups) => {
+  const journals = {};
+  for (const group of groups.filter(group => !group.ledgerBuiltAt)) {
+    journals[group._id.toString()] = (await rebuildGroupLedger(group, { dryRun: true })).entries;
+  }
+  return journals;
+};
+
+/**
+ * Get the current balances of a group from its stored balances
+ * @param {Object} group - Group document
+ * @returns {Promise<Object>} - Map of email to { netMinor, debts }
+ */
+const getGroupBalances = async (group) => {
+  const journal = (await getUnbuiltJournals([group]))[group._id.toString()];
+  if (journal) {
+    return toBalances(journal.flatMap(entry => entry.lines));
+  }
+  return toBalanceMap(await GroupBalance.find({ groupId: group._id }).lean());
+};
+
+/**
+ * Get one member's current balance in each of several groups
+ * @param {Array<Object>} groups - Group documents
+ * @param {String} email - Member email
+ * @returns {Promise<Object>} - Map of group id to { netMinor, debts }
+ */
+const getMemberBalances = async (groups, email) => {
+  const journals = await getUnbuiltJournals(groups);
+  const docs = await GroupBalance.find({
+    groupId: { $in: groups.filter(group => group.ledgerBuiltAt).map(group => group._id) },
+    email
+  }).lean();
+
+  const balances = Object.fromEntries(docs.map(doc => [doc.groupId.toString(), toBalanceMap([doc])[email]]));
+  Object.entries(journals).forEach(([groupId, entries]) => {
+    const balance = toBalances(entries.flatMap(entry => entry.lines))[email];
+    if (balance) {
+      balances[groupId] = balance;
+    }
+  });
+  return balances;
+};
+
+/**
+ * Add up the journal of several groups, for balances at a past date
+ * @param {Array<Object>} groups - Group documents
+ * @param {Object} options - { asOf, email } to count only entries dated up to asOf, or only one member's account
+ * @returns {Promise<Object>} - Map of group id to a balance map ({ email: { netMinor, debts } })
+ */
+const getJournalBalances = async (groups, { asOf = null, email = null } = {}) => {
+  const journals = await getUnbuiltJournals(groups);
+  const match = { groupId: { $in: groups.filter(group => group.ledgerBuiltAt).map(group => group._id) } };
+  if (asOf) {
+    match.date = { $lte: asOf };
+  }
+
+  const rows = await JournalEntry.aggregate([
+    { $match: match },
+    { $unwind: '$lines' },
+    ...(email ? [{ $match: { 'lines.account': email } }] : []),
+    {
+      $group: {
+        _id: { groupId: '$groupId', account: '$lines.account', counterparty: '$lines.counterparty' },
+        amountMinor: { $sum: '$lines.amountMinor' }
+      }
+    }
+  ]);
+
+  return Object.fromEntries(groups.map(group => {
+    const journal = journals[group._id.toString()];
+    if (journal) {
+      const lines = journal
+        .filter(entry => !asOf || entry.date <= asOf)
+        .flatMap(entry => entry.lines)
+        .filter(line => !email || line.account === email);
+      return [group._id.toString(), toBalances(lines)];
+    }
+
+    const lines = rows
+      .filter(row => row._id.groupId.toString() === group._id.toString())
+      .map(row => ({ account: row._id.account, counterparty: row._id.counterparty, amountMinor: row.amountMinor }));
+    return [group._id.toString(), toBalances(lines)];
+  }));
+};
+
+/**
+ * List how each expense, refund and settlement changed member balances, oldest first
+ * @param {Object} group - Group document
+ * @param {Date|null} to - Only include entries dated up to this date
+ * @returns {Promise<Array<Object>>} - [{ date, id, type, changes: { email: amountMinor } }]; entries that were
+ *   reversed on the same date cancel out and are left out
+ */
+const getJournalChanges = async (group, to = null) => {
+  const journal = (await getUnbuiltJournals([group]))[group._id.toString()];
+  const entries = journal
+    ? journal
+      .filter(entry => !to || entry.date <= to)
+      .sort((a, b) => a.date - b.date || a._id.toString().localeCompare(b._id.toString()))
+    : await JournalEntry.find({ groupId: group._id, ...(to ? { date: { $lte: to } } : {}) })
+      .sort({ date: 1, _id: 1 })
+      .lean();
+
+  const changes = {};
+  entries.forEach(entry => {
+    const key = JSON.stringify([entry.date.getTime(), entry.sourceId.toString()]);
+    changes[key] = changes[key] || { date: entry.date, id: entry.sourceId.toString(), type: entry.sourceType, lines: [] };
+    if (!entry.reverses) {
+      changes[key].type = entry.sourceType;
+    }
+    changes[key].lines.push(...entry.lines);
+  });
+
+  return Object.values(changes)
+    .map(({ date, id, type, lines }) => ({
+      date,
+      id,
+      type,
+      changes: Object.fromEntries(Object.entries(toBalances(lines))
+        .filter(([, balance]) => balance.netMinor !== 0)
+        .map(([email, balance]) => [email, balance.netMinor]))
+    }))
+    .filter(change => Object.keys(change.changes).length > 0)
+    .sort((a, b) => a.date - b.date || a.id.localeCompare(b.id));
+};
+
+module.exports = {
+  runInTransaction,
+  postLedgerEntry,
+  saveLedgerEntry,
+  rebuildGroupLedger,
+  getGroupBalances,
+  getMemberBalances,
+  getJournalBalances,
+  getJournalChanges
+};
@@ -5,6 +5,26 @@ const Group = require('../models/group.model');
 const { sendPushNotification } = require('./push.service');
 const { sendExpenseNotificationEmail, sendSettlementNotificationEmail, sendEmail } = require('./email.service');
 
+// Notification types that link to an expense or a settlement (comments can target either)
+const EXPENSE_NOTIFICATION_TYPES = [
+  'expense_added',
+  'expense_updated',
+  'expense_deleted',
+  'expense_restored',
+  'comment_added',
+  'expense_approved',
+  'expense_disputed'
+];
+const SETTLEMENT_NOTIFICATION_TYPES = [
+  'settlement_received',
+  'settlement_recorded',
+  'settlement_deleted',
+  'settlement_restored',
+  'settlement_confirmed',
+  'settlement_rejected',
+  'comment_added'
+];
+
 /**
  * Create notification and send push/email notifications
  * @param {String} userId - User email
@@ -49,10 +69,10 @@ const createNotification = async (userId, message, type, groupId = null, details
     let actionType = 'none';
     let targetId = null;
     
-    if (type === 'expense_added' && details.expenseId) {
+    if (EXPENSE_NOTIFICATION_TYPES.includes(type) && details.expenseId) {
       actionType = 'view_expense';
       targetId = details.expenseId;
-    } else if (type === 'settlement_received' || type === 'settlement_recorded') {
+    } else if (SETTLEMENT_NOTIFICATION_TYPES.includes(type)) {
       if (details.settlementId) {
         actionType = 'view_settlement';
         targetId = details.settlementId;
@@ -212,8 +232,20 @@ const createNotification = async (userId, message, type, groupId = null, details
 const getNotificationTitle = (type) => {
   const titles = {
     'expense_added': 'New Expense Added',
+    'expense_updated': 'Expense Updated',
+    'expense_deleted': 'Expense Deleted',
+    'expense_restored': 'Expense Restored',
     'settlement_received': 'Settlement Received',
-    'settlement_recorded': 'Settlement Recorded'
+    'settlement_recorded': 'Settlement Recorded',
+    'settlement_deleted': 'Settlement Deleted',
+    'settlement_restored': 'Settlement Restored',
+    'settlement_confirmed': 'Settlement Confirmed',
+    'settlement_rejected': 'Settlement Rejected',
+    'comment_added': 'New Comment',
+    'expenses_imported': 'Expenses Imported',
+    'recurring_expenses_added': 'Recurring Expenses Added',
+    'expense_approved': 'Expense Approved',
+    'expense_disputed': 'Expense Disputed'
   };
   return titles[type] || 'New Notification';
 };
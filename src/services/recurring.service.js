@@ -0,0 +1,240 @@
+const RecurringExpense = require('../models/recurringExpense.model');
+const Expense = require('../models/expense.model');
+const Group = require('../models/group.model');
+const User = require('../models/user.model');
+const { notifyExpenseAdded, notifyRecurringExpensesAdded } = require('./expense.service');
+const { saveLedgerEntry } = require('./ledger.service');
+const { getAmountMinor } = require('../utils/money.util');
+const { startApproval } = require('../utils/approval.util');
+
+// How often each worker looks for due recurring expenses
+const SCHEDULER_INTERVAL_MS = parseInt(process.env.RECURRING_SCHEDULER_INTERVAL_MS) || 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the date of an occurrence of a recurring schedule.
+ * Monthly and yearly schedules keep the start day, clamped to the end of shorter months.
+ * @param {Date} startDate - First occurrence
+ * @param {String} interval - daily | weekly | monthly | yearly
+ * @param {Number} count - Zero-based occurrence index
+ * @returns {Date} - Occurrence date
+ */
+const getOccurrenceDate = (startDate, interval, count) => {
+  const start = new Date(startDate);
+
+  if (interval === 'daily') {
+    return new Date(start.getTime() + count * DAY_MS);
+  }
+  if (interval === 'weekly') {
+    return new Date(start.getTime() + count * 7 * DAY_MS);
+  }
+
+  const months = interval === 'monthly' ? count : count * 12;
+  const date = new Date(start);
+  date.setUTCDate(1);
+  date.setUTCMonth(date.getUTCMonth() + months);
+  const daysInMonth = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+  date.setUTCDate(Math.min(start.getUTCDate(), daysInMonth));
+  return date;
+};
+
+/**
+ * Check whether an occurrence falls after the end date of a recurring definition
+ * @param {Object} definition - Recurring expense document
+ * @param {Date} occurrenceDate - Occurrence date
+ * @returns {Boolean} - True if the schedule has ended by then
+ */
+const isAfterEndDate = (definition, occurrenceDate) => Boolean(definition.endDate) && occurrenceDate > definition.endDate;
+
+/**
+ * Work out when a recurring definition runs next and whether it still runs, e.g. after its end date changed
+ * @param {Object} definition - Recurring expense document
+ * @param {Boolean} active - Whether the definition should run (false while paused)
+ * @returns {Object} - { nextRunAt, active }; inactive once the next occurrence falls after the end date
+ */
+const getScheduleState = (definition, active) => {
+  const nextRunAt = getOccurrenceDate(definition.startDate, definition.interval, definition.occurrenceCount);
+  return { nextRunAt, active: active && !isAfterEndDate(definition, nextRunAt) };
+};
+
+/**
+ * Create the expense for the next occurrence of a recurring definition.
+ * Several workers may race for the same occurrence: the unique index on
+ * (recurringExpenseId, occurrenceDate) lets exactly one of them create it, and
+ * the conditional update on occurrenceCount advances the schedule only once.
+ * @param {Object} definition - Recurring expense document
+ * @returns {Promise<Object|null>} - Created expense, or null if another worker created it
+ */
+const materializeOccurrence = async (definition) => {
+  const occurrenceDate = getOccurrenceDate(definition.startDate, definition.interval, definition.occurrenceCount);
+  const nextRunAt = getOccurrenceDate(definition.startDate, definition.interval, definition.occurrenceCount + 1);
+  const finished = isAfterEndDate(definition, nextRunAt);
+
+  // The end date may have moved before an occurrence that was already scheduled
+  if (isAfterEndDate(definition, occurrenceDate)) {
+    await RecurringExpense.updateOne(
+      { _id: definition._id, occurrenceCount: definition.occurrenceCount },
+      { $set: { active: false } }
+    );
+    return null;
+  }
+
+  const group = await Group.findById(definition.groupId);
+  if (!group) {
+    await RecurringExpense.updateOne({ _id: definition._id }, { $set: { active: false } });
+    return null;
+  }
+
+  const { template } = definition;
+  let expense = null;
+  try {
+    const occurrence = new Expense({
+      groupId: definition.groupId,
+      amount: template.amount,
+      amountMinor: getAmountMinor(template, group.currency),
+      description: template.description,
+      category: template.category,
+      date: occurrenceDate,
+      paidBy: template.paidBy,
+      payers: template.payers,
+      createdBy: definition.createdBy,
+      splitAmong: template.splitAmong,
+      splitType: template.splitType,
+      splits: template.splits,
+      items: template.items,
+      tax: template.tax,
+      tip: template.tip,
+      serviceCharge: template.serviceCharge,
+      recurringExpenseId: definition._id,
+      occurrenceDate
+    });
+    startApproval(occurrence, group, definition.createdBy);
+    expense = await saveLedgerEntry(occurrence, group);
+  } catch (error) {
+    // Duplicate key: another worker already created this occurrence
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+
+  await RecurringExpense.updateOne(
+    { _id: definition._id, occurrenceCount: definition.occurrenceCount },
+    {
+      $set: { nextRunAt, lastRunAt: new Date(), active: !finished },
+      $inc: { occurrenceCount: 1 }
+    }
+  );
+
+  return expense;
+};
+
+/**
+ * Notify members about the occurrences a run created for one recurring expense: a single occurrence
+ * is announced like any new expense, several (a catch-up) in one summary so members are not flooded
+ * @param {Object} definition - Recurring expense document
+ * @param {Array} expenses - Occurrences created by this run
+ * @returns {Promise<void>}
+ */
+const notifyOccurrences = async (definition, expenses) => {
+  const group = await Group.findById(definition.groupId);
+  if (!group) {
+    return;
+  }
+  const creator = await User.findOne({ email: definition.createdBy });
+  const actor = creator || { email: definition.createdBy, name: definition.createdBy };
+
+  if (expenses.length === 1) {
+    await notifyExpenseAdded(expenses[0], group, actor);
+  } else {
+    await notifyRecurringExpensesAdded(expenses, group, actor);
+  }
+};
+
+/**
+ * Materialize every due occurrence, catching up on occurrences missed while the server was down.
+ * Members are notified once per recurring expense after its occurrences are created.
+ * @param {Date} now - Current time
+ * @returns {Promise<Number>} - Number of expenses created by this worker
+ */
+const processDueRecurringExpenses = async (now = new Date()) => {
+  let created = 0;
+  const failedIds = [];
+  // Occurrences created by this worker per recurring expense ({ definition, expenses })
+  const createdByDefinition = new Map();
+
+  for (;;) {
+    const due = await RecurringExpense.find({
+      _id: { $nin: failedIds },
+      active: true,
+      nextRunAt: { $lte: now }
+    }).limit(100);
+
+    if (due.length === 0) {
+      break;
+    }
+
+    for (const definition of due) {
+      try {
+        const expense = await materializeOccurrence(definition);
+        if (expense) {
+          created++;
+          const key = definition._id.toString();
+          if (!createdByDefinition.has(key)) {
+            createdByDefinition.set(key, { definition, expenses: [] });
+          }
+          createdByDefinition.get(key).expenses.push(expense);
+        }
+      } catch (error) {
+        console.error(`Recurring expense ${definition._id} error:`, error);
+        failedIds.push(definition._id);
+      }
+    }
+  }
+
+  for (const { definition, expenses } of createdByDefinition.values()) {
+    try {
+      await notifyOccurrences(definition, expenses);
+    } catch (error) {
+      console.error(`Recurring expense ${definition._id} notification error:`, error);
+    }
+  }
+
+  return created;
+};
+
+/**
+ * Start the recurring expense scheduler in this worker
+ * @returns {Object} - Interval timer (pass to clearInterval to stop)
+ */
+const startRecurringScheduler = () => {
+  let running = false;
+
+  const tick = async () => {
+    if (running) {
+      return;
+    }
+    running = true;
+    try {
+      const created = await processDueRecurringExpenses();
+      if (created > 0) {
+        console.log(`Worker ${process.pid} created ${created} recurring expense(s)`);
+      }
+    } catch (error) {
+      console.error('Recurring scheduler error:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, SCHEDULER_INTERVAL_MS);
+  tick();
+  return timer;
+};
+
+module.exports = {
+  getOccurrenceDate,
+  getScheduleState,
+  processDueRecurringExpenses,
+  startRecurringScheduler
+};
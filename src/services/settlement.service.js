@@ -0,0 +1,193 @@
+const Settlement = require('../models/settlement.model');
+const Group = require('../models/group.model');
+const User = require('../models/user.model');
+const { createNotification } = require('./notification.service');
+const { runInTransaction, postLedgerEntry } = require('./ledger.service');
+
+// How often each worker looks for pending settlements due to confirm themselves
+const SCHEDULER_INTERVAL_MS = parseInt(process.env.SETTLEMENT_SCHEDULER_INTERVAL_MS) || 15 * 60 * 1000;
+
+/**
+ * Notify everyone concerned that a settlement was confirmed: the payer (and the recipient when it
+ * happened automatically), and the other group members, for whom it now shows up in balances
+ * @param {Object} settlement - Confirmed settlement document
+ * @param {Object} group - Group the settlement belongs to
+ * @param {Object|null} actor - Recipient who confirmed it ({ email, name, profilePicture }), null if confirmed automatically
+ * @returns {Promise<Array>} - Created notifications
+ */
+const notifySettlementConfirmed = async (settlement, group, actor) => {
+  const users = await User.find({ email: { $in: [settlement.paidBy, settlement.paidTo] } }).select('email name');
+  const nameByEmail = Object.fromEntries(users.map(user => [user.email, user.name]));
+  const payerName = nameByEmail[settlement.paidBy] || settlement.paidBy;
+  const recipientName = nameByEmail[settlement.paidTo] || settlement.paidTo;
+  const amountLabel = `${group.currency} ${settlement.amount}`;
+  const details = {
+    settlementId: settlement._id.toString(),
+    amount: settlement.amount,
+    paidBy: settlement.paidBy,
+    paidTo: settlement.paidTo,
+    autoConfirmed: !actor
+  };
+  const options = {
+    actor: actor
+      ? { email: actor.email, name: actor.name, profilePicture: actor.profilePicture || null }
+      : {},
+    settlementData: {
+      payerName,
+      groupName: group.name,
+      amount: settlement.amount,
+      currency: group.currency
+    }
+  };
+
+  const notificationPromises = [];
+  if (actor) {
+    notificationPromises.push(createNotification(
+      settlement.paidBy,
+      `${actor.name} confirmed your settlement payment of ${amountLabel} in ${group.name}`,
+      'settlement_confirmed',
+      settlement.groupId,
+      details,
+      options
+    ));
+  } else {
+    notificationPromises.push(
+      createNotification(
+        settlement.paidBy,
+        `Your settlement payment of ${amountLabel} to ${recipientName} in ${group.name} was confirmed automatically`,
+        'settlement_confirmed',
+        settlement.groupId,
+        details,
+        options
+      ),
+      createNotification(
+        settlement.paidTo,
+        `The settlement payment of ${amountLabel} from ${payerName} in ${group.name} was confirmed automatically because it was not confirmed or rejected in time`,
+        'settlement_confirmed',
+        settlement.groupId,
+        details,
+        options
+      )
+    );
+  }
+
+  group.members
+    .filter(email => email !== settlement.paidBy && email !== settlement.paidTo)
+    .forEach(email => {
+      notificationPromises.push(createNotification(
+        email,
+        `${payerName} settled ${amountLabel} with ${recipientName} in ${group.name}`,
+        'settlement_recorded',
+        settlement.groupId,
+        details,
+        { ...options, title: 'Settlement Recorded' }
+      ));
+    });
+
+  return Promise.all(notificationPromises);
+};
+
+/**
+ * Confirm a pending settlement whose confirmation date has passed, unless another worker got to it first
+ * @param {Object} settlement - Pending settlement document
+ * @param {Date} now - Current time
+ * @returns {Promise<Object|null>} - Confirmed settlement, or null if it was no longer due
+ */
+const autoConfirmSettlement = async (settlement, now) => {
+  const group = await Group.findById(settlement.groupId);
+  if (!group) {
+    return null;
+  }
+
+  const confirmed = await runInTransaction(async session => {
+    // Claim the settlement atomically so every worker can run the scheduler
+    const claimed = await Settlement.findOneAndUpdate(
+      { _id: settlement._id, status: 'pending', deletedAt: null, autoConfirmAt: { $lte: now } },
+      { $set: { status: 'confirmed', respondedAt: now, autoConfirmed: true, autoConfirmAt: null } },
+      { new: true, session }
+    );
+    if (claimed) {
+      await postLedgerEntry(group, claimed, session);
+    }
+    return claimed;
+  });
+
+  if (confirmed) {
+    await notifySettlementConfirmed(confirmed, group, null);
+  }
+  return confirmed;
+};
+
+/**
+ * Confirm every pending settlement whose recipient did not respond before its confirmation date
+ * @param {Date} now - Current time
+ * @returns {Promise<Number>} - Number of settlements confirmed by this worker
+ */
+const processDueSettlementConfirmations = async (now = new Date()) => {
+  let confirmed = 0;
+  const failedIds = [];
+
+  for (;;) {
+    const due = await Settlement.find({
+      _id: { $nin: failedIds },
+      status: 'pending',
+      deletedAt: null,
+      autoConfirmAt: { $lte: now }
+    }).limit(100);
+
+    if (due.length === 0) {
+      break;
+    }
+
+    for (const settlement of due) {
+      try {
+        if (await autoConfirmSettlement(settlement, now)) {
+          confirmed++;
+        } else {
+          // Already confirmed by another worker, or its group no longer exists
+          failedIds.push(settlement._id);
+        }
+      } catch (error) {
+        console.error(`Settlement ${settlement._id} auto-confirm error:`, error);
+        failedIds.push(settlement._id);
+      }
+    }
+  }
+
+  return confirmed;
+};
+
+/**
+ * Start the settlement auto-confirmation scheduler in this worker
+ * @returns {Object} - Interval timer (pass to clearInterval to stop)
+ */
+const startSettlementScheduler = () => {
+  let running = false;
+
+  const tick = async () => {
+    if (running) {
+      return;
+    }
+    running = true;
+    try {
+      const confirmed = await processDueSettlementConfirmations();
+      if (confirmed > 0) {
+        console.log(`Worker ${process.pid} confirmed ${confirmed} settlement(s) automatically`);
+      }
+    } catch (error) {
+      console.error('Settlement scheduler error:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, SCHEDULER_INTERVAL_MS);
+  tick();
+  return timer;
+};
+
+module.exports = {
+  notifySettlementConfirmed,
+  processDueSettlementConfirmations,
+  startSettlementScheduler
+};
@@ -0,0 +1,101 @@
+const { getExpenseShares } = require('./expense.util');
+
+// Approval states of an expense; only approved expenses count toward balances
+const EXPENSE_STATUSES = ['pending', 'approved', 'disputed'];
+
+// Statuses shown apart from the ledger until they are resolved
+const UNAPPROVED_STATUSES = ['pending', 'disputed'];
+
+// Confirmation states of a settlement; only settlements confirmed by their recipient count toward balances
+const SETTLEMENT_STATUSES = ['pending', 'confirmed', 'rejected'];
+
+// Settlement statuses left out of the ledger
+const UNCONFIRMED_STATUSES = ['pending', 'rejected'];
+
+// Longest a group can let pending settlements wait before they confirm themselves
+const MAX_AUTO_CONFIRM_DAYS = 90;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Query filter for expenses that count toward balances.
+ * Expenses created before the approval workflow have no status and count as approved.
+ * @returns {Object} - MongoDB filter on status
+ */
+const getApprovedFilter = () => ({ status: { $nin: UNAPPROVED_STATUSES } });
+
+/**
+ * Query filter for settlements that count toward balances.
+ * Settlements recorded before the confirmation workflow have no status and count as confirmed.
+ * @returns {Object} - MongoDB filter on status
+ */
+const getConfirmedFilter = () => ({ status: { $nin: UNCONFIRMED_STATUSES } });
+
+/**
+ * Work out when a new settlement confirms itself if its recipient does not respond
+ * @param {Object} group - Group document
+ * @param {Date} recordedAt - When the settlement was recorded
+ * @returns {Date|null} - null if the group does not confirm settlements automatically
+ */
+const getAutoConfirmDate = (group, recordedAt = new Date()) => {
+  const days = group.settings && group.settings.settlementAutoConfirmDays;
+  return days ? new Date(recordedAt.getTime() + days * DAY_MS) : null;
+};
+
+/**
+ * Check whether a group requires new expenses to be approved by their participants
+ * @param {Object} group - Group document
+ * @returns {Boolean} - True if approval is required
+ */
+const requiresApproval = (group) => Boolean(group.settings && group.settings.requireExpenseApproval);
+
+/**
+ * Work out the status of an expense from its participants' responses
+ * @param {Array<Object>} approvals - [{ email, status }]
+ * @returns {String} - disputed if anyone disputes, pending while anyone has not responded, otherwise approved
+ */
+const getApprovalStatus = (approvals) => {
+  if (approvals.some(approval => approval.status === 'disputed')) {
+    return 'disputed';
+  }
+  if (approvals.some(approval => approval.status === 'pending')) {
+    return 'pending';
+  }
+  return 'approved';
+};
+
+/**
+ * Start (or restart) approval of a new or changed expense.
+ * Every participant except the member who made the change has to approve; without the group setting
+ * the expense is approved straight away.
+ * @param {Object} expense - Expense document (modified in place)
+ * @param {Object} group - Group document
+ * @param {String} actorEmail - Email of the member who created or changed the expense
+ */
+const startApproval = (expense, group, actorEmail) => {
+  if (!requiresApproval(group)) {
+    expense.approvals = [];
+    expense.status = 'approved';
+    return;
+  }
+
+  const participants = [...new Set(getExpenseShares(expense, group.currency).map(share => share.email))];
+  expense.approvals = participants
+    .filter(email => email !== actorEmail)
+    .map(email => ({ email, status: 'pending' }));
+  expense.status = getApprovalStatus(expense.approvals);
+};
+
+module.exports = {
+  EXPENSE_STATUSES,
+  UNAPPROVED_STATUSES,
+  SETTLEMENT_STATUSES,
+  UNCONFIRMED_STATUSES,
+  MAX_AUTO_CONFIRM_DAYS,
+  getApprovedFilter,
+  getConfirmedFilter,
+  getAutoConfirmDate,
+  requiresApproval,
+  getApprovalStatus,
+  startApproval
+};
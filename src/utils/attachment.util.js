@@ -0,0 +1,111 @@
+const { uploadFile } = require('./upload.util');
+
+// Maximum number of files attached to one expense
+const MAX_EXPENSE_ATTACHMENTS = parseInt(process.env.MAX_EXPENSE_ATTACHMENTS) || 10;
+
+const startsWith = (buffer, bytes) => bytes.every((byte, index) => buffer[index] === byte);
+
+// Magic numbers of the accepted attachment types (the client-reported MIME type is not trusted)
+const FILE_SIGNATURES = [
+  { mimeType: 'image/jpeg', extension: 'jpg', matches: (buffer) => startsWith(buffer, [0xFF, 0xD8, 0xFF]) },
+  { mimeType: 'image/png', extension: 'png', matches: (buffer) => startsWith(buffer, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]) },
+  { mimeType: 'image/gif', extension: 'gif', matches: (buffer) => ['GIF87a', 'GIF89a'].includes(buffer.toString('ascii', 0, 6)) },
+  {
+    mimeType: 'image/webp',
+    extension: 'webp',
+    matches: (buffer) => buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP'
+  },
+  {
+    mimeType: 'image/heic',
+    extension: 'heic',
+    matches: (buffer) => buffer.toString('ascii', 4, 8) === 'ftyp' &&
+      ['heic', 'heix', 'hevc', 'heim', 'heis', 'mif1', 'msf1'].includes(buffer.toString('ascii', 8, 12))
+  },
+  { mimeType: 'application/pdf', extension: 'pdf', matches: (buffer) => buffer.toString('ascii', 0, 5) === '%PDF-' }
+];
+
+/**
+ * Detect the type of a file from its content
+ * @param {Buffer} buffer - File content
+ * @returns {Object|null} - { mimeType, extension } or null if the type is not accepted
+ */
+const detectFileType = (buffer) => {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) {
+    return null;
+  }
+  const signature = FILE_SIGNATURES.find(candidate => candidate.matches(buffer));
+  return signature ? { mimeType: signature.mimeType, extension: signature.extension } : null;
+};
+
+/**
+ * Upload files and describe them as expense attachments
+ * @param {Array<Object>} files - Multer file objects with a detected mimetype
+ * @param {String} folder - Folder path
+ * @param {String} uploadedBy - Email of the uploader
+ * @returns {Promise<Array<Object>>} - Attachment entries in upload order
+ */
+const uploadAttachments = async (files, folder, uploadedBy) => {
+  const uploadedAt = new Date();
+  return Promise.all(files.map(async file => ({
+    url: await uploadFile(file, folder),
+    filename: file.originalname,
+    mimeType: file.mimetype,
+    size: file.size,
+    uploadedBy,
+    uploadedAt
+  })));
+};
+
+/**
+ * Get the attachments of an expense, including the single invoice URL of older expenses
+ * @param {Object} expense - Expense document
+ * @returns {Array<Object>} - Attachment entries
+ */
+const getExpenseAttachments = (expense) => {
+  if (expense.attachments && expense.attachments.length > 0) {
+    return expense.attachments.map(attachment => (attachment.toObject ? attachment.toObject() : attachment));
+  }
+  return expense.invoice ? [getLegacyAttachment(expense)] : [];
+};
+
+/**
+ * Convert the invoice URL of an older expense into a stored attachment so it can be managed
+ * @param {Object} expense - Expense document (modified in place)
+ */
+const adoptLegacyInvoice = (expense) => {
+  if (expense.invoice && expense.attachments.length === 0) {
+    expense.attachments.push(getLegacyAttachment(expense));
+  }
+};
+
+/**
+ * Keep the invoice field (read by older clients and notifications) pointing at the first image attachment
+ * @param {Object} expense - Expense document (modified in place)
+ */
+const syncInvoice = (expense) => {
+  const image = expense.attachments.find(attachment => attachment.mimeType && attachment.mimeType.startsWith('image/'));
+  expense.invoice = image ? image.url : null;
+};
+
+// Older expenses could only have one image receipt
+const getLegacyAttachment = (expense) => {
+  const filename = expense.invoice.split('?')[0].split('/').pop() || 'invoice';
+  const extension = filename.includes('.') ? filename.split('.').pop().toLowerCase() : '';
+  const signature = FILE_SIGNATURES.find(candidate => candidate.extension === extension && candidate.mimeType.startsWith('image/'));
+  return {
+    url: expense.invoice,
+    filename,
+    mimeType: signature ? signature.mimeType : 'image/jpeg',
+    uploadedBy: expense.createdBy,
+    uploadedAt: expense.createdAt
+  };
+};
+
+module.exports = {
+  MAX_EXPENSE_ATTACHMENTS,
+  detectFileType,
+  uploadAttachments,
+  getExpenseAttachments,
+  adoptLegacyInvoice,
+  syncInvoice
+};
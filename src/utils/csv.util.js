@@ -0,0 +1,84 @@
+/**
+ * Parse CSV text (RFC 4180: quoted fields, escaped quotes, embedded newlines)
+ * @param {String} text - CSV content
+ * @returns {Array<Array<String>>} - Rows of fields; blank lines are skipped
+ */
+const parseCsv = (text) => {
+  const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0].trim() !== '') {
+      rows.push(row);
+    }
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+};
+
+/**
+ * Format a single CSV field, quoting it when needed.
+ * Text starting with a formula character (other than a plain negative number) is prefixed with '
+ * so spreadsheets do not evaluate it.
+ * @param {*} value - Field value (numbers are written as-is)
+ * @returns {String} - CSV field
+ */
+const formatCsvField = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (typeof value === 'number') {
+    return String(value);
+  }
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text) && !/^-\d+(\.\d+)?$/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build CSV text from rows of values
+ * @param {Array<Array<*>>} rows - Rows of field values
+ * @returns {String} - CSV content with CRLF line endings
+ */
+const toCsv = (rows) => rows.map(row => row.map(formatCsvField).join(',')).join('\r\n') + '\r\n';
+
+module.exports = { parseCsv, toCsv };
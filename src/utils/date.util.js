@@ -0,0 +1,20 @@
+// Dates given without a time of day (YYYY-MM-DD)
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Parse the inclusive end of a date range. A date without a time of day covers that whole day,
+ * so entries recorded later that day (e.g. dated when they were created) are included
+ * @param {String} value - Valid date string, e.g. a to or asOf query parameter
+ * @returns {Date} - Parsed date, at 23:59:59.999 UTC for date-only values
+ */
+const parseEndDate = (value) => {
+  const date = new Date(value);
+  if (DATE_ONLY_PATTERN.test(value)) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date;
+};
+
+module.exports = {
+  parseEndDate
+};
@@ -0,0 +1,130 @@
+// How a settle plan pays off a group's balances:
+// simplified - as few transfers as possible, members may pay someone they never shared an expense with
+// pairwise - each pair of members settles what they owe each other directly
+const SETTLE_PLAN_MODES = ['simplified', 'pairwise'];
+
+// Resolution of a balance history: a point after every expense and settlement, or one per day with activity
+const HISTORY_INTERVALS = ['transaction', 'day'];
+
+/**
+ * Find a small set of transfers that clears all balances (greedy minimum cash flow).
+ * The largest debtor repeatedly pays the largest creditor, so there are at most n - 1 transfers.
+ * @param {Object} balances - Map of email to amount in minor units; positive means the member is owed
+ * @returns {Array<Object>} - [{ from, to, amountMinor }]
+ */
+const simplifyDebts = (balances) => {
+  const byAmount = (a, b) => b.amountMinor - a.amountMinor || a.email.localeCompare(b.email);
+  const creditors = Object.entries(balances)
+    .filter(([, amountMinor]) => amountMinor > 0)
+    .map(([email, amountMinor]) => ({ email, amountMinor }));
+  const debtors = Object.entries(balances)
+    .filter(([, amountMinor]) => amountMinor < 0)
+    .map(([email, amountMinor]) => ({ email, amountMinor: -amountMinor }));
+
+  const transfers = [];
+  while (creditors.length > 0 && debtors.length > 0) {
+    creditors.sort(byAmount);
+    debtors.sort(byAmount);
+    const creditor = creditors[0];
+    const debtor = debtors[0];
+    const amountMinor = Math.min(creditor.amountMinor, debtor.amountMinor);
+
+    transfers.push({ from: debtor.email, to: creditor.email, amountMinor });
+    creditor.amountMinor -= amountMinor;
+    debtor.amountMinor -= amountMinor;
+    if (creditor.amountMinor === 0) {
+      creditors.shift();
+    }
+    if (debtor.amountMinor === 0) {
+      debtors.shift();
+    }
+  }
+  return transfers;
+};
+
+/**
+ * List what each pair of members owes each other, without moving debts between people
+ * @param {Object} balances - Balance map from the ledger ({ email: { netMinor, debts: { email: amountMinor } } })
+ * @returns {Array<Object>} - [{ from, to, amountMinor }], one transfer per pair with an open balance
+ */
+const getPairwiseDebts = (balances) => Object.entries(balances)
+  .flatMap(([email, balance]) => Object.entries(balance.debts)
+    // Each pair appears on both accounts; keep the side that is owed
+    .filter(([, amountMinor]) => amountMinor > 0)
+    .map(([counterparty, amountMinor]) => ({ from: counterparty, to: email, amountMinor })))
+  .sort((a, b) => b.amountMinor - a.amountMinor || a.from.localeCompare(b.from) || a.to.localeCompare(b.to));
+
+/**
+ * Get the mode a group's settle plan uses by default
+ * @param {Object} group - Group document
+ * @returns {String} - One of SETTLE_PLAN_MODES
+ */
+const getSettlePlanMode = (group) => (group.settings && group.settings.settlePlan) || 'simplified';
+
+/**
+ * Build the transfers that settle all balances of a group
+ * @param {Object} balances - Balance map from the ledger ({ email: { netMinor, debts } })
+ * @param {String} mode - One of SETTLE_PLAN_MODES
+ * @returns {Object} - { balances, transfers }, amounts in minor units
+ */
+const buildSettlePlan = (balances, mode) => {
+  const netBalances = Object.fromEntries(Object.entries(balances).map(([email, balance]) => [email, balance.netMinor]));
+  const transfers = mode === 'pairwise'
+    ? getPairwiseDebts(balances)
+    : simplifyDebts(netBalances);
+  return { balances: netBalances, transfers };
+};
+
+/**
+ * Build each member's balance over time, replaying ledger changes in date order
+ * @param {Array<Object>} entries - [{ date, id, type, changes: { email: amountMinor } }] oldest first
+ * @param {Array<String>} members - Emails that appear in every point, even before their first entry
+ * @param {Object} options - { interval, from }; entries before from are folded into an opening point dated from
+ * @returns {Array<Object>} - [{ date, balances }] oldest first, balances in minor units (positive means owed).
+ *   Transaction points also carry the id and type of the entry.
+ */
+const getBalanceHistory = (entries, members, { interval = 'transaction', from = null } = {}) => {
+  const formatDate = (date) => (interval === 'day' ? date.toISOString().slice(0, 10) : date.toISOString());
+  const balances = Object.fromEntries(members.map(email => [email, 0]));
+  const points = [];
+  let opened = !from;
+
+  entries.forEach(({ date, id, type, changes }) => {
+    if (!opened && date >= from) {
+      points.push({ date: formatDate(from), balances: { ...balances } });
+      opened = true;
+    }
+    Object.entries(changes).forEach(([email, amountMinor]) => {
+      balances[email] = (balances[email] || 0) + amountMinor;
+    });
+    if (!opened) {
+      return;
+    }
+
+    if (interval === 'day') {
+      const day = formatDate(date);
+      if (points.length > 0 && points[points.length - 1].date === day) {
+        points[points.length - 1].balances = { ...balances };
+      } else {
+        points.push({ date: day, balances: { ...balances } });
+      }
+    } else {
+      points.push({ date: formatDate(date), id, type, balances: { ...balances } });
+    }
+  });
+
+  if (!opened) {
+    points.push({ date: formatDate(from), balances: { ...balances } });
+  }
+  return points;
+};
+
+module.exports = {
+  SETTLE_PLAN_MODES,
+  HISTORY_INTERVALS,
+  simplifyDebts,
+  getPairwiseDebts,
+  getSettlePlanMode,
+  buildSettlePlan,
+  getBalanceHistory
+};
@@ -0,0 +1,492 @@
+const { toMinorUnits, fromMinorUnits, getAmountMinor, allocateMinorUnits } = require('./money.util');
+
+// Supported ways of splitting an expense among members
+const SPLIT_TYPES = ['equal', 'exact', 'percent', 'shares', 'itemized'];
+
+// Expense transaction types; refunds reverse the shares and payments they record
+const EXPENSE_TYPES = ['expense', 'refund'];
+
+// Allowed difference when checking that percentages add up to 100
+const PERCENT_TOLERANCE = 0.01;
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Create an error that routes should report as a 400 response
+ * @param {String} message - Error message
+ * @returns {Error} - Error with status 400
+ */
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+/**
+ * Parse a value that may arrive as a JSON string (multipart/form-data)
+ * @param {*} value - Raw request value
+ * @returns {*} - Parsed value, or the original value if it is not JSON
+ */
+const parseJsonField = (value) => {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+};
+
+/**
+ * Check whether two major-unit totals match within one minor unit of the currency
+ * @param {Number} a - First total
+ * @param {Number} b - Second total
+ * @param {String} currency - 3-letter currency code
+ * @returns {Boolean} - True if the totals match
+ */
+const totalsMatch = (a, b, currency) => Math.abs(toMinorUnits(a - b, currency)) <= 1;
+
+/**
+ * Build a stored money entry from an integer minor-unit amount
+ * @param {Object} entry - Entry fields (e.g. { email, value })
+ * @param {Number} amountMinor - Integer amount in minor units
+ * @param {String} currency - 3-letter currency code
+ * @returns {Object} - Entry with amount (major units) and amountMinor
+ */
+const withAmount = (entry, amountMinor, currency) => ({
+  ...entry,
+  amount: fromMinorUnits(amountMinor, currency),
+  amountMinor
+});
+
+/**
+ * Check whether an expense is a refund
+ * @param {Object} expense - Expense document
+ * @returns {Boolean} - True for refunds
+ */
+const isRefund = (expense) => expense.type === 'refund';
+
+/**
+ * Get the signed minor-unit multiplier of an expense (refunds are stored as positive amounts)
+ * @param {Object} expense - Expense document
+ * @returns {Number} - -1 for refunds, 1 otherwise
+ */
+const getExpenseSign = (expense) => (isRefund(expense) ? -1 : 1);
+
+/**
+ * Get the total of an expense in the group currency; refunds are negative
+ * @param {Object} expense - Expense document
+ * @param {String} currency - Group currency
+ * @returns {Number} - Signed amount in minor units
+ */
+const getExpenseAmountMinor = (expense, currency) => getExpenseSign(expense) * getAmountMinor(expense, currency);
+
+/**
+ * Parse an optional non-negative amount such as tax or tip
+ * @param {*} value - Raw request value
+ * @param {String} name - Field name used in error messages
+ * @returns {Number} - Parsed amount (0 if omitted)
+ * @throws {Error} - Error with status 400 if the amount is invalid
+ */
+const parseOptionalAmount = (value, name) => {
+  if (value === undefined || value === null || value === '') {
+    return 0;
+  }
+  const amount = typeof value === 'string' ? parseFloat(value) : value;
+  if (typeof amount !== 'number' || isNaN(amount) || amount < 0) {
+    throw badRequest(`${name} must be a non-negative number`);
+  }
+  return amount;
+};
+
+/**
+ * Build the per-member split of an itemized receipt.
+ * Each item is split equally among its assigned members; tax, tip and service charge
+ * are distributed in proportion to each member's item subtotal.
+ * @param {Object} input - Itemized input
+ * @param {Number} input.amount - Total expense amount (items plus extras)
+ * @param {String} input.currency - Currency of the amounts
+ * @param {Array<Object>} input.items - [{ name, price, quantity, assignedTo }]
+ * @param {Number} input.tax - Tax amount
+ * @param {Number} input.tip - Tip amount
+ * @param {Number} input.serviceCharge - Service charge amount
+ * @returns {Object} - { splitType, splitAmong, splits, items, tax, tip, serviceCharge }
+ * @throws {Error} - Error with status 400 if the items are invalid
+ */
+const buildItemizedSplits = ({ amount, currency, items, tax, tip, serviceCharge }) => {
+  const entries = parseJsonField(items);
+  if (!entries || !Array.isArray(entries) || entries.length === 0) {
+    throw badRequest('items must be a non-empty array for itemized splits');
+  }
+
+  const parsedItems = entries.map(entry => {
+    if (!entry || typeof entry.name !== 'string' || entry.name.trim().length === 0) {
+      throw badRequest('Every item must have a name');
+    }
+
+    const price = typeof entry.price === 'string' ? parseFloat(entry.price) : entry.price;
+    if (typeof price !== 'number' || isNaN(price) || price < 0) {
+      throw badRequest(`Price of "${entry.name}" must be a non-negative number`);
+    }
+
+    const rawQuantity = entry.quantity === undefined ? 1 : entry.quantity;
+    const quantity = typeof rawQuantity === 'string' ? parseFloat(rawQuantity) : rawQuantity;
+    if (typeof quantity !== 'number' || isNaN(quantity) || quantity <= 0) {
+      throw badRequest(`Quantity of "${entry.name}" must be a positive number`);
+    }
+
+    const assignedTo = parseJsonField(entry.assignedTo);
+    if (!assignedTo || !Array.isArray(assignedTo) || assignedTo.length === 0) {
+      throw badRequest(`"${entry.name}" must be assigned to at least one member`);
+    }
+    if (assignedTo.some(email => !EMAIL_REGEX.test(email)) || new Set(assignedTo).size !== assignedTo.length) {
+      throw badRequest(`"${entry.name}" must be assigned to distinct, valid email addresses`);
+    }
+
+    return { name: entry.name.trim(), price, quantity, assignedTo };
+  });
+
+  const extras = {
+    tax: parseOptionalAmount(tax, 'tax'),
+    tip: parseOptionalAmount(tip, 'tip'),
+    serviceCharge: parseOptionalAmount(serviceCharge, 'serviceCharge')
+  };
+
+  // Split each item among its members to get every member's subtotal (in minor units)
+  const subtotals = {};
+  parsedItems.forEach(item => {
+    const itemAmounts = allocateMinorUnits(toMinorUnits(item.price * item.quantity, currency), item.assignedTo.map(() => 1));
+    item.assignedTo.forEach((email, index) => {
+      subtotals[email] = (subtotals[email] || 0) + itemAmounts[index];
+    });
+  });
+
+  const members = Object.keys(subtotals);
+  const itemTotal = members.reduce((sum, email) => sum + subtotals[email], 0);
+  if (itemTotal <= 0) {
+    throw badRequest('Items must add up to more than zero');
+  }
+
+  const amountMinor = toMinorUnits(amount, currency);
+  const extrasTotal = toMinorUnits(extras.tax + extras.tip + extras.serviceCharge, currency);
+  if (Math.abs(itemTotal + extrasTotal - amountMinor) > 1) {
+    throw badRequest(`Items, tax, tip and service charge must add up to ${amount}`);
+  }
+
+  // Distribute extras (and any sub-unit input difference) proportionally to subtotals
+  const extraAmounts = allocateMinorUnits(amountMinor - itemTotal, members.map(email => subtotals[email]));
+
+  return {
+    splitType: 'itemized',
+    splitAmong: members,
+    splits: members.map((email, index) => withAmount(
+      { email, value: fromMinorUnits(subtotals[email], currency) },
+      subtotals[email] + extraAmounts[index],
+      currency
+    )),
+    items: parsedItems,
+    ...extras
+  };
+};
+
+/**
+ * Build the stored per-member split of an expense from request input
+ * @param {Object} input - Split input
+ * @param {Number} input.amount - Total expense amount
+ * @param {String} input.currency - Currency of the amounts
+ * @param {String} input.splitType - equal | exact | percent | shares | itemized
+ * @param {Array<String>} input.splitAmong - Member emails (used by equal splits)
+ * @param {Array<Object>} input.splits - [{ email, value }] (used by exact, percent and shares splits)
+ * @param {Array<Object>} input.items - Receipt line items (used by itemized splits)
+ * @returns {Object} - { splitType, splitAmong, splits, items, tax, tip, serviceCharge }
+ * @throws {Error} - Error with status 400 if the split is invalid
+ */
+const buildExpenseSplits = ({ amount, currency, splitType, splitAmong, splits, items, tax, tip, serviceCharge }) => {
+  const type = splitType || 'equal';
+  if (!SPLIT_TYPES.includes(type)) {
+    throw badRequest(`Invalid split type. Must be one of: ${SPLIT_TYPES.join(', ')}`);
+  }
+
+  if (toMinorUnits(amount, currency) <= 0) {
+    throw badRequest(`Amount is smaller than the smallest unit of ${currency}`);
+  }
+
+  if (type === 'itemized') {
+    return buildItemizedSplits({ amount, currency, items, tax, tip, serviceCharge });
+  }
+
+  if (type === 'equal') {
+    const members = parseJsonField(splitAmong);
+    if (!members || !Array.isArray(members) || members.length === 0) {
+      throw badRequest('splitAmong must be a non-empty array');
+    }
+    if (members.some(email => !EMAIL_REGEX.test(email))) {
+      throw badRequest('All emails in splitAmong must be valid email addresses');
+    }
+    if (new Set(members).size !== members.length) {
+      throw badRequest('splitAmong must not contain duplicate emails');
+    }
+
+    const amounts = allocateMinorUnits(toMinorUnits(amount, currency), members.map(() => 1));
+    return {
+      splitType: type,
+      splitAmong: members,
+      splits: members.map((email, index) => withAmount({ email, value: 1 }, amounts[index], currency)),
+      items: []
+    };
+  }
+
+  const entries = parseJsonField(splits);
+  if (!entries || !Array.isArray(entries) || entries.length === 0) {
+    throw badRequest(`splits must be a non-empty array for ${type} splits`);
+  }
+
+  const members = entries.map(entry => entry && entry.email);
+  if (members.some(email => !EMAIL_REGEX.test(email))) {
+    throw badRequest('All emails in splits must be valid email addresses');
+  }
+  if (new Set(members).size !== members.length) {
+    throw badRequest('splits must not contain duplicate emails');
+  }
+
+  const values = entries.map(entry => typeof entry.value === 'string' ? parseFloat(entry.value) : entry.value);
+  if (values.some(value => typeof value !== 'number' || isNaN(value) || value < 0)) {
+    throw badRequest('Every split value must be a non-negative number');
+  }
+
+  const valueSum = values.reduce((sum, value) => sum + value, 0);
+  if (type === 'exact' && !totalsMatch(valueSum, amount, currency)) {
+    throw badRequest(`Exact split amounts must add up to ${amount}`);
+  }
+  if (type === 'percent' && Math.abs(valueSum - 100) > PERCENT_TOLERANCE) {
+    throw badRequest('Split percentages must add up to 100');
+  }
+  if (type === 'shares' && valueSum <= 0) {
+    throw badRequest('Split shares must add up to more than zero');
+  }
+
+  // Exact values act as weights too, which absorbs sub-unit input differences
+  const amounts = allocateMinorUnits(toMinorUnits(amount, currency), values);
+
+  return {
+    splitType: type,
+    splitAmong: members,
+    splits: members.map((email, index) => withAmount({ email, value: values[index] }, amounts[index], currency)),
+    items: []
+  };
+};
+
+/**
+ * Get the amount each member owes for an expense.
+ * Expenses created before per-member splits were stored fall back to an equal split.
+ * Refund shares are negative: they reduce what each member owes.
+ * @param {Object} expense - Expense document
+ * @param {String} currency - Group currency
+ * @returns {Array<Object>} - [{ email, amount, amountMinor, originalAmount }]
+ */
+const getExpenseShares = (expense, currency) => {
+  const sign = getExpenseSign(expense);
+  if (expense.splits && expense.splits.length > 0) {
+    return expense.splits.map(split => withAmount(
+      { email: split.email, originalAmount: split.originalAmount && sign * split.originalAmount },
+      sign * getAmountMinor(split, currency),
+      currency
+    ));
+  }
+
+  if (!expense.splitAmong || expense.splitAmong.length === 0 || !expense.amount) {
+    return [];
+  }
+
+  const amounts = allocateMinorUnits(getExpenseAmountMinor(expense, currency), expense.splitAmong.map(() => 1));
+  return expense.splitAmong.map((email, index) => withAmount({ email }, amounts[index], currency));
+};
+
+/**
+ * Build the stored list of payers of an expense from request input
+ * @param {Object} input - Payer input
+ * @param {Number} input.amount - Total expense amount
+ * @param {String} input.currency - Currency of the amounts
+ * @param {Array<Object>} input.payers - [{ email, amount }]; omitted means a single payer
+ * @param {String} input.defaultPayer - Email of the payer when payers is omitted
+ * @returns {Array<Object>} - [{ email, amount, amountMinor }]
+ * @throws {Error} - Error with status 400 if the payers are invalid
+ */
+const buildExpensePayers = ({ amount, currency, payers, defaultPayer }) => {
+  const entries = parseJsonField(payers);
+  if (entries === undefined || entries === null || entries === '') {
+    return [withAmount({ email: defaultPayer }, toMinorUnits(amount, currency), currency)];
+  }
+
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw badRequest('payers must be a non-empty array');
+  }
+
+  const emails = entries.map(entry => entry && entry.email);
+  if (emails.some(email => !EMAIL_REGEX.test(email))) {
+    throw badRequest('All emails in payers must be valid email addresses');
+  }
+  if (new Set(emails).size !== emails.length) {
+    throw badRequest('payers must not contain duplicate emails');
+  }
+
+  const amounts = entries.map(entry => typeof entry.amount === 'string' ? parseFloat(entry.amount) : entry.amount);
+  if (amounts.some(value => typeof value !== 'number' || isNaN(value) || value <= 0)) {
+    throw badRequest('Every payer amount must be a positive number');
+  }
+
+  const paidSum = amounts.reduce((sum, value) => sum + value, 0);
+  if (!totalsMatch(paidSum, amount, currency)) {
+    throw badRequest(`Payer amounts must add up to ${amount}`);
+  }
+
+  const allocated = allocateMinorUnits(toMinorUnits(amount, currency), amounts);
+  return emails.map((email, index) => withAmount({ email }, allocated[index], currency));
+};
+
+/**
+ * Convert an expense entered in another currency into the group currency.
+ * Shares and payers are scaled proportionally so they still add up to the converted total,
+ * and keep their entered value as originalAmount.
+ * @param {Object} input - Amounts in the expense currency
+ * @param {Number} input.amount - Total expense amount
+ * @param {String} input.currency - Expense currency
+ * @param {String} input.groupCurrency - Group currency to convert into
+ * @param {Array<Object>} input.splits - [{ email, value, amount, amountMinor }]
+ * @param {Array<Object>} input.payers - [{ email, amount, amountMinor }]
+ * @param {Number} input.exchangeRate - Units of group currency per unit of expense currency
+ * @returns {Object} - { amount, amountMinor, splits, payers } in the group currency
+ */
+const convertExpenseAmounts = ({ amount, currency, groupCurrency, splits, payers, exchangeRate }) => {
+  if (currency === groupCurrency && exchangeRate === 1) {
+    return { amount, amountMinor: toMinorUnits(amount, currency), splits, payers };
+  }
+
+  const convertedMinor = toMinorUnits(amount * exchangeRate, groupCurrency);
+  const splitAmounts = allocateMinorUnits(convertedMinor, splits.map(split => split.amountMinor));
+  const payerAmounts = allocateMinorUnits(convertedMinor, payers.map(payer => payer.amountMinor));
+
+  return {
+    amount: fromMinorUnits(convertedMinor, groupCurrency),
+    amountMinor: convertedMinor,
+    splits: splits.map((split, index) => withAmount(
+      { email: split.email, value: split.value, originalAmount: split.amount },
+      splitAmounts[index],
+      groupCurrency
+    )),
+    payers: payers.map((payer, index) => withAmount(
+      { email: payer.email, originalAmount: payer.amount },
+      payerAmounts[index],
+      groupCurrency
+    ))
+  };
+};
+
+/**
+ * Get the primary payer of a list of payers (largest contribution, first on ties)
+ * @param {Array<Object>} payers - [{ email, amount }]
+ * @returns {String} - Payer email
+ */
+const getPrimaryPayer = (payers) => {
+  return payers.reduce((primary, payer) => (payer.amount > primary.amount ? payer : primary)).email;
+};
+
+/**
+ * Get the amount each payer contributed to an expense.
+ * Expenses created before multiple payers were supported fall back to paidBy.
+ * The payers of a refund are the members who received the money back, with negative amounts.
+ * @param {Object} expense - Expense document
+ * @param {String} currency - Group currency
+ * @returns {Array<Object>} - [{ email, amount, amountMinor, originalAmount }]
+ */
+const getExpensePayers = (expense, currency) => {
+  const sign = getExpenseSign(expense);
+  if (expense.payers && expense.payers.length > 0) {
+    return expense.payers.map(payer => withAmount(
+      { email: payer.email, originalAmount: payer.originalAmount && sign * payer.originalAmount },
+      sign * getAmountMinor(payer, currency),
+      currency
+    ));
+  }
+  return [withAmount(
+    { email: expense.paidBy, originalAmount: expense.originalAmount && sign * expense.originalAmount },
+    getExpenseAmountMinor(expense, currency),
+    currency
+  )];
+};
+
+/**
+ * Get each member's net position for an expense (amount paid minus share)
+ * @param {Object} expense - Expense document
+ * @param {String} currency - Group currency
+ * @returns {Object} - Map of email to net amount in minor units; positive means the member is owed
+ */
+const getExpenseNetAmounts = (expense, currency) => {
+  const net = {};
+  getExpensePayers(expense, currency).forEach(payer => {
+    net[payer.email] = (net[payer.email] || 0) + payer.amountMinor;
+  });
+  getExpenseShares(expense, currency).forEach(share => {
+    net[share.email] = (net[share.email] || 0) - share.amountMinor;
+  });
+  return net;
+};
+
+/**
+ * Work out who owes whom for a single expense.
+ * Each debtor's amount is spread over the payers in proportion to what they are owed.
+ * A refund keeps the direction of the debts it reverses, with negative amounts.
+ * @param {Object} expense - Expense document
+ * @param {String} currency - Group currency
+ * @returns {Array<Object>} - [{ from, to, amountMinor }]
+ */
+const getExpenseDebts = (expense, currency) => {
+  const sign = getExpenseSign(expense);
+  const net = getExpenseNetAmounts(expense, currency);
+  const creditors = Object.entries(net).filter(([, amount]) => sign * amount > 0);
+  const debtors = Object.entries(net).filter(([, amount]) => sign * amount < 0);
+
+  const debts = [];
+  debtors.forEach(([debtor, debt]) => {
+    const amounts = allocateMinorUnits(-sign * debt, creditors.map(([, credit]) => sign * credit));
+    creditors.forEach(([creditor], index) => {
+      debts.push({
+        from: debtor,
+        to: creditor,
+        amountMinor: sign * amounts[index]
+      });
+    });
+  });
+  return debts;
+};
+
+/**
+ * Get a single member's share of an expense
+ * @param {Object} expense - Expense document
+ * @param {String} email - Member email
+ * @param {String} currency - Group currency
+ * @returns {Number} - Share amount (0 if the member is not part of the split)
+ */
+const getMemberShare = (expense, email, currency) => {
+  const share = getExpenseShares(expense, currency).find(entry => entry.email === email);
+  return share ? share.amount : 0;
+};
+
+module.exports = {
+  SPLIT_TYPES,
+  EXPENSE_TYPES,
+  badRequest,
+  parseJsonField,
+  buildExpenseSplits,
+  getExpenseShares,
+  getMemberShare,
+  buildExpensePayers,
+  convertExpenseAmounts,
+  getPrimaryPayer,
+  getExpensePayers,
+  getExpenseNetAmounts,
+  getExpenseDebts,
+  isRefund,
+  getExpenseAmountMinor
+};
@@ -0,0 +1,121 @@
+// Currencies whose minor unit is not 1/100 (ISO 4217); every other currency uses 2 decimals
+const CURRENCY_DECIMALS = {
+  BIF: 0,
+  CLP: 0,
+  DJF: 0,
+  GNF: 0,
+  ISK: 0,
+  JPY: 0,
+  KMF: 0,
+  KRW: 0,
+  PYG: 0,
+  RWF: 0,
+  UGX: 0,
+  VND: 0,
+  VUV: 0,
+  XAF: 0,
+  XOF: 0,
+  XPF: 0,
+  BHD: 3,
+  IQD: 3,
+  JOD: 3,
+  KWD: 3,
+  LYD: 3,
+  OMR: 3,
+  TND: 3
+};
+
+const DEFAULT_CURRENCY_DECIMALS = 2;
+
+// Largest number of decimals any supported currency uses
+const MAX_CURRENCY_DECIMALS = 3;
+
+/**
+ * Get the number of decimal places of a currency
+ * @param {String} currency - 3-letter currency code
+ * @returns {Number} - Decimal places (0, 2 or 3)
+ */
+const getCurrencyDecimals = (currency) => {
+  const code = typeof currency === 'string' ? currency.toUpperCase() : '';
+  return code in CURRENCY_DECIMALS ? CURRENCY_DECIMALS[code] : DEFAULT_CURRENCY_DECIMALS;
+};
+
+/**
+ * Convert an amount in major units (e.g. 12.34 USD) to integer minor units (1234)
+ * @param {Number} amount - Amount in major units
+ * @param {String} currency - 3-letter currency code
+ * @returns {Number} - Integer amount in minor units
+ */
+const toMinorUnits = (amount, currency) => {
+  const factor = 10 ** getCurrencyDecimals(currency);
+  // toPrecision strips float noise such as 1.005 * 100 = 100.49999999999999
+  return Math.round(Number((amount * factor).toPrecision(15)));
+};
+
+/**
+ * Convert integer minor units back to an amount in major units
+ * @param {Number} minor - Integer amount in minor units
+ * @param {String} currency - 3-letter currency code
+ * @returns {Number} - Amount in major units
+ */
+const fromMinorUnits = (minor, currency) => {
+  return minor / 10 ** getCurrencyDecimals(currency) || 0;
+};
+
+/**
+ * Get the stored minor-unit amount of a document, falling back to its major-unit amount
+ * for documents that have not been migrated yet
+ * @param {Object} doc - Object with amount and (optionally) amountMinor
+ * @param {String} currency - 3-letter currency code of amount
+ * @returns {Number} - Integer amount in minor units
+ */
+const getAmountMinor = (doc, currency) => {
+  if (Number.isInteger(doc.amountMinor)) {
+    return doc.amountMinor;
+  }
+  return toMinorUnits(doc.amount || 0, currency);
+};
+
+/**
+ * Allocate an integer total proportionally to weights so the parts add up exactly.
+ * Every part gets the floor of its exact share; the leftover units go one each to the
+ * parts with the largest remainders, earlier parts first on ties.
+ * @param {Number} total - Integer amount in minor units
+ * @param {Array<Number>} weights - Non-negative relative weights
+ * @returns {Array<Number>} - Integer amounts in the same order as weights
+ */
+const allocateMinorUnits = (total, weights) => {
+  if (weights.length === 0) {
+    return [];
+  }
+
+  const sign = total < 0 ? -1 : 1;
+  const absoluteTotal = Math.abs(total);
+  const weightSum = weights.reduce((sum, weight) => sum + weight, 0);
+  // Without any weight the total is split equally
+  const parts = weightSum > 0 ? weights : weights.map(() => 1);
+  const partSum = weightSum > 0 ? weightSum : weights.length;
+
+  const exact = parts.map(weight => absoluteTotal * weight / partSum);
+  const amounts = exact.map(Math.floor);
+  let leftover = absoluteTotal - amounts.reduce((sum, amount) => sum + amount, 0);
+
+  const order = exact
+    .map((value, index) => ({ index, remainder: value - amounts[index] }))
+    .sort((a, b) => b.remainder - a.remainder || a.index - b.index);
+  for (let i = 0; leftover > 0; i = (i + 1) % order.length) {
+    amounts[order[i].index] += 1;
+    leftover -= 1;
+  }
+
+  return amounts.map(amount => sign * amount || 0);
+};
+
+module.exports = {
+  MAX_CURRENCY_DECIMALS,
+  getCurrencyDecimals,
+  toMinorUnits,
+  fromMinorUnits,
+  getAmountMinor,
+  allocateMinorUnits
+};
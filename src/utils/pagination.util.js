@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+const { badRequest } = require('./expense.util');
+
+const DEFAULT_PAGE_LIMIT = 50;
+const MAX_PAGE_LIMIT = 200;
+
+/**
+ * Parse the page size of a list request
+ * @param {*} value - Raw limit query parameter
+ * @returns {Number} - Page size between 1 and MAX_PAGE_LIMIT
+ * @throws {Error} - Error with status 400 if the limit is invalid
+ */
+const parseLimit = (value) => {
+  if (value === undefined || value === '') {
+    return DEFAULT_PAGE_LIMIT;
+  }
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit <= 0) {
+    throw badRequest('limit must be a positive integer');
+  }
+  return Math.min(limit, MAX_PAGE_LIMIT);
+};
+
+/**
+ * Encode the position of the last item of a page as an opaque cursor
+ * @param {Object} doc - Last document of the page ({ _id, date })
+ * @returns {String} - Cursor for the next page
+ */
+const encodeCursor = (doc) => {
+  return Buffer.from(JSON.stringify({
+    date: new Date(doc.date).toISOString(),
+    id: doc._id.toString()
+  })).toString('base64url');
+};
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {String} cursor - Cursor query parameter
+ * @returns {Object|null} - { date, id }, or null if no cursor was given
+ * @throws {Error} - Error with status 400 if the cursor is malformed
+ */
+const decodeCursor = (cursor) => {
+  if (cursor === undefined || cursor === '') {
+    return null;
+  }
+  try {
+    const { date, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (isNaN(Date.parse(date)) || !mongoose.Types.ObjectId.isValid(id)) {
+      throw new Error('Invalid cursor fields');
+    }
+    return { date: new Date(date), id };
+  } catch (error) {
+    throw badRequest('Invalid cursor');
+  }
+};
+
+/**
+ * Build the filter selecting documents after a cursor in (date desc, _id desc) order
+ * @param {Object|null} cursor - Decoded cursor
+ * @returns {Object} - MongoDB filter (empty for the first page)
+ */
+const buildCursorFilter = (cursor) => {
+  if (!cursor) {
+    return {};
+  }
+  const id = new mongoose.Types.ObjectId(cursor.id);
+  return {
+    $or: [
+      { date: { $lt: cursor.date } },
+      { date: cursor.date, _id: { $lt: id } }
+    ]
+  };
+};
+
+/**
+ * Compare two documents for newest-first ordering, breaking date ties by _id
+ * @param {Object} a - Document with date and _id
+ * @param {Object} b - Document with date and _id
+ * @returns {Number} - Negative if a comes first
+ */
+const compareNewestFirst = (a, b) => {
+  const dateDifference = new Date(b.date) - new Date(a.date);
+  if (dateDifference !== 0) {
+    return dateDifference;
+  }
+  return b._id.toString().localeCompare(a._id.toString());
+};
+
+module.exports = {
+  DEFAULT_PAGE_LIMIT,
+  MAX_PAGE_LIMIT,
+  parseLimit,
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter,
+  compareNewestFirst
+};
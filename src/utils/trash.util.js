@@ -0,0 +1,25 @@
+// Number of days deleted expenses and settlements stay in the group trash
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+/**
+ * Get the oldest deletion date that is still within the retention window
+ * @returns {Date} - Cutoff date
+ */
+const getTrashCutoffDate = () => {
+  return new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Check whether a deleted document can still be restored
+ * @param {Date} deletedAt - When the document was deleted
+ * @returns {Boolean} - True if the document is within the retention window
+ */
+const isRestorable = (deletedAt) => {
+  return Boolean(deletedAt) && new Date(deletedAt) >= getTrashCutoffDate();
+};
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  getTrashCutoffDate,
+  isRestorable
+};
@@ -71,7 +71,8 @@ const uploadToS3 = async (file, folder) => {
     throw new Error('AWS S3 is not configured');
   }
 
-  const fileExtension = file.originalname.split('.').pop();
+  // Prefer the extension of the detected file type over the client-supplied name
+  const fileExtension = file.extension || file.originalname.split('.').pop();
   const fileName = `${folder}/${uuidv4()}.${fileExtension}`;
 
   const params = {
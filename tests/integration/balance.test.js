@@ -0,0 +1,472 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/user.model');
+const Group = require('../../src/models/group.model');
+const Expense = require('../../src/models/expense.model');
+const Settlement = require('../../src/models/settlement.model');
+const GroupBalance = require('../../src/models/groupBalance.model');
+const JournalEntry = require('../../src/models/journalEntry.model');
+const ExchangeRate = require('../../src/models/exchangeRate.model');
+
+describe('Balance Routes', () => {
+  let token;
+  let user;
+  let group;
+
+  beforeEach(async () => {
+    user = await User.create({
+      name: 'Test User',
+      email: 'test@example.com',
+      password: 'password123'
+    });
+    token = generateTestToken(user._id);
+
+    group = await Group.create({
+      name: 'Test Group',
+      currency: 'USD',
+      members: ['test@example.com', 'member@example.com', 'other@example.com']
+    });
+  });
+
+  describe('GET /balances/:groupId/settle-plan', () => {
+    beforeEach(async () => {
+      await Expense.create({
+        groupId: group._id,
+        description: 'Cabin',
+        date: '2024-01-01',
+        amount: 90,
+        amountMinor: 9000,
+        paidBy: 'test@example.com',
+        splitAmong: ['test@example.com', 'member@example.com', 'other@example.com'],
+        splits: [
+          { email: 'test@example.com', amount: 30, amountMinor: 3000 },
+          { email: 'member@example.com', amount: 30, amountMinor: 3000 },
+          { email: 'other@example.com', amount: 30, amountMinor: 3000 }
+        ]
+      });
+      await Expense.create({
+        groupId: group._id,
+        description: 'Snacks',
+        date: '2024-01-02',
+        amount: 10,
+        amountMinor: 1000,
+        paidBy: 'member@example.com',
+        splitAmong: ['other@example.com'],
+        splits: [{ email: 'other@example.com', amount: 10, amountMinor: 1000 }]
+      });
+      await Settlement.create({
+        groupId: group._id,
+        paidBy: 'other@example.com',
+        paidTo: 'member@example.com',
+        amount: 5,
+        amountMinor: 500,
+        date: '2024-01-03'
+      });
+    });
+
+    it('should clear all balances with as few transfers as possible', async () => {
+      const response = await request(app)
+        .get(`/balances/${group._id}/settle-plan`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.mode).toBe('simplified');
+      expect(response.body.transfers).toEqual([
+        { from: 'other@example.com', to: 'test@example.com', amount: 35 },
+        { from: 'member@example.com', to: 'test@example.com', amount: 25 }
+      ]);
+    });
+
+    it('should keep debts between the members who incurred them when the group uses pairwise plans', async () => {
+      const updated = await request(app)
+        .patch(`/groups/${group._id}/settings`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ settlePlan: 'pairwise' });
+      expect(updated.status).toBe(200);
+
+      const response = await request(app)
+        .get(`/balances/${group._id}/settle-plan`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.body.mode).toBe('pairwise');
+      expect(response.body.transfers).toEqual([
+        { from: 'member@example.com', to: 'test@example.com', amount: 30 },
+        { from: 'other@example.com', to: 'test@example.com', amount: 30 },
+        { from: 'other@example.com', to: 'member@example.com', amount: 5 }
+      ]);
+    });
+  });
+
+  describe('GET /balances/friends', () => {
+    it('should net balances with each person across groups', async () => {
+      const trip = await Group.create({
+        name: 'Trip',
+        currency: 'USD',
+        members: ['test@example.com', 'member@example.com']
+      });
+      await Expense.create({
+        groupId: group._id,
+        description: 'Groceries',
+        date: '2024-01-01',
+        amount: 60,
+        amountMinor: 6000,
+        paidBy: 'test@example.com',
+        splitAmong: ['test@example.com', 'member@example.com'],
+        splits: [
+          { email: 'test@example.com', amount: 30, amountMinor: 3000 },
+          { email: 'member@example.com', amount: 30, amountMinor: 3000 }
+        ]
+      });
+      await Expense.create({
+        groupId: trip._id,
+        description: 'Fuel',
+        date: '2024-01-02',
+        amount: 20,
+        amountMinor: 2000,
+        paidBy: 'member@example.com',
+        splitAmong: ['test@example.com', 'member@example.com'],
+        splits: [
+          { email: 'test@example.com', amount: 10, amountMinor: 1000 },
+          { email: 'member@example.com', amount: 10, amountMinor: 1000 }
+        ]
+      });
+
+      const response = await request(app)
+        .get('/balances/friends')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.friends).toHaveLength(1);
+      expect(response.body.friends[0].email).toBe('member@example.com');
+      expect(response.body.friends[0].totals).toEqual([{ currency: 'USD', amount: 20 }]);
+      expect(response.body.friends[0].groups.map(entry => entry.amount).sort()).toEqual([-10, 30]);
+    });
+  });
+
+  describe('GET /balances/user/owed and /balances/user/net', () => {
+    beforeEach(async () => {
+      await Expense.create({
+        groupId: group._id,
+        description: 'Groceries',
+        date: '2024-01-01',
+        amount: 60,
+        amountMinor: 6000,
+        paidBy: 'test@example.com',
+        splitAmong: ['test@example.com', 'member@example.com', 'other@example.com'],
+        splits: [
+          { email: 'test@example.com', amount: 20, amountMinor: 2000 },
+          { email: 'member@example.com', amount: 20, amountMinor: 2000 },
+          { email: 'other@example.com', amount: 20, amountMinor: 2000 }
+        ]
+      });
+      await Expense.create({
+        groupId: group._id,
+        description: 'Taxi',
+        date: '2024-01-02',
+        amount: 30,
+        amountMinor: 3000,
+        paidBy: 'member@example.com',
+        splitAmong: ['test@example.com', 'member@example.com'],
+        splits: [
+          { email: 'test@example.com', amount: 15, amountMinor: 1500 },
+          { email: 'member@example.com', amount: 15, amountMinor: 1500 }
+        ]
+      });
+    });
+
+    it('should list what others owe the user after netting what the user owes them', async () => {
+      const owed = await request(app)
+        .get('/balances/user/owed')
+        .set('Authorization', `Bearer ${token}`);
+      const owe = await request(app)
+        .get('/balances/user/owe')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(owed.status).toBe(200);
+      expect(owed.body.totalAmount).toBe(25);
+      expect(owed.body.owedDetails).toEqual(expect.arrayContaining([
+        { groupId: group._id.toString(), owedBy: 'member@example.com', amount: 5 },
+        { groupId: group._id.toString(), owedBy: 'other@example.com', amount: 20 }
+      ]));
+      expect(owe.body.totalAmount).toBe(0);
+    });
+
+    it('should report a net position matching the group balance', async () => {
+      const net = await request(app)
+        .get('/balances/user/net')
+        .set('Authorization', `Bearer ${token}`);
+      const list = await request(app)
+        .get(`/expenses/${group._id}`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(net.status).toBe(200);
+      expect(net.body.netAmount).toBe(25);
+      expect(net.body.groups[0].net).toBe(list.body.balances.totalBalance);
+    });
+  });
+
+  describe('GET /balances/:groupId/history', () => {
+    beforeEach(async () => {
+      await Expense.create({
+        groupId: group._id,
+        description: 'Rent',
+        date: '2024-01-31',
+        amount: 40,
+        amountMinor: 4000,
+        paidBy: 'test@example.com',
+        splitAmong: ['test@example.com', 'member@example.com'],
+        splits: [
+          { email: 'test@example.com', amount: 20, amountMinor: 2000 },
+          { email: 'member@example.com', amount: 20, amountMinor: 2000 }
+        ]
+      });
+      await Settlement.create({
+        groupId: group._id,
+        paidBy: 'member@example.com',
+        paidTo: 'test@example.com',
+        amount: 20,
+        amountMinor: 2000,
+        date: '2024-02-03'
+      });
+    });
+
+    it('should return a balance after every expense and settlement', async () => {
+      const response = await request(app)
+        .get(`/balances/${group._id}/history`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.points).toHaveLength(2);
+      expect(response.body.points[0].type).toBe('expense');
+      expect(response.body.points[0].balances).toEqual({
+        'test@example.com': 20,
+        'member@example.com': -20,
+        'other@example.com': 0
+      });
+      expect(response.body.points[1].balances['member@example.com']).toBe(0);
+    });
+
+    it('should report balances as of a date', async () => {
+      const response = await request(app)
+        .get(`/balances/${group._id}?asOf=2024-01-31`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.balances).toContainEqual({ email: 'member@example.com', owedAmount: 0, owesAmount: 20 });
+
+      const invalid = await request(app)
+        .get(`/balances/${group._id}?asOf=not-a-date`)
+        .set('Authorization', `Bearer ${token}`);
+      expect(invalid.status).toBe(400);
+    });
+
+    it('should include entries recorded later on an asOf or to date', async () => {
+      await Settlement.create({
+        groupId: group._id,
+        paidBy: 'member@example.com',
+        paidTo: 'test@example.com',
+        amount: 5,
+        amountMinor: 500,
+        date: '2024-01-31T18:30:00Z'
+      });
+
+      const balances = await request(app)
+        .get(`/balances/${group._id}?asOf=2024-01-31`)
+        .set('Authorization', `Bearer ${token}`);
+      expect(balances.body.balances).toContainEqual({ email: 'member@example.com', owedAmount: 0, owesAmount: 15 });
+
+      const history = await request(app)
+        .get(`/balances/${group._id}/history?to=2024-01-31`)
+        .set('Authorization', `Bearer ${token}`);
+      expect(history.body.points).toHaveLength(2);
+      expect(history.body.points[1].balances['member@example.com']).toBe(-15);
+    });
+  });
+
+  describe('Stored balances', () => {
+    it('should keep stored balances up to date as expenses are added and deleted', async () => {
+      const created = await request(app)
+        .post('/expenses/create')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          groupId: group._id.toString(),
+          amount: 30,
+          description: 'Lunch',
+          date: '2024-01-10',
+          splitAmong: ['test@example.com', 'member@example.com', 'other@example.com']
+        });
+      expect(created.status).toBe(201);
+
+      const stored = await GroupBalance.findOne({ groupId: group._id, email: 'test@example.com' });
+      expect(stored.netMinor).toBe(2000);
+      expect(stored.debts).toEqual(expect.arrayContaining([
+        expect.objectContaining({ email: 'member@example.com', amountMinor: 1000 })
+      ]));
+
+      const balances = await request(app)
+        .get(`/balances/${group._id}`)
+        .set('Authorization', `Bearer ${token}`);
+      expect(balances.body.balances).toContainEqual({ email: 'member@example.com', owedAmount: 0, owesAmount: 10 });
+
+      await request(app)
+        .delete(`/expenses/${created.body.data.expenseId}`)
+        .set('Authorization', `Bearer ${token}`);
+
+      const afterDelete = await request(app)
+        .get(`/balances/${group._id}`)
+        .set('Authorization', `Bearer ${token}`);
+      expect(afterDelete.body.balances).toContainEqual({ email: 'member@example.com', owedAmount: 0, owesAmount: 0 });
+    });
+  });
+
+  describe('Groups created before the ledger', () => {
+    it('should work balances out from expenses without posting to the journal on reads', async () => {
+      await Expense.create({
+        groupId: group._id,
+        description: 'Groceries',
+        date: '2024-01-01',
+        amount: 20,
+        amountMinor: 2000,
+        paidBy: 'test@example.com',
+        splitAmong: ['test@example.com', 'member@example.com'],
+        splits: [
+          { email: 'test@example.com', amount: 10, amountMinor: 1000 },
+          { email: 'member@example.com', amount: 10, amountMinor: 1000 }
+        ]
+      });
+
+      const [balances, list] = await Promise.all([
+        request(app).get(`/balances/${group._id}`).set('Authorization', `Bearer ${token}`),
+        request(app).get(`/expenses/${group._id}`).set('Authorization', `Bearer ${token}`)
+      ]);
+
+      expect(balances.body.balances).toContainEqual({ email: 'member@example.com', owedAmount: 0, owesAmount: 10 });
+      expect(list.body.balances.totalBalance).toBe(10);
+      expect(await JournalEntry.countDocuments({ groupId: group._id })).toBe(0);
+      expect(await GroupBalance.countDocuments({ groupId: group._id })).toBe(0);
+      expect((await Group.findById(group._id)).ledgerBuiltAt).toBeNull();
+    });
+  });
+
+  describe('Totals across currencies', () => {
+    it('should break totals down per currency and convert them with the local rate table', async () => {
+      const trip = await Group.create({
+        name: 'Trip',
+        currency: 'EUR',
+        members: ['test@example.com', 'member@example.com']
+      });
+      await ExchangeRate.create({ groupId: trip._id, base: 'EUR', quote: 'USD', rate: 1.1, effectiveDate: '2024-01-01' });
+      await Expense.create({
+        groupId: group._id,
+        description: 'Groceries',
+        date: '2024-01-01',
+        amount: 20,
+        amountMinor: 2000,
+        paidBy: 'test@example.com',
+        splitAmong: ['test@example.com', 'member@example.com'],
+        splits: [
+          { email: 'test@example.com', amount: 10, amountMinor: 1000 },
+          { email: 'member@example.com', amount: 10, amountMinor: 1000 }
+        ]
+      });
+      await Expense.create({
+        groupId: trip._id,
+        description: 'Museum',
+        date: '2024-01-02',
+        amount: 40,
+        amountMinor: 4000,
+        paidBy: 'test@example.com',
+        splitAmong: ['test@example.com', 'member@example.com'],
+        splits: [
+          { email: 'test@example.com', amount: 20, amountMinor: 2000 },
+          { email: 'member@example.com', amount: 20, amountMinor: 2000 }
+        ]
+      });
+
+      const response = await request(app)
+        .get('/balances/user/owed?currency=USD')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.totals).toEqual(expect.arrayContaining([
+        { currency: 'USD', amount: 10 },
+        { currency: 'EUR', amount: 20 }
+      ]));
+      expect(response.body.currency).toBe('USD');
+      expect(response.body.totalAmount).toBe(32);
+      expect(response.body.rates).toEqual([
+        { from: 'EUR', to: 'USD', rate: 1.1, effectiveDate: new Date('2024-01-01').toISOString() }
+      ]);
+
+      const withoutRate = await request(app)
+        .get('/balances/user/owed?currency=GBP')
+        .set('Authorization', `Bearer ${token}`);
+      expect(withoutRate.body.totalAmount).toBeNull();
+      expect(withoutRate.body.missingRates).toEqual(expect.arrayContaining(['USD', 'EUR']));
+    });
+  });
+
+  describe('Journal', () => {
+    it('should post balanced entries and reverse them when an expense changes', async () => {
+      const created = await request(app)
+        .post('/expenses/create')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          groupId: group._id.toString(),
+          amount: 30,
+          description: 'Dinner',
+          date: '2024-03-01',
+          splitAmong: ['test@example.com', 'member@example.com', 'other@example.com']
+        });
+      const expenseId = created.body.data.expenseId;
+
+      await request(app)
+        .patch(`/expenses/${expenseId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ amount: 60 });
+      const settlement = await request(app)
+        .post('/settlements/create')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ groupId: group._id.toString(), paidTo: 'member@example.com', amount: 10, date: '2024-03-02' });
+      const member = await User.create({ name: 'Member', email: 'member@example.com', password: 'password123' });
+      await request(app)
+        .post(`/settlements/${settlement.body.data.settlementId}/confirm`)
+        .set('Authorization', `Bearer ${generateTestToken(member._id)}`);
+
+      const entries = await JournalEntry.find({ groupId: group._id });
+      expect(entries).toHaveLength(4);
+      expect(entries.filter(entry => entry.reverses)).toHaveLength(1);
+      entries.forEach(entry => {
+        expect(entry.lines.reduce((sum, line) => sum + line.amountMinor, 0)).toBe(0);
+      });
+
+      // Every endpoint reads the same ledger account
+      const list = await request(app)
+        .get(`/expenses/${group._id}`)
+        .set('Authorization', `Bearer ${token}`);
+      const net = await request(app)
+        .get('/balances/user/net')
+        .set('Authorization', `Bearer ${token}`);
+      const plan = await request(app)
+        .get(`/balances/${group._id}/settle-plan`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(list.body.balances.totalBalance).toBe(50);
+      expect(list.body.balances.youAreOwed).toEqual([
+        { user: 'member@example.com', amount: 30 },
+        { user: 'other@example.com', amount: 20 }
+      ]);
+      expect(net.body.groups[0].net).toBe(50);
+      expect(plan.body.balances).toContainEqual({ email: 'test@example.com', amount: 50 });
+
+      const stale = new JournalEntry({
+        groupId: group._id,
+        sourceType: 'expense',
+        sourceId: expenseId,
+        date: new Date(),
+        lines: [{ account: 'test@example.com', counterparty: 'member@example.com', amountMinor: 500 }]
+      });
+      await expect(stale.save()).rejects.toThrow('Journal entry lines must sum to zero');
+    });
+  });
+});
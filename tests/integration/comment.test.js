@@ -0,0 +1,196 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/user.model');
+const Group = require('../../src/models/group.model');
+const Expense = require('../../src/models/expense.model');
+const Comment = require('../../src/models/comment.model');
+const Notification = require('../../src/models/notification.model');
+
+describe('Comment Routes', () => {
+  let token;
+  let memberToken;
+  let group;
+  let expense;
+
+  beforeEach(async () => {
+    const user = await User.create({
+      name: 'Test User',
+      email: 'test@example.com',
+      password: 'password123'
+    });
+    token = generateTestToken(user._id);
+
+    const member = await User.create({
+      name: 'Member',
+      email: 'member@example.com',
+      password: 'password123'
+    });
+    memberToken = generateTestToken(member._id);
+
+    group = await Group.create({
+      name: 'Test Group',
+      currency: 'USD',
+      members: ['test@example.com', 'member@example.com']
+    });
+
+    expense = await Expense.create({
+      groupId: group._id,
+      amount: 30,
+      amountMinor: 3000,
+      description: 'Groceries',
+      date: '2024-01-01',
+      paidBy: 'member@example.com',
+      splitAmong: ['test@example.com', 'member@example.com'],
+      splits: [
+        { email: 'test@example.com', amount: 15, amountMinor: 1500 },
+        { email: 'member@example.com', amount: 15, amountMinor: 1500 }
+      ]
+    });
+  });
+
+  // Comment on the expense as the test user
+  const addComment = (text = 'Was this the weekly shop?') => request(app)
+    .post(`/comments/expense/${expense._id}`)
+    .set('Authorization', `Bearer ${token}`)
+    .send({ text });
+
+  describe('POST /comments/:targetType/:targetId', () => {
+    it('should add a comment and notify the payer', async () => {
+      const response = await addComment();
+
+      expect(response.status).toBe(201);
+      const comment = await Comment.findById(response.body.data.commentId);
+      expect(comment.author).toBe('test@example.com');
+      expect(comment.targetType).toBe('expense');
+
+      const notification = await Notification.findOne({ userId: 'member@example.com', type: 'comment_added' });
+      expect(notification.message).toContain('Was this the weekly shop?');
+      expect(await Notification.countDocuments({ userId: 'test@example.com' })).toBe(0);
+    });
+
+    it('should reject empty comments', async () => {
+      const response = await addComment('   ');
+
+      expect(response.status).toBe(400);
+      expect(await Comment.countDocuments()).toBe(0);
+    });
+
+    it('should only let group members comment', async () => {
+      group.members = ['member@example.com'];
+      await group.save();
+
+      const response = await addComment();
+
+      expect(response.status).toBe(403);
+      expect(await Comment.countDocuments()).toBe(0);
+    });
+  });
+
+  describe('GET /comments/:targetType/:targetId', () => {
+    it('should list the comments on an expense in order', async () => {
+      await addComment('First');
+      await addComment('Second');
+
+      const response = await request(app)
+        .get(`/comments/expense/${expense._id}`)
+        .set('Authorization', `Bearer ${memberToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.map(comment => comment.text)).toEqual(['First', 'Second']);
+    });
+
+    it('should only show comments to group members', async () => {
+      await addComment();
+      group.members = ['member@example.com'];
+      await group.save();
+
+      const response = await request(app)
+        .get(`/comments/expense/${expense._id}`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('Comments on trashed items', () => {
+    it('should not show or accept comments while the expense is in the trash', async () => {
+      await addComment();
+      expense.deletedAt = new Date();
+      expense.deletedBy = 'member@example.com';
+      await expense.save();
+
+      const added = await addComment('Still there?');
+      expect(added.status).toBe(404);
+
+      const list = await request(app)
+        .get(`/comments/expense/${expense._id}`)
+        .set('Authorization', `Bearer ${token}`);
+      expect(list.status).toBe(404);
+
+      expect(await Comment.countDocuments()).toBe(1);
+      expect(await Notification.countDocuments({ userId: 'member@example.com', type: 'comment_added' })).toBe(1);
+    });
+  });
+
+  describe('PATCH and DELETE /comments/:commentId', () => {
+    it('should let the author edit and delete a comment', async () => {
+      const created = await addComment();
+      const commentId = created.body.data.commentId;
+
+      const edited = await request(app)
+        .patch(`/comments/${commentId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ text: 'Was this the monthly shop?' });
+      expect(edited.status).toBe(200);
+      expect(edited.body.data.text).toBe('Was this the monthly shop?');
+      expect(edited.body.data.editedAt).toBeTruthy();
+
+      const deleted = await request(app)
+        .delete(`/comments/${commentId}`)
+        .set('Authorization', `Bearer ${token}`);
+      expect(deleted.status).toBe(200);
+      expect(await Comment.findById(commentId)).toBeNull();
+    });
+
+    it('should not let other members change a comment', async () => {
+      const created = await addComment();
+      const commentId = created.body.data.commentId;
+
+      const edited = await request(app)
+        .patch(`/comments/${commentId}`)
+        .set('Authorization', `Bearer ${memberToken}`)
+        .send({ text: 'Not mine' });
+      expect(edited.status).toBe(404);
+
+      const deleted = await request(app)
+        .delete(`/comments/${commentId}`)
+        .set('Authorization', `Bearer ${memberToken}`);
+      expect(deleted.status).toBe(404);
+
+      const comment = await Comment.findById(commentId);
+      expect(comment.text).toBe('Was this the weekly shop?');
+    });
+
+    it('should not let former members change their comments', async () => {
+      const created = await addComment();
+      expect(created.status).toBe(201);
+
+      group.members = ['member@example.com'];
+      await group.save();
+
+      const edited = await request(app)
+        .patch(`/comments/${created.body.data.commentId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ text: 'Changed after leaving' });
+      expect(edited.status).toBe(403);
+
+      const deleted = await request(app)
+        .delete(`/comments/${created.body.data.commentId}`)
+        .set('Authorization', `Bearer ${token}`);
+      expect(deleted.status).toBe(403);
+
+      const comment = await Comment.findById(created.body.data.commentId);
+      expect(comment.text).toBe('Was this the weekly shop?');
+    });
+  });
+});
@@ -0,0 +1,95 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/user.model');
+const Group = require('../../src/models/group.model');
+const Expense = require('../../src/models/expense.model');
+
+describe('Exchange Rate Routes', () => {
+  let token;
+  let outsiderToken;
+  let group;
+  let otherGroup;
+
+  beforeEach(async () => {
+    const user = await User.create({
+      name: 'Test User',
+      email: 'test@example.com',
+      password: 'password123'
+    });
+    token = generateTestToken(user._id);
+
+    const outsider = await User.create({
+      name: 'Outsider',
+      email: 'outsider@example.com',
+      password: 'password123'
+    });
+    outsiderToken = generateTestToken(outsider._id);
+
+    group = await Group.create({
+      name: 'Test Group',
+      currency: 'USD',
+      members: ['test@example.com', 'member@example.com']
+    });
+    otherGroup = await Group.create({
+      name: 'Other Group',
+      currency: 'USD',
+      members: ['outsider@example.com']
+    });
+  });
+
+  describe('POST /exchange-rates/create', () => {
+    it('should only let members add rates to a group', async () => {
+      const response = await request(app)
+        .post('/exchange-rates/create')
+        .set('Authorization', `Bearer ${outsiderToken}`)
+        .send({ groupId: group._id.toString(), base: 'EUR', quote: 'USD', rate: 5, effectiveDate: '2024-01-01' });
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should reject currencies that are not 3-letter codes', async () => {
+      const response = await request(app)
+        .post('/exchange-rates/create')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ groupId: group._id.toString(), base: 12, quote: 'USD', rate: 1.1 });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should convert expenses with the rates of their own group only', async () => {
+      const saved = await request(app)
+        .post('/exchange-rates/create')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ groupId: group._id.toString(), base: 'EUR', quote: 'USD', rate: 1.1, effectiveDate: '2024-01-01' });
+      expect(saved.status).toBe(201);
+
+      await request(app)
+        .post('/exchange-rates/create')
+        .set('Authorization', `Bearer ${outsiderToken}`)
+        .send({ groupId: otherGroup._id.toString(), base: 'EUR', quote: 'USD', rate: 5, effectiveDate: '2024-01-05' });
+
+      const response = await request(app)
+        .post('/expenses/create')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          groupId: group._id.toString(),
+          amount: 50,
+          currency: 'EUR',
+          description: 'Museum tickets',
+          date: '2024-01-10',
+          splitAmong: ['test@example.com', 'member@example.com']
+        });
+
+      expect(response.status).toBe(201);
+      const expense = await Expense.findById(response.body.data.expenseId);
+      expect(expense.amount).toBe(55);
+      expect(expense.exchangeRateSource).toBe('table');
+
+      const rates = await request(app)
+        .get('/exchange-rates')
+        .set('Authorization', `Bearer ${token}`);
+      expect(rates.body).toHaveLength(1);
+      expect(rates.body[0].rate).toBe(1.1);
+    });
+  });
+});
@@ -0,0 +1,824 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/user.model');
+const Group = require('../../src/models/group.model');
+const Expense = require('../../src/models/expense.model');
+const Settlement = require('../../src/models/settlement.model');
+const Notification = require('../../src/models/notification.model');
+
+describe('Expense Routes', () => {
+  let token;
+  let user;
+  let group;
+
+  beforeEach(async () => {
+    user = await User.create({
+      name: 'Test User',
+      email: 'test@example.com',
+      password: 'password123'
+    });
+    token = generateTestToken(user._id);
+
+    group = await Group.create({
+      name: 'Test Group',
+      currency: 'USD',
+      members: ['test@example.com', 'member@example.com', 'other@example.com']
+    });
+  });
+
+  describe('POST /expenses/create', () => {
+    it('should store an equal split that sums to the amount', async () => {
+      const response = await request(app)
+        .post('/expenses/create')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          groupId: group._id.toString(),
+          amount: 100,
+          description: 'Dinner',
+          date: '2024-01-10',
+          splitAmong: ['test@example.com', 'member@example.com', 'other@example.com']
+        });
+
+      expect(response.status).toBe(201);
+
+      const expense = await Expense.findById(response.body.data.expenseId);
+      expect(expense.splitType).toBe('equal');
+      expect(expense.amountMinor).toBe(10000);
+      expect(expense.splits.map(split => split.amountMinor)).toEqual([3334, 3333, 3333]);
+    });
+
+    it('should split in whole units for currencies without decimals', async () => {
+      const yenGroup = await Group.create({
+        name: 'Tokyo Trip',
+        currency: 'JPY',
+        members: ['test@example.com', 'member@example.com', 'other@example.com']
+      });
+
+      const response = await request(app)
+        .post('/expenses/create')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          groupId: yenGroup._id.toString(),
+          amount: 1000,
+          description: 'Ramen',
+          date: '2024-01-10',
+          splitAmong: ['test@example.com', 'member@example.com', 'other@example.com']
+        });
+
+      expect(response.status).toBe(201);
+
+      const expense = await Expense.findById(response.body.data.expenseId);
+      expect(expense.splits.map(split => split.amount)).toEqual([334, 333, 333]);
+    });
+
+    it('should store percentage splits', async () => {
+      const response = await request(app)
+        .post('/expenses/create')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          groupId: group._id.toString(),
+          amount: 80,
+          description: 'Groceries',
+          date: '2024-01-10',
+          splitType: 'percent',
+          splits: [
+            { email: 'test@example.com', value: 25 },
+            { email: 'member@example.com', value: 75 }
+          ]
+        });
+
+      expect(response.status).toBe(201);
+
+      const expense = await Expense.findById(response.body.data.expenseId);
+      expect(expense.splitAmong).toEqual(['test@example.com', 'member@example.com']);
+      expect(expense.splits.map(split => split.amount)).toEqual([20, 60]);
+    });
+
+    it('should distribute tax and tip proportionally on itemized receipts', async () => {
+      const response = await request(app)
+        .post('/expenses/create')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          groupId: group._id.toString(),
+          amount: 66,
+          description: 'Pizza night',
+          date: '2024-01-10',
+          splitType: 'itemized',
+          items: [
+            { name: 'Pizza', price: 20, quantity: 2, assignedTo: ['test@example.com', 'member@example.com'] },
+            { name: 'Wine', price: 15, assignedTo: ['test@example.com'] }
+          ],
+          tax: 5.5,
+          tip: 5.5
+        });
+
+      expect(response.status).toBe(201);
+
+      const expense = await Expense.findById(response.body.data.expenseId);
+      expect(expense.splits.map(split => split.amount)).toEqual([42, 24]);
+      expect(expense.items).toHaveLength(2);
+    });
+
+    it('should record multiple payers', async () => {
+      const response = await request(app)
+        .post('/expenses/create')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          groupId: group._id.toString(),
+          amount: 90,
+          description: 'Restaurant',
+          date: '2024-01-10',
+          splitAmong: ['test@example.com', 'member@example.com', 'other@example.com'],
+          payers: [
+            { email: 'member@example.com', amount: 60 },
+            { email: 'test@example.com', amount: 30 }
+          ]
+        });
+
+      expect(response.status).toBe(201);
+
+      const expense = await Expense.findById(response.body.data.expenseId);
+      expect(expense.paidBy).toBe('member@example.com');
+      expect(expense.createdBy).toBe('test@example.com');
+      expect(expense.payers).toHaveLength(2);
+    });
+
+    it('should reject payers that do not add up to the amount', async () => {
+      const response = await request(app)
+        .post('/expenses/create')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          groupId: group._id.toString(),
+          amount: 90,
+          description: 'Restaurant',
+          date: '2024-01-10',
+          splitAmong: ['test@example.com', 'member@example.com'],
+          payers: [
+            { email: 'member@example.com', amount: 20 },
+            { email: 'test@example.com', amount: 30 }
+          ]
+        });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should reject exact splits that do not add up to the amount', async () => {
+      const response = await request(app)
+        .post('/expenses/create')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          groupId: group._id.toString(),
+          amount: 50,
+          description: 'Taxi',
+          date: '2024-01-10',
+          splitType: 'exact',
+          splits: [
+            { email: 'test@example.com', value: 10 },
+            { email: 'member@example.com', value: 30 }
+          ]
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toMatch(/add up to 50/);
+    });
+
+    it('should convert expenses in another currency into the group currency', async () => {
+      const response = await request(app)
+        .post('/expenses/create')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          groupId: group._id.toString(),
+          amount: 50,
+          currency: 'EUR',
+          exchangeRate: 1.1,
+          description: 'Museum tickets',
+          date: '2024-01-10',
+          splitAmong: ['test@example.com', 'member@example.com']
+        });
+
+      expect(response.status).toBe(201);
+
+      const expense = await Expense.findById(response.body.data.expenseId);
+      expect(expense.amount).toBe(55);
+      expect(expense.originalAmount).toBe(50);
+      expect(expense.exchangeRateSource).toBe('manual');
+      expect(expense.splits.map(split => split.amount)).toEqual([27.5, 27.5]);
+    });
+  });
+
+  describe('PATCH /expenses/:expenseId', () => {
+    let expenseId;
+
+    beforeEach(async () => {
+      const created = await request(app)
+        .post('/expenses/create')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          groupId: group._id.toString(),
+          amount: 30,
+          description: 'Dinner',
+          date: '2024-01-10',
+          splitAmong: ['test@example.com', 'member@example.com']
+        });
+      expenseId = created.body.data.expenseId;
+    });
+
+    it('should update the expense and record the change in its history', async () => {
+      const updated = await request(app)
+        .patch(`/expenses/${expenseId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ amount: 50, description: 'Dinner and drinks' });
+
+      expect(updated.status).toBe(200);
+
+      const expense = await Expense.findById(expenseId);
+      expect(expense.amount).toBe(50);
+      expect(expense.splits.map(split => split.amount)).toEqual([25, 25]);
+
+      const history = await request(app)
+        .get(`/expenses/${expenseId}/history`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(history.status).toBe(200);
+      expect(history.body.data.revisions).toHaveLength(1);
+      const revision = history.body.data.revisions[0];
+      expect(revision.editedBy).toBe('test@example.com');
+      expect(revision.changes).toEqual(expect.arrayContaining([
+        { field: 'amount', before: 30, after: 50 },
+        { field: 'description', before: 'Dinner', after: 'Dinner and drinks' }
+      ]));
+
+      const notification = await Notification.findOne({ userId: 'member@example.com', type: 'expense_updated' });
+      expect(notification.message).toContain('Your share: USD 25.00');
+    });
+
+    it('should reject edits that change nothing', async () => {
+      const response = await request(app)
+        .patch(`/expenses/${expenseId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ description: 'Dinner' });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should not let people outside the group edit an expense or read its history', async () => {
+      const outsider = await User.create({
+        name: 'Outsider',
+        email: 'outsider@example.com',
+        password: 'password123'
+      });
+      const outsiderToken = generateTestToken(outsider._id);
+
+      const updated = await request(app)
+        .patch(`/expenses/${expenseId}`)
+        .set('Authorization', `Bearer ${outsiderToken}`)
+        .send({ amount: 1 });
+      expect(updated.status).toBe(403);
+
+      const history = await request(app)
+        .get(`/expenses/${expenseId}/history`)
+        .set('Authorization', `Bearer ${outsiderToken}`);
+      expect(history.status).toBe(403);
+      expect((await Expense.findById(expenseId)).amount).toBe(30);
+    });
+  });
+
+  describe('GET /expenses/:groupId/summary', () => {
+    beforeEach(async () => {
+      const expense = {
+        groupId: group._id,
+        splitAmong: ['test@example.com', 'member@example.com']
+      };
+      await Expense.create([
+        {
+          ...expense,
+          description: 'Groceries',
+          category: 'groceries',
+          date: '2024-01-05',
+          amount: 30,
+          amountMinor: 3000,
+          paidBy: 'test@example.com',
+          splits: [
+            { email: 'test@example.com', amount: 15, amountMinor: 1500 },
+            { email: 'member@example.com', amount: 15, amountMinor: 1500 }
+          ]
+        },
+        {
+          ...expense,
+          description: 'Rent',
+          category: 'rent',
+          date: '2024-02-01',
+          amount: 100,
+          amountMinor: 10000,
+          paidBy: 'member@example.com',
+          splits: [
+            { email: 'test@example.com', amount: 40, amountMinor: 4000 },
+            { email: 'member@example.com', amount: 60, amountMinor: 6000 }
+          ]
+        },
+        {
+          ...expense,
+          description: 'Deleted groceries',
+          category: 'groceries',
+          date: '2024-02-02',
+          amount: 50,
+          amountMinor: 5000,
+          paidBy: 'test@example.com',
+          deletedAt: new Date(),
+          splits: [
+            { email: 'test@example.com', amount: 25, amountMinor: 2500 },
+            { email: 'member@example.com', amount: 25, amountMinor: 2500 }
+          ]
+        }
+      ]);
+    });
+
+    it('should total expenses per category, per month and per member', async () => {
+      const response = await request(app)
+        .get(`/expenses/${group._id}/summary`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.totalExpenses).toBe(130);
+      expect(response.body.expensesByCategory).toEqual({ groceries: 30, rent: 100 });
+      expect(response.body.monthlyExpensesByCategory).toEqual({
+        '2024-01': { groceries: 30 },
+        '2024-02': { rent: 100 }
+      });
+      expect(response.body.expensesByMember).toContainEqual({
+        user: 'test@example.com',
+        totalPaid: 30,
+        totalShare: 55,
+        shareByCategory: { groceries: 15, rent: 40 }
+      });
+    });
+
+    it('should only show the summary to group members', async () => {
+      const outsider = await User.create({
+        name: 'Outsider',
+        email: 'outsider@example.com',
+        password: 'password123'
+      });
+
+      const response = await request(app)
+        .get(`/expenses/${group._id}/summary`)
+        .set('Authorization', `Bearer ${generateTestToken(outsider._id)}`);
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should list the expense categories with their icons', async () => {
+      const response = await request(app).get('/expenses/categories');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toContainEqual(expect.objectContaining({ key: 'rent', icon: 'home' }));
+    });
+  });
+
+  describe('GET /expenses/:groupId', () => {
+    beforeEach(async () => {
+      await Expense.create(['2024-01-01', '2024-01-02', '2024-01-03'].map(date => ({
+        groupId: group._id,
+        amount: 30,
+        amountMinor: 3000,
+        description: `Groceries ${date}`,
+        date,
+        category: 'groceries',
+        paidBy: 'member@example.com',
+        splitAmong: ['test@example.com', 'member@example.com', 'other@example.com'],
+        splits: ['test@example.com', 'member@example.com', 'other@example.com']
+          .map(email => ({ email, value: 1, amount: 10, amountMinor: 1000 }))
+      })));
+    });
+
+    it('should paginate expenses while balancing the full ledger', async () => {
+      const firstPage = await request(app)
+        .get(`/expenses/${group._id}?limit=2`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(firstPage.status).toBe(200);
+      expect(firstPage.body.expenses).toHaveLength(2);
+      expect(firstPage.body.pagination.hasMore).toBe(true);
+      expect(firstPage.body.balances.totalBalance).toBe(-30);
+
+      const secondPage = await request(app)
+        .get(`/expenses/${group._id}?limit=2&cursor=${firstPage.body.pagination.nextCursor}`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(secondPage.body.expenses).toHaveLength(1);
+      expect(secondPage.body.expenses[0].description).toBe('Groceries 2024-01-01');
+      expect(secondPage.body.pagination.nextCursor).toBeNull();
+    });
+
+    it('should filter by description and date range', async () => {
+      const response = await request(app)
+        .get(`/expenses/${group._id}?q=groceries&from=2024-01-02&to=2024-01-02`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.expenses).toHaveLength(1);
+      expect(response.body.settlements).toHaveLength(0);
+    });
+
+    it('should include entries recorded later on the to date', async () => {
+      await Expense.updateOne({ description: 'Groceries 2024-01-03' }, { $set: { date: new Date('2024-01-03T18:30:00Z') } });
+      await Settlement.create({
+        groupId: group._id,
+        paidBy: 'test@example.com',
+        paidTo: 'member@example.com',
+        amount: 10,
+        amountMinor: 1000,
+        date: '2024-01-03T19:00:00Z'
+      });
+
+      const response = await request(app)
+        .get(`/expenses/${group._id}?from=2024-01-03&to=2024-01-03`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.expenses.map(expense => expense.description)).toEqual(['Groceries 2024-01-03']);
+      expect(response.body.settlements).toHaveLength(1);
+    });
+  });
+
+  describe('POST /expenses/:expenseId/attachments', () => {
+    let expense;
+
+    beforeEach(async () => {
+      expense = await Expense.create({
+        groupId: group._id,
+        amount: 30,
+        amountMinor: 3000,
+        description: 'Hotel',
+        date: '2024-01-01',
+        paidBy: 'test@example.com',
+        splitAmong: ['test@example.com', 'member@example.com'],
+        splits: ['test@example.com', 'member@example.com']
+          .map(email => ({ email, value: 1, amount: 15, amountMinor: 1500 }))
+      });
+    });
+
+    it('should reject files whose content is not an image or PDF', async () => {
+      const response = await request(app)
+        .post(`/expenses/${expense._id}/attachments`)
+        .set('Authorization', `Bearer ${token}`)
+        .attach('attachments', Buffer.from('<html><body>not a pdf</body></html>'), {
+          filename: 'invoice.pdf',
+          contentType: 'application/pdf'
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toContain('Only images and PDF files are allowed');
+    });
+
+    it('should return 404 for an unknown attachment', async () => {
+      const response = await request(app)
+        .delete(`/expenses/${expense._id}/attachments/${expense._id}`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('Refunds', () => {
+    let original;
+
+    beforeEach(async () => {
+      original = await Expense.create({
+        groupId: group._id,
+        amount: 90,
+        amountMinor: 9000,
+        description: 'Concert tickets',
+        date: '2024-01-01',
+        category: 'entertainment',
+        paidBy: 'test@example.com',
+        payers: [{ email: 'test@example.com', amount: 90, amountMinor: 9000 }],
+        splitAmong: ['test@example.com', 'member@example.com', 'other@example.com'],
+        splits: ['test@example.com', 'member@example.com', 'other@example.com']
+          .map(email => ({ email, value: 1, amount: 30, amountMinor: 3000 }))
+      });
+    });
+
+    it('should reverse the shares of the refunded members', async () => {
+      const response = await request(app)
+        .post('/expenses/create')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          groupId: group._id.toString(),
+          amount: -30,
+          refundOf: original._id.toString(),
+          description: 'Ticket refund',
+          date: '2024-01-05',
+          splitAmong: ['member@example.com']
+        });
+
+      expect(response.status).toBe(201);
+
+      const refund = await Expense.findById(response.body.data.expenseId);
+      expect(refund.type).toBe('refund');
+      expect(refund.amountMinor).toBe(3000);
+      expect(refund.paidBy).toBe('test@example.com');
+      expect(refund.category).toBe('entertainment');
+
+      const list = await request(app)
+        .get(`/expenses/${group._id}`)
+        .set('Authorization', `Bearer ${token}`);
+      expect(list.body.balances.totalBalance).toBe(30);
+
+      const summary = await request(app)
+        .get(`/expenses/${group._id}/summary`)
+        .set('Authorization', `Bearer ${token}`);
+      expect(summary.body.totalExpenses).toBe(60);
+    });
+
+    it('should not refund more than the original expense', async () => {
+      const response = await request(app)
+        .post('/expenses/create')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          groupId: group._id.toString(),
+          amount: 100,
+          type: 'refund',
+          refundOf: original._id.toString(),
+          description: 'Too much',
+          date: '2024-01-05'
+        });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('Approval workflow', () => {
+    let member;
+    let memberToken;
+
+    beforeEach(async () => {
+      member = await User.create({
+        name: 'Member',
+        email: 'member@example.com',
+        password: 'password123'
+      });
+      memberToken = generateTestToken(member._id);
+      group.settings.requireExpenseApproval = true;
+      await group.save();
+    });
+
+    it('should keep new expenses out of balances until participants approve them', async () => {
+      const created = await request(app)
+        .post('/expenses/create')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          groupId: group._id.toString(),
+          amount: 50,
+          description: 'Cleaning supplies',
+          date: '2024-01-10',
+          splitAmong: ['test@example.com', 'member@example.com']
+        });
+
+      expect(created.status).toBe(201);
+      expect(created.body.data.status).toBe('pending');
+
+      const pending = await request(app)
+        .get(`/expenses/${group._id}`)
+        .set('Authorization', `Bearer ${token}`);
+      expect(pending.body.expenses).toHaveLength(0);
+      expect(pending.body.pendingExpenses).toHaveLength(1);
+      expect(pending.body.balances.totalBalance).toBe(0);
+
+      const approved = await request(app)
+        .post(`/expenses/${created.body.data.expenseId}/approve`)
+        .set('Authorization', `Bearer ${memberToken}`);
+      expect(approved.status).toBe(200);
+      expect(approved.body.data.status).toBe('approved');
+
+      const list = await request(app)
+        .get(`/expenses/${group._id}`)
+        .set('Authorization', `Bearer ${token}`);
+      expect(list.body.expenses).toHaveLength(1);
+      expect(list.body.balances.totalBalance).toBe(25);
+    });
+
+    it('should record disputes with a reason', async () => {
+      const created = await request(app)
+        .post('/expenses/create')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          groupId: group._id.toString(),
+          amount: 50,
+          description: 'Cleaning supplies',
+          date: '2024-01-10',
+          splitAmong: ['test@example.com', 'member@example.com']
+        });
+
+      const missingReason = await request(app)
+        .post(`/expenses/${created.body.data.expenseId}/dispute`)
+        .set('Authorization', `Bearer ${memberToken}`)
+        .send({});
+      expect(missingReason.status).toBe(400);
+
+      const disputed = await request(app)
+        .post(`/expenses/${created.body.data.expenseId}/dispute`)
+        .set('Authorization', `Bearer ${memberToken}`)
+        .send({ reason: 'I was away that week' });
+      expect(disputed.status).toBe(200);
+      expect(disputed.body.data.status).toBe('disputed');
+
+      const list = await request(app)
+        .get(`/expenses/${group._id}`)
+        .set('Authorization', `Bearer ${token}`);
+      expect(list.body.disputedExpenses).toHaveLength(1);
+      expect(list.body.disputedExpenses[0].approvals[0].reason).toBe('I was away that week');
+    });
+
+    it('should keep every response when participants approve at the same time', async () => {
+      const other = await User.create({
+        name: 'Other',
+        email: 'other@example.com',
+        password: 'password123'
+      });
+      const created = await request(app)
+        .post('/expenses/create')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          groupId: group._id.toString(),
+          amount: 60,
+          description: 'Groceries',
+          date: '2024-01-10',
+          splitAmong: ['test@example.com', 'member@example.com', 'other@example.com']
+        });
+
+      const responses = await Promise.all([memberToken, generateTestToken(other._id)].map(approverToken => request(app)
+        .post(`/expenses/${created.body.data.expenseId}/approve`)
+        .set('Authorization', `Bearer ${approverToken}`)));
+      responses.forEach(response => expect(response.status).toBe(200));
+
+      const expense = await Expense.findById(created.body.data.expenseId);
+      expect(expense.approvals.map(approval => approval.status)).toEqual(['approved', 'approved']);
+      expect(expense.status).toBe('approved');
+
+      const list = await request(app)
+        .get(`/expenses/${group._id}`)
+        .set('Authorization', `Bearer ${token}`);
+      expect(list.body.balances.totalBalance).toBe(40);
+    });
+
+    it('should only accept responses from participants asked to approve', async () => {
+      const created = await request(app)
+        .post('/expenses/create')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          groupId: group._id.toString(),
+          amount: 50,
+          description: 'Cleaning supplies',
+          date: '2024-01-10',
+          splitAmong: ['test@example.com', 'member@example.com']
+        });
+
+      const response = await request(app)
+        .post(`/expenses/${created.body.data.expenseId}/approve`)
+        .set('Authorization', `Bearer ${token}`);
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('DELETE /expenses/:expenseId', () => {
+    let expense;
+    let memberToken;
+
+    beforeEach(async () => {
+      const member = await User.create({
+        name: 'Member',
+        email: 'member@example.com',
+        password: 'password123'
+      });
+      memberToken = generateTestToken(member._id);
+
+      expense = await Expense.create({
+        groupId: group._id,
+        amount: 30,
+        amountMinor: 3000,
+        description: 'Groceries',
+        date: '2024-01-01',
+        paidBy: 'test@example.com',
+        createdBy: 'test@example.com',
+        splitAmong: ['test@example.com', 'member@example.com'],
+        splits: [
+          { email: 'test@example.com', amount: 15, amountMinor: 1500 },
+          { email: 'member@example.com', amount: 15, amountMinor: 1500 }
+        ]
+      });
+    });
+
+    it('should only let the expense creator delete and restore it', async () => {
+      const deniedDelete = await request(app)
+        .delete(`/expenses/${expense._id}`)
+        .set('Authorization', `Bearer ${memberToken}`);
+      expect(deniedDelete.status).toBe(403);
+      expect((await Expense.findById(expense._id)).deletedAt).toBeNull();
+
+      const deleted = await request(app)
+        .delete(`/expenses/${expense._id}`)
+        .set('Authorization', `Bearer ${token}`);
+      expect(deleted.status).toBe(200);
+
+      const deniedRestore = await request(app)
+        .post(`/expenses/${expense._id}/restore`)
+        .set('Authorization', `Bearer ${memberToken}`);
+      expect(deniedRestore.status).toBe(403);
+      expect((await Expense.findById(expense._id)).deletedAt).not.toBeNull();
+    });
+
+    it('should move the expense to the trash and restore it into balances', async () => {
+      const deleted = await request(app)
+        .delete(`/expenses/${expense._id}`)
+        .set('Authorization', `Bearer ${token}`);
+      expect(deleted.status).toBe(200);
+
+      const afterDelete = await request(app)
+        .get(`/expenses/${group._id}`)
+        .set('Authorization', `Bearer ${token}`);
+      expect(afterDelete.body.expenses).toHaveLength(0);
+      expect(afterDelete.body.balances.totalBalance).toBe(0);
+
+      const stored = await Expense.findById(expense._id);
+      expect(stored.deletedBy).toBe('test@example.com');
+      expect(await Notification.countDocuments({ userId: 'member@example.com', type: 'expense_deleted' })).toBe(1);
+
+      const restored = await request(app)
+        .post(`/expenses/${expense._id}/restore`)
+        .set('Authorization', `Bearer ${token}`);
+      expect(restored.status).toBe(200);
+
+      const afterRestore = await request(app)
+        .get(`/expenses/${group._id}`)
+        .set('Authorization', `Bearer ${token}`);
+      expect(afterRestore.body.expenses).toHaveLength(1);
+      expect(afterRestore.body.balances.totalBalance).toBe(15);
+      expect(await Notification.countDocuments({ userId: 'member@example.com', type: 'expense_restored' })).toBe(1);
+    });
+
+    it('should not restore expenses deleted before the retention window', async () => {
+      expense.deletedAt = new Date(Date.now() - 31 * 24 * 60 * 60 * 1000);
+      expense.deletedBy = 'test@example.com';
+      await expense.save();
+
+      const response = await request(app)
+        .post(`/expenses/${expense._id}/restore`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toMatch(/within 30 days/);
+    });
+  });
+
+  describe('Direct expenses between friends', () => {
+    it('should record an expense without a group and show it in the friend ledger', async () => {
+      const created = await request(app)
+        .post('/expenses/create')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          amount: 40,
+          currency: 'EUR',
+          description: 'Concert tickets',
+          date: '2024-01-10',
+          splitAmong: ['test@example.com', 'member@example.com']
+        });
+
+      expect(created.status).toBe(201);
+      const directGroup = await Group.findById(created.body.data.groupId);
+      expect(directGroup.type).toBe('direct');
+      expect(directGroup.currency).toBe('EUR');
+
+      const groups = await request(app)
+        .get('/groups')
+        .set('Authorization', `Bearer ${token}`);
+      expect(groups.body.map(g => g._id)).not.toContain(directGroup._id.toString());
+
+      const ledger = await request(app)
+        .get('/friends/member@example.com/ledger')
+        .set('Authorization', `Bearer ${token}`);
+      expect(ledger.status).toBe(200);
+      expect(ledger.body.expenses).toHaveLength(1);
+      expect(ledger.body.balances).toEqual([{ currency: 'EUR', amount: 20 }]);
+    });
+
+    it('should not create a direct ledger for an expense that is rejected', async () => {
+      const response = await request(app)
+        .post('/expenses/create')
+        .set('Authorization', `Bearer ${token}`)
+        .send({
+          amount: 40,
+          description: 'Concert tickets',
+          date: '2024-01-10',
+          splitType: 'exact',
+          splits: [
+            { email: 'test@example.com', value: 10 },
+            { email: 'member@example.com', value: 10 }
+          ]
+        });
+
+      expect(response.status).toBe(400);
+      expect(await Group.countDocuments({ type: 'direct' })).toBe(0);
+    });
+  });
+});
@@ -2,6 +2,8 @@ const request = require('supertest');
 const app = require('../../src/app');
 const User = require('../../src/models/user.model');
 const Group = require('../../src/models/group.model');
+const Expense = require('../../src/models/expense.model');
+const Settlement = require('../../src/models/settlement.model');
 
 describe('Group Routes', () => {
   let token;
@@ -72,4 +74,137 @@ describe('Group Routes', () => {
       expect(response.status).toBe(403);
     });
   });
-}); 
\ No newline at end of file
+
+  describe('GET /groups/:groupId/trash', () => {
+    let group;
+
+    beforeEach(async () => {
+      group = await Group.create({
+        name: 'Test Group',
+        currency: 'USD',
+        members: ['test@example.com', 'member@example.com']
+      });
+      const expense = {
+        groupId: group._id,
+        amount: 30,
+        amountMinor: 3000,
+        paidBy: 'test@example.com',
+        splitAmong: ['test@example.com', 'member@example.com'],
+        splits: [
+          { email: 'test@example.com', amount: 15, amountMinor: 1500 },
+          { email: 'member@example.com', amount: 15, amountMinor: 1500 }
+        ],
+        date: '2024-01-01',
+        deletedBy: 'test@example.com'
+      };
+      await Expense.create([
+        { ...expense, description: 'Active' },
+        { ...expense, description: 'Recently deleted', deletedAt: new Date() },
+        { ...expense, description: 'Long deleted', deletedAt: new Date(Date.now() - 31 * 24 * 60 * 60 * 1000) }
+      ]);
+      await Settlement.create({
+        groupId: group._id,
+        paidBy: 'member@example.com',
+        paidTo: 'test@example.com',
+        amount: 15,
+        amountMinor: 1500,
+        date: '2024-01-02',
+        deletedAt: new Date(),
+        deletedBy: 'member@example.com'
+      });
+    });
+
+    it('should list what was deleted within the retention window', async () => {
+      const response = await request(app)
+        .get(`/groups/${group._id}/trash`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.retentionDays).toBe(30);
+      expect(response.body.data.expenses.map(expense => expense.description)).toEqual(['Recently deleted']);
+      expect(response.body.data.settlements).toHaveLength(1);
+    });
+
+    it('should only show the trash to group members', async () => {
+      const outsider = await User.create({
+        name: 'Outsider',
+        email: 'outsider@example.com',
+        password: 'password123'
+      });
+
+      const response = await request(app)
+        .get(`/groups/${group._id}/trash`)
+        .set('Authorization', `Bearer ${generateTestToken(outsider._id)}`);
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('GET /groups/:groupId/export', () => {
+    let group;
+
+    beforeEach(async () => {
+      group = await Group.create({
+        name: 'Test Group',
+        currency: 'USD',
+        members: ['test@example.com', 'member@example.com']
+      });
+      await Expense.create({
+        groupId: group._id,
+        description: 'Dinner',
+        date: '2024-01-01',
+        amount: 30,
+        amountMinor: 3000,
+        paidBy: 'test@example.com',
+        splitAmong: ['test@example.com', 'member@example.com'],
+        splits: [
+          { email: 'test@example.com', amount: 15, amountMinor: 1500 },
+          { email: 'member@example.com', amount: 15, amountMinor: 1500 }
+        ]
+      });
+    });
+
+    it('should export the ledger as CSV with running and final balances', async () => {
+      const response = await request(app)
+        .get(`/groups/${group._id}/export?format=csv`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toContain('text/csv');
+      expect(response.headers['content-disposition']).toContain('test-group-ledger.csv');
+      expect(response.text).toContain('Dinner');
+      expect(response.text).toContain('Test User,test@example.com,30.00,15.00,0.00,0.00,15.00');
+    });
+
+    it('should include everything dated on a date-only end of the period', async () => {
+      await Expense.create({
+        groupId: group._id,
+        description: 'Late taxi',
+        date: '2024-01-31T22:30:00Z',
+        amount: 20,
+        amountMinor: 2000,
+        paidBy: 'test@example.com',
+        splitAmong: ['test@example.com', 'member@example.com'],
+        splits: [
+          { email: 'test@example.com', amount: 10, amountMinor: 1000 },
+          { email: 'member@example.com', amount: 10, amountMinor: 1000 }
+        ]
+      });
+
+      const response = await request(app)
+        .get(`/groups/${group._id}/export?format=csv&from=2024-01-01&to=2024-01-31`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      expect(response.text).toContain('Late taxi');
+    });
+
+    it('should reject an unknown format', async () => {
+      const response = await request(app)
+        .get(`/groups/${group._id}/export?format=doc`)
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(400);
+    });
+  });
+});
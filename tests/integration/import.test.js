@@ -0,0 +1,119 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/user.model');
+const Group = require('../../src/models/group.model');
+const Expense = require('../../src/models/expense.model');
+const Settlement = require('../../src/models/settlement.model');
+
+const SPLITWISE_EXPORT = [
+  'Date,Description,Category,Cost,Currency,Test User,Member',
+  '2024-01-01,Dinner,Dining out,90.00,USD,45.00,-45.00',
+  '2024-01-02,Member paid Test User,Payment,45.00,USD,-45.00,45.00',
+  ',Total balance,,,USD,0.00,0.00'
+].join('\n');
+
+describe('Import Routes', () => {
+  let token;
+  let group;
+
+  beforeEach(async () => {
+    const user = await User.create({
+      name: 'Test User',
+      email: 'test@example.com',
+      password: 'password123'
+    });
+    token = generateTestToken(user._id);
+
+    group = await Group.create({
+      name: 'Test Group',
+      currency: 'USD',
+      members: ['test@example.com', 'member@example.com']
+    });
+  });
+
+  describe('POST /imports/:groupId', () => {
+    const members = JSON.stringify({ 'Test User': 'test@example.com', Member: 'member@example.com' });
+
+    it('should preview a Splitwise export without saving it', async () => {
+      const response = await request(app)
+        .post(`/imports/${group._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ format: 'splitwise', csv: SPLITWISE_EXPORT, members, dryRun: true });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.summary).toMatchObject({ rows: 2, valid: 2, expenses: 1, settlements: 1 });
+      expect(await Expense.countDocuments()).toBe(0);
+    });
+
+    it('should import expenses and settlements', async () => {
+      const response = await request(app)
+        .post(`/imports/${group._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ format: 'splitwise', csv: SPLITWISE_EXPORT, members });
+
+      expect(response.status).toBe(201);
+
+      const expense = await Expense.findOne({ groupId: group._id });
+      expect(expense.paidBy).toBe('test@example.com');
+      expect(expense.splits.map(split => split.amount)).toEqual([45, 45]);
+      expect(await Settlement.countDocuments({ paidBy: 'member@example.com' })).toBe(1);
+    });
+
+    it('should ask participants to approve imported expenses in groups that require approval', async () => {
+      group.settings.requireExpenseApproval = true;
+      await group.save();
+
+      const response = await request(app)
+        .post(`/imports/${group._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ format: 'splitwise', csv: SPLITWISE_EXPORT, members });
+
+      expect(response.status).toBe(201);
+
+      const expense = await Expense.findOne({ groupId: group._id });
+      expect(expense.status).toBe('pending');
+      expect(expense.approvals.map(approval => approval.email)).toEqual(['member@example.com']);
+
+      const list = await request(app)
+        .get(`/expenses/${group._id}`)
+        .set('Authorization', `Bearer ${token}`);
+      expect(list.body.pendingExpenses).toHaveLength(1);
+    });
+
+    it('should reject rows with people that are not group members', async () => {
+      const response = await request(app)
+        .post(`/imports/${group._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ format: 'splitwise', csv: SPLITWISE_EXPORT });
+
+      expect(response.status).toBe(400);
+      expect(response.body.data.rows[0].errors[0]).toMatch(/not mapped/);
+    });
+
+    it('should reject settlements paid to the payer themselves', async () => {
+      const csv = [
+        'Date,Description,Amount,Paid by,Paid to,Type',
+        '2024-01-02,Member paid Member,45.00,Member,Member,settlement',
+        '2024-01-03,Member paid Test User,0.001,Member,Test User,settlement'
+      ].join('\n');
+      const mapping = JSON.stringify({
+        date: 'Date',
+        description: 'Description',
+        amount: 'Amount',
+        paidBy: 'Paid by',
+        paidTo: 'Paid to',
+        type: 'Type'
+      });
+
+      const response = await request(app)
+        .post(`/imports/${group._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ format: 'csv', csv, mapping, members });
+
+      expect(response.status).toBe(400);
+      expect(response.body.data.rows[0].errors).toEqual(['A settlement must be paid to someone else']);
+      expect(response.body.data.rows[1].errors).toEqual(['Amount is smaller than the smallest unit of USD']);
+      expect(await Settlement.countDocuments()).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,138 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/user.model');
+const Group = require('../../src/models/group.model');
+const Expense = require('../../src/models/expense.model');
+const RecurringExpense = require('../../src/models/recurringExpense.model');
+const Notification = require('../../src/models/notification.model');
+const { processDueRecurringExpenses } = require('../../src/services/recurring.service');
+
+describe('Recurring Expense Routes', () => {
+  let token;
+  let group;
+
+  beforeEach(async () => {
+    const user = await User.create({
+      name: 'Test User',
+      email: 'test@example.com',
+      password: 'password123'
+    });
+    token = generateTestToken(user._id);
+
+    group = await Group.create({
+      name: 'Test Group',
+      currency: 'USD',
+      members: ['test@example.com', 'member@example.com']
+    });
+  });
+
+  // Define a recurring expense split between the test user and the member
+  const createRecurring = (input) => request(app)
+    .post('/recurring/create')
+    .set('Authorization', `Bearer ${token}`)
+    .send({
+      groupId: group._id.toString(),
+      amount: 1000,
+      description: 'Rent',
+      category: 'rent',
+      splitAmong: ['test@example.com', 'member@example.com'],
+      ...input
+    });
+
+  describe('Scheduler', () => {
+    it('should create every occurrence up to the end date and notify members once', async () => {
+      const created = await createRecurring({ interval: 'monthly', startDate: '2024-01-31', endDate: '2024-03-31' });
+      expect(created.status).toBe(201);
+
+      expect(await processDueRecurringExpenses(new Date('2024-06-01'))).toBe(3);
+
+      const expenses = await Expense.find({ recurringExpenseId: created.body.data.recurringExpenseId }).sort({ date: 1 });
+      expect(expenses.map(expense => expense.date.toISOString().slice(0, 10))).toEqual(['2024-01-31', '2024-02-29', '2024-03-31']);
+      expect(expenses[0].splits.map(split => split.amount)).toEqual([500, 500]);
+      expect(await Notification.countDocuments({ userId: 'member@example.com', type: 'expense_added' })).toBe(0);
+      const notification = await Notification.findOne({ userId: 'member@example.com', type: 'recurring_expenses_added' });
+      expect(notification.message).toContain('3 occurrences of the recurring expense "Rent"');
+      expect(notification.message).toContain('Your share: USD 1500.00');
+
+      const definition = await RecurringExpense.findById(created.body.data.recurringExpenseId);
+      expect(definition.active).toBe(false);
+      expect(definition.occurrenceCount).toBe(3);
+    });
+
+    it('should create each occurrence exactly once when several workers run at the same time', async () => {
+      await Expense.init();
+      await createRecurring({ interval: 'weekly', startDate: '2024-01-01', endDate: '2024-01-29' });
+
+      const now = new Date('2024-02-15');
+      const created = await Promise.all([processDueRecurringExpenses(now), processDueRecurringExpenses(now)]);
+
+      expect(created[0] + created[1]).toBe(5);
+      expect(await Expense.countDocuments({ description: 'Rent' })).toBe(5);
+    });
+
+    it('should stop at an end date moved before the next scheduled occurrence', async () => {
+      const created = await createRecurring({ interval: 'daily', startDate: '2024-01-01' });
+      const recurringExpenseId = created.body.data.recurringExpenseId;
+      expect(await processDueRecurringExpenses(new Date('2024-01-01T12:00:00Z'))).toBe(1);
+
+      // Moved without the PATCH route, so only the scheduler's own check applies
+      await RecurringExpense.updateOne({ _id: recurringExpenseId }, { $set: { endDate: new Date('2024-01-01') } });
+
+      expect(await processDueRecurringExpenses(new Date('2024-01-05'))).toBe(0);
+      expect(await Expense.countDocuments({ recurringExpenseId })).toBe(1);
+      expect((await RecurringExpense.findById(recurringExpenseId)).active).toBe(false);
+    });
+
+    it('should ask participants to approve occurrences in groups that require approval', async () => {
+      group.settings.requireExpenseApproval = true;
+      await group.save();
+      await createRecurring({ interval: 'monthly', startDate: '2024-01-01', endDate: '2024-01-31' });
+
+      expect(await processDueRecurringExpenses(new Date('2024-01-02'))).toBe(1);
+
+      const expense = await Expense.findOne({ description: 'Rent' });
+      expect(expense.status).toBe('pending');
+      expect(expense.approvals.map(approval => approval.email)).toEqual(['member@example.com']);
+
+      const notification = await Notification.findOne({ userId: 'member@example.com', type: 'expense_added' });
+      expect(notification.message).toContain('Please approve or dispute it');
+    });
+  });
+
+  describe('PATCH /recurring/:recurringExpenseId', () => {
+    it('should stop the schedule when the end date moves before the next occurrence', async () => {
+      const created = await createRecurring({ interval: 'daily', startDate: '2024-01-01' });
+      const recurringExpenseId = created.body.data.recurringExpenseId;
+      await processDueRecurringExpenses(new Date('2024-01-02T12:00:00Z'));
+
+      const response = await request(app)
+        .patch(`/recurring/${recurringExpenseId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ endDate: '2024-01-02' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.active).toBe(false);
+      expect(response.body.data.nextRunAt).toBe('2024-01-03T00:00:00.000Z');
+
+      expect(await processDueRecurringExpenses(new Date('2024-01-10'))).toBe(0);
+      expect(await Expense.countDocuments({ recurringExpenseId })).toBe(2);
+    });
+
+    it('should only let group members change a recurring expense', async () => {
+      const created = await createRecurring({ interval: 'monthly', startDate: '2024-01-01' });
+      const outsider = await User.create({
+        name: 'Outsider',
+        email: 'outsider@example.com',
+        password: 'password123'
+      });
+
+      const response = await request(app)
+        .patch(`/recurring/${created.body.data.recurringExpenseId}`)
+        .set('Authorization', `Bearer ${generateTestToken(outsider._id)}`)
+        .send({ active: false });
+
+      expect(response.status).toBe(403);
+      expect((await RecurringExpense.findById(created.body.data.recurringExpenseId)).active).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,203 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/user.model');
+const Group = require('../../src/models/group.model');
+const Settlement = require('../../src/models/settlement.model');
+const Notification = require('../../src/models/notification.model');
+const JournalEntry = require('../../src/models/journalEntry.model');
+const { processDueSettlementConfirmations } = require('../../src/services/settlement.service');
+
+describe('Settlement Routes', () => {
+  let token;
+  let memberToken;
+  let group;
+
+  beforeEach(async () => {
+    const user = await User.create({
+      name: 'Test User',
+      email: 'test@example.com',
+      password: 'password123'
+    });
+    token = generateTestToken(user._id);
+
+    const member = await User.create({
+      name: 'Member',
+      email: 'member@example.com',
+      password: 'password123'
+    });
+    memberToken = generateTestToken(member._id);
+
+    group = await Group.create({
+      name: 'Test Group',
+      currency: 'USD',
+      members: ['test@example.com', 'member@example.com', 'other@example.com']
+    });
+  });
+
+  // Record a settlement from the test user to the member
+  const createSettlement = () => request(app)
+    .post('/settlements/create')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ groupId: group._id.toString(), paidTo: 'member@example.com', amount: 15, date: '2024-01-10' });
+
+  describe('Confirmation workflow', () => {
+    it('should keep new settlements out of balances until the recipient confirms them', async () => {
+      const created = await createSettlement();
+      expect(created.status).toBe(201);
+      expect(created.body.data.status).toBe('pending');
+
+      const pending = await request(app)
+        .get(`/expenses/${group._id}`)
+        .set('Authorization', `Bearer ${token}`);
+      expect(pending.body.settlements).toHaveLength(0);
+      expect(pending.body.pendingSettlements).toHaveLength(1);
+      expect(pending.body.balances.totalBalance).toBe(0);
+
+      const notConfirmable = await request(app)
+        .post(`/settlements/${created.body.data.settlementId}/confirm`)
+        .set('Authorization', `Bearer ${token}`);
+      expect(notConfirmable.status).toBe(403);
+
+      const confirmed = await request(app)
+        .post(`/settlements/${created.body.data.settlementId}/confirm`)
+        .set('Authorization', `Bearer ${memberToken}`);
+      expect(confirmed.status).toBe(200);
+      expect(confirmed.body.data.status).toBe('confirmed');
+
+      const list = await request(app)
+        .get(`/expenses/${group._id}`)
+        .set('Authorization', `Bearer ${token}`);
+      expect(list.body.settlements).toHaveLength(1);
+      expect(list.body.balances.totalBalance).toBe(15);
+
+      const notifications = await Notification.find({ type: { $in: ['settlement_confirmed', 'settlement_recorded'] } });
+      expect(notifications.map(notification => [notification.userId, notification.type])).toEqual(expect.arrayContaining([
+        ['test@example.com', 'settlement_confirmed'],
+        ['other@example.com', 'settlement_recorded']
+      ]));
+    });
+
+    it('should record rejections with a reason', async () => {
+      const created = await createSettlement();
+
+      const rejected = await request(app)
+        .post(`/settlements/${created.body.data.settlementId}/reject`)
+        .set('Authorization', `Bearer ${memberToken}`)
+        .send({ reason: 'Nothing arrived' });
+      expect(rejected.status).toBe(200);
+      expect(rejected.body.data.status).toBe('rejected');
+      expect(rejected.body.data.rejectionReason).toBe('Nothing arrived');
+
+      const again = await request(app)
+        .post(`/settlements/${created.body.data.settlementId}/reject`)
+        .set('Authorization', `Bearer ${memberToken}`);
+      expect(again.status).toBe(400);
+
+      const list = await request(app)
+        .get(`/expenses/${group._id}`)
+        .set('Authorization', `Bearer ${token}`);
+      expect(list.body.rejectedSettlements).toHaveLength(1);
+      expect(list.body.balances.totalBalance).toBe(0);
+
+      const notification = await Notification.findOne({ userId: 'test@example.com', type: 'settlement_rejected' });
+      expect(notification.message).toContain('Nothing arrived');
+    });
+
+    it('should confirm settlements automatically once the group delay has passed', async () => {
+      await request(app)
+        .patch(`/groups/${group._id}/settings`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ settlementAutoConfirmDays: 3 });
+
+      const created = await createSettlement();
+      expect(created.body.data.autoConfirmAt).toBeTruthy();
+
+      expect(await processDueSettlementConfirmations(new Date())).toBe(0);
+      const confirmedCount = await processDueSettlementConfirmations(new Date(Date.now() + 4 * 24 * 60 * 60 * 1000));
+      expect(confirmedCount).toBe(1);
+
+      const settlement = await Settlement.findById(created.body.data.settlementId);
+      expect(settlement.status).toBe('confirmed');
+      expect(settlement.autoConfirmed).toBe(true);
+
+      const balances = await request(app)
+        .get(`/balances/${group._id}`)
+        .set('Authorization', `Bearer ${token}`);
+      expect(balances.body.balances).toContainEqual({ email: 'member@example.com', owedAmount: 0, owesAmount: 15 });
+    });
+
+    it('should apply only one response when the recipient rejects while the settlement is confirmed automatically', async () => {
+      await request(app)
+        .patch(`/groups/${group._id}/settings`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ settlementAutoConfirmDays: 3 });
+      const created = await createSettlement();
+      const settlementId = created.body.data.settlementId;
+
+      const [rejected, confirmedCount] = await Promise.all([
+        request(app)
+          .post(`/settlements/${settlementId}/reject`)
+          .set('Authorization', `Bearer ${memberToken}`),
+        processDueSettlementConfirmations(new Date(Date.now() + 4 * 24 * 60 * 60 * 1000))
+      ]);
+      expect([rejected.status === 200, confirmedCount === 1].filter(Boolean)).toHaveLength(1);
+
+      const settlement = await Settlement.findById(settlementId);
+      expect(settlement.status).toBe(rejected.status === 200 ? 'rejected' : 'confirmed');
+      // A confirmed settlement is posted once; a rejected one never reaches the ledger
+      const entries = await JournalEntry.find({ sourceId: settlement._id });
+      expect(entries).toHaveLength(settlement.status === 'confirmed' ? 1 : 0);
+    });
+  });
+
+  describe('DELETE /settlements/:settlementId', () => {
+    it('should only let the payer delete and restore a settlement', async () => {
+      const created = await createSettlement();
+      const settlementId = created.body.data.settlementId;
+
+      const deniedDelete = await request(app)
+        .delete(`/settlements/${settlementId}`)
+        .set('Authorization', `Bearer ${memberToken}`);
+      expect(deniedDelete.status).toBe(403);
+
+      const deleted = await request(app)
+        .delete(`/settlements/${settlementId}`)
+        .set('Authorization', `Bearer ${token}`);
+      expect(deleted.status).toBe(200);
+
+      const deniedRestore = await request(app)
+        .post(`/settlements/${settlementId}/restore`)
+        .set('Authorization', `Bearer ${memberToken}`);
+      expect(deniedRestore.status).toBe(403);
+
+      const restored = await request(app)
+        .post(`/settlements/${settlementId}/restore`)
+        .set('Authorization', `Bearer ${token}`);
+      expect(restored.status).toBe(200);
+      expect((await Settlement.findById(settlementId)).deletedAt).toBeNull();
+    });
+  });
+
+  describe('Direct settlements', () => {
+    it('should not create a direct ledger for a settlement that is rejected', async () => {
+      const response = await request(app)
+        .post('/settlements/create')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ paidTo: 'member@example.com', amount: 0.001, currency: 'EUR', date: '2024-01-10' });
+
+      expect(response.status).toBe(400);
+      expect(await Group.countDocuments({ type: 'direct' })).toBe(0);
+    });
+
+    it('should reject settlements paid to the payer themselves', async () => {
+      const response = await request(app)
+        .post('/settlements/create')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ paidTo: 'test@example.com', amount: 15, date: '2024-01-10' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('A settlement must be paid to someone else');
+      expect(await Group.countDocuments({ type: 'direct' })).toBe(0);
+    });
+  });
+});